@@ -0,0 +1,69 @@
+import assert from 'assert';
+import { OrderBook } from '../src/matching/OrderBook.js';
+import { Order } from '../src/models/Order.js';
+
+/**
+ * OrderBook micro-benchmark
+ * Prints per-operation cost for a deep book; not part of the test suite
+ * Scale it up with BENCH_ORDERS, e.g. BENCH_ORDERS=500000 npm run bench
+ */
+const ORDER_COUNT = parseInt(process.env.BENCH_ORDERS || '20000', 10);
+const LEVEL_COUNT = Math.ceil(ORDER_COUNT / 4);
+
+const time = (label, count, fn) => {
+  const start = process.hrtime.bigint();
+  fn();
+  const elapsedNs = Number(process.hrtime.bigint() - start);
+  console.log(`${label}: ${count} ops in ${(elapsedNs / 1e6).toFixed(1)} ms (${(elapsedNs / count).toFixed(0)} ns/op)`);
+};
+
+console.log(`OrderBook: insert, top-of-book and cancel with ${ORDER_COUNT} orders over ${LEVEL_COUNT} levels per side`);
+
+const book = new OrderBook('BTC-USD');
+const orders = [];
+
+for (let i = 0; i < ORDER_COUNT; i++) {
+  const side = i % 2 === 0 ? 'buy' : 'sell';
+  // Interleave levels so new levels land all over the tree, not just at the ends
+  const offset = ((i * 7919) % LEVEL_COUNT) + 1;
+  orders.push(new Order({
+    order_id: `order-${i}`,
+    client_id: 'bench',
+    instrument: 'BTC-USD',
+    side,
+    type: 'limit',
+    price: side === 'buy' ? 70000 - offset : 70000 + offset,
+    quantity: 1,
+  }));
+}
+
+time('addOrder', ORDER_COUNT, () => {
+  for (const order of orders) {
+    book.addOrder(order);
+  }
+});
+
+time('getBestBid/getBestAsk', ORDER_COUNT, () => {
+  for (let i = 0; i < ORDER_COUNT; i++) {
+    if (i % 2 === 0) book.getBestBid(); else book.getBestAsk();
+  }
+});
+
+time('getSnapshot(20)', 1000, () => {
+  for (let i = 0; i < 1000; i++) {
+    book.getSnapshot(20);
+  }
+});
+
+time('removeOrder', ORDER_COUNT, () => {
+  for (let i = ORDER_COUNT - 1; i >= 0; i -= 2) {
+    book.removeOrder(orders[i].order_id);
+  }
+  for (let i = 0; i < ORDER_COUNT; i += 2) {
+    book.removeOrder(orders[i].order_id);
+  }
+});
+
+assert.strictEqual(book.orders.size, 0);
+assert.strictEqual(book.getDepth('buy'), 0);
+assert.strictEqual(book.getDepth('sell'), 0);
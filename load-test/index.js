@@ -1,7 +1,11 @@
 import http from 'http';
 import { v4 as uuidv4 } from 'uuid';
+import { signRequest } from '../src/services/ApiKeyService.js';
 
 const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+// A key with the trade scope, from npm run create-api-key; orders are placed for its client
+const API_KEY = process.env.API_KEY;
+const API_SECRET = process.env.API_SECRET;
 const CONCURRENT_REQUESTS = parseInt(process.env.CONCURRENT_REQUESTS || '100', 10);
 const TOTAL_REQUESTS = parseInt(process.env.TOTAL_REQUESTS || '2000', 10);
 const DURATION_SECONDS = parseInt(process.env.DURATION_SECONDS || '60', 10);
@@ -19,6 +23,8 @@ function makeRequest(orderData) {
   return new Promise((resolve, reject) => {
     const startTime = Date.now();
     const postData = JSON.stringify(orderData);
+    const timestamp = String(Date.now());
+    const nonce = uuidv4();
     
     const options = {
       hostname: new URL(BASE_URL).hostname,
@@ -28,6 +34,10 @@ function makeRequest(orderData) {
       headers: {
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(postData),
+        'X-API-Key': API_KEY,
+        'X-API-Timestamp': timestamp,
+        'X-API-Nonce': nonce,
+        'X-API-Signature': signRequest(API_SECRET, { timestamp, nonce, method: 'POST', path: '/orders', body: postData }),
       },
     };
     
@@ -65,20 +75,23 @@ function makeRequest(orderData) {
 function generateOrder() {
   const side = Math.random() > 0.5 ? 'buy' : 'sell';
   const type = Math.random() > 0.7 ? 'market' : 'limit';
-  const price = type === 'limit' ? 60000 + Math.random() * 20000 : null;
+  const price = type === 'limit' ? (60000 + Math.random() * 20000).toFixed(2) : null;
   
   return {
-    client_id: `client-${Math.floor(Math.random() * 100) + 1}`,
     instrument: 'BTC-USD',
     side,
     type,
     price,
-    quantity: 0.001 + Math.random() * 5.0,
+    quantity: (0.001 + Math.random() * 5.0).toFixed(8),
     idempotency_key: uuidv4(),
   };
 }
 
 async function runLoadTest() {
+  if (!API_KEY || !API_SECRET) {
+    throw new Error('Set API_KEY and API_SECRET to a key with the trade scope (npm run create-api-key)');
+  }
+
   console.log('Starting load test...');
   console.log(`Base URL: ${BASE_URL}`);
   console.log(`Concurrent requests: ${CONCURRENT_REQUESTS}`);
@@ -0,0 +1,17 @@
+-- Stop-market and stop-limit orders
+ALTER TABLE orders ALTER COLUMN type TYPE VARCHAR(20);
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_type_check;
+ALTER TABLE orders ADD CONSTRAINT orders_type_check
+    CHECK (type IN ('limit', 'market', 'stop_market', 'stop_limit'));
+
+-- NOT VALID: run again after 003, existing rows may already be 'expired'
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('open', 'partially_filled', 'filled', 'cancelled', 'rejected', 'untriggered', 'triggered')) NOT VALID;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS stop_price DECIMAL(20, 8);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS triggered_at TIMESTAMP WITH TIME ZONE;
+
+-- Stop orders waiting in the trigger book are looked up on recovery
+CREATE INDEX IF NOT EXISTS idx_orders_untriggered ON orders(instrument) WHERE status = 'untriggered';
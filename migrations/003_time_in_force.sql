@@ -0,0 +1,12 @@
+-- Time-in-force (GTC, IOC, FOK, GTD, DAY)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS time_in_force VARCHAR(3) NOT NULL DEFAULT 'GTC'
+    CHECK (time_in_force IN ('GTC', 'IOC', 'FOK', 'GTD', 'DAY'));
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS expire_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('open', 'partially_filled', 'filled', 'cancelled', 'rejected', 'untriggered', 'triggered', 'expired'));
+
+-- Resting GTD/DAY orders still to be swept by the expiry job
+CREATE INDEX IF NOT EXISTS idx_orders_expire_at ON orders(expire_at)
+    WHERE expire_at IS NOT NULL AND status IN ('open', 'partially_filled', 'untriggered');
@@ -0,0 +1,6 @@
+-- Iceberg (hidden-quantity) orders
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS display_quantity DECIMAL(20, 8);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS hidden_filled_quantity DECIMAL(20, 8) NOT NULL DEFAULT 0;
+
+-- Portion of a trade filled against an iceberg slice not yet shown in the book
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS hidden_quantity DECIMAL(20, 8) NOT NULL DEFAULT 0;
@@ -0,0 +1,19 @@
+-- Instrument registry: tradable pairs and their order constraints
+CREATE TABLE IF NOT EXISTS instruments (
+    instrument VARCHAR(50) PRIMARY KEY,
+    base_asset VARCHAR(20) NOT NULL,
+    quote_asset VARCHAR(20) NOT NULL,
+    tick_size DECIMAL(20, 8) NOT NULL CHECK (tick_size > 0),
+    lot_size DECIMAL(20, 8) NOT NULL CHECK (lot_size > 0),
+    min_quantity DECIMAL(20, 8) NOT NULL DEFAULT 0,
+    max_quantity DECIMAL(20, 8),
+    min_notional DECIMAL(20, 8) NOT NULL DEFAULT 0,
+    price_band_percent DECIMAL(10, 4), -- max distance of a limit price from the last trade price
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'halted', 'post_only', 'closed')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO instruments (instrument, base_asset, quote_asset, tick_size, lot_size, min_quantity, max_quantity, min_notional, price_band_percent)
+VALUES ('BTC-USD', 'BTC', 'USD', 0.01, 0.00000001, 0.00000001, 1000, 1, 10)
+ON CONFLICT (instrument) DO NOTHING;
@@ -0,0 +1,5 @@
+-- Insertion sequence, breaks created_at ties when rebuilding books in price-time order
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS sequence_number BIGSERIAL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_open_by_time ON orders (instrument, created_at, sequence_number)
+    WHERE status IN ('open', 'partially_filled', 'untriggered', 'triggered');
@@ -0,0 +1,8 @@
+-- Engine command log: sequence-numbered new/cancel/amend/expire commands per instrument,
+-- stored alongside the order_events audit trail (audit rows keep sequence NULL)
+ALTER TABLE order_events ALTER COLUMN order_id DROP NOT NULL;
+ALTER TABLE order_events ADD COLUMN IF NOT EXISTS instrument VARCHAR(50);
+ALTER TABLE order_events ADD COLUMN IF NOT EXISTS sequence BIGINT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_events_command_sequence ON order_events (instrument, sequence)
+    WHERE sequence IS NOT NULL;
@@ -0,0 +1,6 @@
+-- Order-level snapshots: every resting order in queue order, tagged with the
+-- last applied command sequence. Older aggregated snapshots keep sequence NULL.
+ALTER TABLE order_book_snapshots ADD COLUMN IF NOT EXISTS sequence BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_order_book_snapshots_sequence ON order_book_snapshots (instrument, sequence DESC)
+    WHERE sequence IS NOT NULL;
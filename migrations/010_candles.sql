@@ -0,0 +1,49 @@
+-- OHLCV candles, maintained incrementally as trades are persisted
+-- open/close follow the earliest/latest trade timestamp, so late or out-of-order writes still land correctly
+CREATE TABLE IF NOT EXISTS candles (
+    instrument VARCHAR(50) NOT NULL,
+    resolution VARCHAR(10) NOT NULL CHECK (resolution IN ('1m', '5m', '15m', '1h', '4h', '1d', '1w')),
+    open_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    open DECIMAL(20, 8) NOT NULL,
+    high DECIMAL(20, 8) NOT NULL,
+    low DECIMAL(20, 8) NOT NULL,
+    close DECIMAL(20, 8) NOT NULL,
+    volume DECIMAL(30, 8) NOT NULL,
+    quote_volume DECIMAL(38, 8) NOT NULL,
+    trade_count INTEGER NOT NULL,
+    first_trade_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_trade_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (instrument, resolution, open_time)
+);
+
+-- Backfill from existing trades; buckets are aligned to the Unix epoch, weeks to Monday 00:00 UTC
+INSERT INTO candles (
+    instrument, resolution, open_time, open, high, low, close, volume, quote_volume,
+    trade_count, first_trade_at, last_trade_at
+)
+SELECT
+    t.instrument,
+    r.resolution,
+    to_timestamp(floor((extract(epoch FROM t.timestamp) - r.offset_seconds) / r.seconds) * r.seconds + r.offset_seconds) AS open_time,
+    (array_agg(t.price ORDER BY t.timestamp ASC, t.trade_id ASC))[1],
+    MAX(t.price),
+    MIN(t.price),
+    (array_agg(t.price ORDER BY t.timestamp DESC, t.trade_id DESC))[1],
+    SUM(t.quantity),
+    SUM(t.price * t.quantity),
+    COUNT(*),
+    MIN(t.timestamp),
+    MAX(t.timestamp)
+FROM trades t
+CROSS JOIN (VALUES
+    ('1m', 60, 0),
+    ('5m', 300, 0),
+    ('15m', 900, 0),
+    ('1h', 3600, 0),
+    ('4h', 14400, 0),
+    ('1d', 86400, 0),
+    ('1w', 604800, 345600)
+) AS r (resolution, seconds, offset_seconds)
+GROUP BY t.instrument, r.resolution, 3
+ON CONFLICT (instrument, resolution, open_time) DO NOTHING;
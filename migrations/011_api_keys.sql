@@ -0,0 +1,13 @@
+-- API keys: only a SHA-256 hash of the key is stored
+-- The signing secret is never stored; it is derived from the key with the server's master secret (AUTH_MASTER_SECRET)
+CREATE TABLE IF NOT EXISTS api_keys (
+    key_id VARCHAR(255) PRIMARY KEY,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    client_id VARCHAR(255) NOT NULL,
+    scopes TEXT[] NOT NULL CHECK (scopes <@ ARRAY['read', 'trade', 'admin']::TEXT[]),
+    label VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_client_id ON api_keys(client_id);
@@ -0,0 +1,13 @@
+-- Denied attempts to read or act on another client's orders or positions
+CREATE TABLE IF NOT EXISTS access_audit (
+    id BIGSERIAL PRIMARY KEY,
+    key_id VARCHAR(255),
+    client_id VARCHAR(255) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    resource_type VARCHAR(50) NOT NULL,
+    resource_id VARCHAR(255) NOT NULL,
+    owner_client_id VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_access_audit_client_id ON access_audit(client_id, created_at);
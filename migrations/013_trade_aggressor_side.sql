@@ -0,0 +1,2 @@
+-- Side of the incoming (liquidity-taking) order; NULL for trades recorded before it was tracked
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS aggressor_side VARCHAR(4) CHECK (aggressor_side IN ('buy', 'sell'));
@@ -0,0 +1,10 @@
+-- Per-client pre-trade risk limits; NULL falls back to the server default (config.risk)
+CREATE TABLE IF NOT EXISTS risk_limits (
+    client_id VARCHAR(255) PRIMARY KEY,
+    max_order_quantity DECIMAL(20, 8),
+    max_order_notional DECIMAL(20, 8),
+    max_open_orders INTEGER,
+    max_position DECIMAL(20, 8),
+    price_collar_percent DECIMAL(20, 8),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
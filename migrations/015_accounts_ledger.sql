@@ -0,0 +1,37 @@
+-- Per-client, per-asset balances; available can be spent, held backs open orders
+-- Balances only change through ledger_entries, whose rows sum to zero per asset within each journal
+CREATE TABLE IF NOT EXISTS accounts (
+    client_id VARCHAR(255) NOT NULL,
+    asset VARCHAR(20) NOT NULL,
+    available DECIMAL(20, 8) NOT NULL DEFAULT 0,
+    held DECIMAL(20, 8) NOT NULL DEFAULT 0 CHECK (held >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (client_id, asset)
+);
+
+-- Funds still held for each open order
+CREATE TABLE IF NOT EXISTS order_holds (
+    order_id VARCHAR(255) PRIMARY KEY,
+    client_id VARCHAR(255) NOT NULL,
+    asset VARCHAR(20) NOT NULL,
+    amount DECIMAL(20, 8) NOT NULL CHECK (amount >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Double-entry ledger; deposits and withdrawals balance against the @external account
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    entry_id BIGSERIAL PRIMARY KEY,
+    journal_id VARCHAR(255) NOT NULL,
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('deposit', 'withdrawal', 'hold', 'release', 'trade')),
+    reference_id VARCHAR(255),
+    client_id VARCHAR(255) NOT NULL,
+    asset VARCHAR(20) NOT NULL,
+    bucket VARCHAR(10) NOT NULL CHECK (bucket IN ('available', 'held')),
+    amount DECIMAL(20, 8) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_client ON ledger_entries(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_journal ON ledger_entries(journal_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_reference ON ledger_entries(reference_id);
@@ -0,0 +1,36 @@
+-- Fees in the quote asset (negative is a rebate), and the owners of both orders for fee reports and volume tiers
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS maker_fee DECIMAL(20, 8) NOT NULL DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS taker_fee DECIMAL(20, 8) NOT NULL DEFAULT 0;
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS buy_client_id VARCHAR(255);
+ALTER TABLE trades ADD COLUMN IF NOT EXISTS sell_client_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_trades_buy_client ON trades(buy_client_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_trades_sell_client ON trades(sell_client_id, timestamp);
+
+-- Maker/taker rates per tier; instrument '*' applies to instruments without a schedule of their own
+-- A client gets the highest tier whose min_volume_30d its 30-day traded notional reaches,
+-- or its assigned tier in client_fee_tiers if that is higher
+CREATE TABLE IF NOT EXISTS fee_schedules (
+    instrument VARCHAR(50) NOT NULL DEFAULT '*',
+    tier VARCHAR(50) NOT NULL,
+    min_volume_30d DECIMAL(30, 8) NOT NULL DEFAULT 0 CHECK (min_volume_30d >= 0),
+    maker_rate DECIMAL(12, 8) NOT NULL, -- fraction of notional, e.g. 0.001 = 10 bps; negative is a rebate
+    taker_rate DECIMAL(12, 8) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (instrument, tier),
+    CHECK (maker_rate + taker_rate >= 0) -- a maker rebate never exceeds the taker fee it is paid from
+);
+
+CREATE TABLE IF NOT EXISTS client_fee_tiers (
+    client_id VARCHAR(255) PRIMARY KEY,
+    tier VARCHAR(50) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO fee_schedules (instrument, tier, min_volume_30d, maker_rate, taker_rate)
+VALUES
+    ('*', 'standard', 0, 0.001, 0.002),
+    ('*', 'pro', 1000000, 0.0005, 0.0015),
+    ('*', 'market_maker', 10000000, -0.0001, 0.001)
+ON CONFLICT (instrument, tier) DO NOTHING;
+
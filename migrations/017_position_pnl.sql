@@ -0,0 +1,36 @@
+-- Realized PnL and FIFO lots per position; total_cost stays the average-cost basis
+ALTER TABLE client_positions ADD COLUMN IF NOT EXISTS realized_pnl DECIMAL(30, 8) NOT NULL DEFAULT 0;
+ALTER TABLE client_positions ADD COLUMN IF NOT EXISTS lots JSONB NOT NULL DEFAULT '[]'; -- [{ quantity, price }], oldest first, signed like net_quantity
+
+-- Positions opened before lots were tracked start as one lot at their average price
+UPDATE client_positions
+SET lots = jsonb_build_array(jsonb_build_object(
+    'quantity', net_quantity::text,
+    'price', ROUND(total_cost / net_quantity, 8)::text
+))
+WHERE net_quantity <> 0 AND lots = '[]'::jsonb;
+
+-- Clients that account for PnL other than the server default (PNL_METHOD)
+CREATE TABLE IF NOT EXISTS client_pnl_methods (
+    client_id VARCHAR(255) PRIMARY KEY,
+    method VARCHAR(10) NOT NULL CHECK (method IN ('fifo', 'average')),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every fill's effect on a position, written in the trade's settlement transaction
+CREATE TABLE IF NOT EXISTS pnl_history (
+    entry_id BIGSERIAL PRIMARY KEY,
+    client_id VARCHAR(255) NOT NULL,
+    instrument VARCHAR(50) NOT NULL,
+    trade_id VARCHAR(255) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    quantity DECIMAL(20, 8) NOT NULL, -- signed fill: positive bought, negative sold
+    price DECIMAL(20, 8) NOT NULL,
+    realized_pnl DECIMAL(30, 8) NOT NULL, -- realized by this fill
+    cumulative_realized_pnl DECIMAL(30, 8) NOT NULL,
+    net_quantity DECIMAL(20, 8) NOT NULL, -- position after the fill
+    cost_basis DECIMAL(30, 8) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pnl_history_client ON pnl_history(client_id, created_at);
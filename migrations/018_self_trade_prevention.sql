@@ -0,0 +1,17 @@
+-- Self-trade prevention: the incoming order's mode decides what happens when it would trade
+-- with an order of the same client, or of the same STP group
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS stp_mode VARCHAR(30)
+    CHECK (stp_mode IN ('none', 'cancel_newest', 'cancel_oldest', 'cancel_both', 'decrement_and_cancel'));
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS stp_group VARCHAR(255);
+
+-- Why an order was rejected or cancelled, e.g. by self-trade prevention; NULL when it was not, or not said
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reject_reason TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+
+-- Per-account defaults for orders that do not set them; NULL falls back to STP_MODE / no group
+CREATE TABLE IF NOT EXISTS client_stp_settings (
+    client_id VARCHAR(255) PRIMARY KEY,
+    stp_mode VARCHAR(30) CHECK (stp_mode IN ('none', 'cancel_newest', 'cancel_oldest', 'cancel_both', 'decrement_and_cancel')),
+    stp_group VARCHAR(255),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,9 @@
+-- Market order protection: a worst price (absolute, or a percentage from the best opposite
+-- price) and what happens to quantity that cannot fill within it
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS protection_price DECIMAL(20, 8);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS max_slippage_percent DECIMAL(20, 8);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS market_remainder VARCHAR(10) DEFAULT 'cancel'
+    CHECK (market_remainder IN ('cancel', 'rest'));
+
+-- Market buys that spend a quote amount; quantity is what the engine sized them at
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS quote_quantity DECIMAL(20, 8);
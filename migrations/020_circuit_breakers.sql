@@ -0,0 +1,11 @@
+-- Per-instrument circuit breakers; a NULL percentage turns that trigger off
+CREATE TABLE IF NOT EXISTS circuit_breakers (
+    instrument VARCHAR(50) PRIMARY KEY,
+    move_percent DECIMAL(10, 4) CHECK (move_percent > 0), -- max move from any trade in the window
+    window_seconds INTEGER NOT NULL DEFAULT 300 CHECK (window_seconds > 0),
+    band_percent DECIMAL(10, 4) CHECK (band_percent > 0 AND band_percent < 100), -- limit-up/limit-down
+    reference_price DECIMAL(20, 8) CHECK (reference_price > 0), -- band centre; NULL: first trade, then each auction price
+    cooldown_seconds INTEGER NOT NULL DEFAULT 300 CHECK (cooldown_seconds >= 0), -- halted before the reopening auction
+    auction_seconds INTEGER NOT NULL DEFAULT 60 CHECK (auction_seconds >= 0), -- collecting orders before uncrossing
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
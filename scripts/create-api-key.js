@@ -0,0 +1,49 @@
+import postgres from '../src/db/postgres.js';
+import logger from '../src/utils/logger.js';
+import apiKeyService from '../src/services/ApiKeyService.js';
+
+/**
+ * Issue an API key directly against the database, e.g. the first admin key
+ *
+ *   npm run create-api-key -- --client-id ops --scopes read,trade,admin --label "ops console"
+ *
+ * Prints the key and secret once; neither is stored
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args['client-id'] || !args.scopes) {
+    throw new Error('--client-id and --scopes are required');
+  }
+
+  logger.level = 'warn';
+
+  await postgres.connect();
+  try {
+    const { key, api_key, api_secret } = await apiKeyService.create({
+      client_id: args['client-id'],
+      scopes: args.scopes.split(','),
+      label: args.label || null,
+    });
+
+    console.log(`key_id:     ${key.key_id}`);
+    console.log(`client_id:  ${key.client_id}`);
+    console.log(`scopes:     ${key.scopes.join(', ')}`);
+    console.log(`api_key:    ${api_key}`);
+    console.log(`api_secret: ${api_secret}`);
+  } finally {
+    await postgres.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(2);
+});
@@ -25,9 +25,23 @@ until docker exec exchange-postgres pg_isready -U postgres > /dev/null 2>&1; do
     sleep 2
 done
 
-# Run migrations
+# Run the migrations not applied yet, in order; each one commits together with its row in schema_migrations
 echo "Running database migrations..."
-docker exec -i exchange-postgres psql -U postgres -d exchange < migrations/001_init.sql
+run_psql() {
+    docker exec -i exchange-postgres psql -v ON_ERROR_STOP=1 -q -U postgres -d exchange "$@"
+}
+run_psql -c "CREATE TABLE IF NOT EXISTS schema_migrations (version VARCHAR(255) PRIMARY KEY, applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP)" || exit 1
+for migration in migrations/*.sql; do
+    version=$(basename "$migration" .sql)
+    if [ -n "$(run_psql -tA -c "SELECT 1 FROM schema_migrations WHERE version = '$version'")" ]; then
+        continue
+    fi
+    echo "  $migration"
+    if ! { cat "$migration"; echo "INSERT INTO schema_migrations (version) VALUES ('$version');"; } | run_psql --single-transaction; then
+        echo "Error: migration $migration failed"
+        exit 1
+    fi
+done
 
 # Start the service
 echo "Starting exchange service..."
@@ -0,0 +1,175 @@
+import { AccountService, EXTERNAL_ACCOUNT, FEE_ACCOUNT } from '../services/AccountService.js';
+import instrumentRegistry from '../services/InstrumentRegistry.js';
+import { Instrument } from '../models/Instrument.js';
+import { Trade } from '../models/Trade.js';
+import postgres from '../db/postgres.js';
+import { parseDecimal, formatDecimal } from '../utils/decimal.js';
+
+/**
+ * In-memory stand-ins for the account tables, with transactions that roll back on error
+ */
+function useMemoryLedger() {
+  const state = { accounts: new Map(), holds: new Map(), ledger: [], trades: new Set(), positions: new Map(), pnl: [] };
+  const account = (clientId, asset) => {
+    const key = `${clientId}:${asset}`;
+    if (!state.accounts.has(key)) {
+      state.accounts.set(key, { client_id: clientId, asset, available: '0', held: '0' });
+    }
+    return state.accounts.get(key);
+  };
+
+  postgres.transaction = async (fn) => {
+    const saved = structuredClone({ ...state, trades: [...state.trades] });
+    try {
+      return await fn(postgres);
+    } catch (error) {
+      Object.assign(state, saved, { trades: new Set(saved.trades) });
+      throw error;
+    }
+  };
+  postgres.getAccount = async (clientId, asset) => state.accounts.get(`${clientId}:${asset}`) || null;
+  postgres.postLedgerEntries = async (journal) => journal.entries.map((entry) => {
+    const row = account(entry.client_id, entry.asset);
+    const updated = parseDecimal(row[entry.bucket]) + entry.amount;
+    if (entry.bucket === 'held' && updated < 0n) throw new Error('held must not be negative');
+    row[entry.bucket] = formatDecimal(updated);
+    state.ledger.push({ ...entry, journal_id: journal.journal_id, entry_type: journal.entry_type });
+    return { ...row };
+  });
+  postgres.getOrderHoldForUpdate = async (orderId) => state.holds.get(orderId) || null;
+  postgres.saveOrderHold = async (hold) => {
+    state.holds.set(hold.order_id, { ...hold, amount: formatDecimal(parseDecimal(hold.amount)) });
+  };
+  postgres.deleteOrderHold = async (orderId) => { state.holds.delete(orderId); };
+  postgres.saveTrade = async (trade) => {
+    if (state.trades.has(trade.trade_id)) return null;
+    state.trades.add(trade.trade_id);
+    return { trade_id: trade.trade_id };
+  };
+  postgres.getClientPositionForUpdate = async (clientId, instrument) => state.positions.get(`${clientId}:${instrument}`) || { client_id: clientId, instrument };
+  postgres.saveClientPosition = async (position) => {
+    state.positions.set(`${position.client_id}:${position.instrument}`, {
+      client_id: position.client_id,
+      instrument: position.instrument,
+      net_quantity: formatDecimal(position.net_quantity),
+      total_cost: formatDecimal(position.total_cost),
+      realized_pnl: formatDecimal(position.realized_pnl),
+      lots: position.lotsToDB(),
+    });
+  };
+  postgres.savePnlHistory = async (entry) => { state.pnl.push(entry); };
+
+  const balance = (clientId, asset) => {
+    const row = state.accounts.get(`${clientId}:${asset}`) || { available: '0', held: '0' };
+    return { available: row.available, held: row.held };
+  };
+  return { state, balance };
+}
+
+describe('AccountService', () => {
+  let accounts;
+  let ledger;
+
+  beforeEach(() => {
+    accounts = new AccountService();
+    ledger = useMemoryLedger();
+    instrumentRegistry.instruments.set('BTC-USD', new Instrument({
+      instrument: 'BTC-USD',
+      base_asset: 'BTC',
+      quote_asset: 'USD',
+      tick_size: '0.01',
+      lot_size: '0.001',
+    }));
+  });
+
+  const buyOrder = { order_id: 'buy-1', client_id: 'client-B' };
+  const sellOrder = { order_id: 'sell-1', client_id: 'client-A' };
+  const trade = (overrides = {}) => new Trade({
+    trade_id: 'trade-1',
+    buy_order_id: 'buy-1',
+    sell_order_id: 'sell-1',
+    instrument: 'BTC-USD',
+    price: '69000',
+    quantity: '0.5',
+    aggressor_side: 'buy',
+    buy_client_id: 'client-B',
+    sell_client_id: 'client-A',
+    ...overrides,
+  });
+
+  test('should balance deposits against the external account and refuse overdrawn withdrawals', async () => {
+    await accounts.deposit('client-A', 'USD', '1000');
+    await expect(accounts.withdraw('client-A', 'USD', '1000.01')).rejects.toMatchObject({ status: 400, reason: 'insufficient_balance' });
+    await accounts.withdraw('client-A', 'USD', '250');
+
+    expect(ledger.balance('client-A', 'USD')).toEqual({ available: '750', held: '0' });
+    expect(ledger.balance(EXTERNAL_ACCOUNT, 'USD')).toEqual({ available: '-750', held: '0' });
+    // The failed withdrawal left no ledger rows behind
+    expect(ledger.state.ledger.map(entry => entry.entry_type)).toEqual(['deposit', 'deposit', 'withdrawal', 'withdrawal']);
+  });
+
+  test('should hold funds for open orders and release them on close', async () => {
+    await accounts.deposit('client-B', 'USD', '50000');
+
+    await expect(accounts.holdFunds(buyOrder, { asset: 'USD', amount: parseDecimal('70000') })).rejects.toThrow('Insufficient USD balance');
+    await accounts.holdFunds(buyOrder, { asset: 'USD', amount: parseDecimal('35000') });
+    expect(ledger.balance('client-B', 'USD')).toEqual({ available: '15000', held: '35000' });
+
+    // An amendment resizes the hold
+    await accounts.holdFunds(buyOrder, { asset: 'USD', amount: parseDecimal('20000') });
+    expect(ledger.balance('client-B', 'USD')).toEqual({ available: '30000', held: '20000' });
+
+    await accounts.releaseHold(buyOrder);
+    expect(ledger.balance('client-B', 'USD')).toEqual({ available: '50000', held: '0' });
+    expect(ledger.state.holds.size).toBe(0);
+  });
+
+  test('should settle a fill from both holds with balanced ledger rows, once', async () => {
+    await accounts.deposit('client-B', 'USD', '50000');
+    await accounts.deposit('client-A', 'BTC', '2');
+    await accounts.holdFunds(buyOrder, { asset: 'USD', amount: parseDecimal('35000') }); // 0.5 @ 70000
+    await accounts.holdFunds(sellOrder, { asset: 'BTC', amount: parseDecimal('1') });
+
+    const settlement = await accounts.settleTrade(trade());
+    expect(settlement.positions.map(p => [p.client_id, formatDecimal(p.net_quantity)])).toEqual([['client-B', '0.5'], ['client-A', '-0.5']]);
+    expect(ledger.state.pnl.map(entry => [entry.client_id, entry.trade_id])).toEqual([['client-B', 'trade-1'], ['client-A', 'trade-1']]);
+    expect(await accounts.settleTrade(trade())).toBeNull();
+
+    // Filled at 69000 against a 70000 limit: the 500 saved stays held until the order closes
+    expect(ledger.balance('client-B', 'USD')).toEqual({ available: '15000', held: '500' });
+    expect(ledger.balance('client-B', 'BTC')).toEqual({ available: '0.5', held: '0' });
+    expect(ledger.balance('client-A', 'BTC')).toEqual({ available: '1', held: '0.5' });
+    expect(ledger.balance('client-A', 'USD')).toEqual({ available: '34500', held: '0' });
+
+    const tradeRows = ledger.state.ledger.filter(entry => entry.entry_type === 'trade');
+    expect(new Set(tradeRows.map(entry => entry.journal_id)).size).toBe(1);
+    for (const asset of ['USD', 'BTC']) {
+      expect(tradeRows.filter(entry => entry.asset === asset).reduce((sum, entry) => sum + entry.amount, 0n)).toBe(0n);
+    }
+
+    await accounts.releaseHold(buyOrder);
+    expect(ledger.balance('client-B', 'USD')).toEqual({ available: '15500', held: '0' });
+  });
+
+  test('should take a fill beyond the hold from available', async () => {
+    await accounts.deposit('client-B', 'USD', '50000');
+    await accounts.deposit('client-A', 'BTC', '1');
+    await accounts.holdFunds(buyOrder, { asset: 'USD', amount: parseDecimal('30000') }); // market buy estimate
+
+    await accounts.settleTrade(trade());
+    expect(ledger.balance('client-B', 'USD')).toEqual({ available: '15500', held: '0' });
+    expect(ledger.balance('client-A', 'BTC')).toEqual({ available: '0.5', held: '0' });
+  });
+
+  test('should charge fees to both sides and pay them to the fee account', async () => {
+    await accounts.deposit('client-B', 'USD', '50000');
+    await accounts.deposit('client-A', 'BTC', '1');
+    await accounts.holdFunds(buyOrder, { asset: 'USD', amount: parseDecimal('34569') }); // 0.5 @ 69000 plus a 0.2% fee
+
+    await accounts.settleTrade(trade({ taker_fee: '69', maker_fee: '-3.45' }));
+
+    expect(ledger.balance('client-B', 'USD')).toEqual({ available: '15431', held: '0' });
+    expect(ledger.balance('client-A', 'USD')).toEqual({ available: '34503.45', held: '0' });
+    expect(ledger.balance(FEE_ACCOUNT, 'USD')).toEqual({ available: '65.55', held: '0' });
+  });
+});
@@ -0,0 +1,199 @@
+import { ApiKeyService, deriveSecret, hashApiKey, signRequest } from '../services/ApiKeyService.js';
+import { requireScope } from '../middleware/auth.js';
+import { ExchangeService } from '../services/ExchangeService.js';
+import { MatchingEngine } from '../matching/MatchingEngine.js';
+import { Order } from '../models/Order.js';
+import postgres from '../db/postgres.js';
+import redis from '../db/redis.js';
+import kafkaProducer from '../kafka/producer.js';
+import { parseDecimal } from '../utils/decimal.js';
+
+const API_KEY = 'ak_test';
+
+describe('API key authentication', () => {
+  let service;
+  let keyRow;
+  let nonces;
+
+  beforeEach(() => {
+    service = new ApiKeyService();
+    keyRow = {
+      key_id: 'key-1',
+      key_hash: hashApiKey(API_KEY),
+      client_id: 'client-A',
+      scopes: ['read', 'trade'],
+      label: null,
+      created_at: new Date(),
+      revoked_at: null,
+    };
+    nonces = new Set();
+
+    postgres.getApiKeyByHash = async (hash) => (hash === keyRow.key_hash ? keyRow : null);
+    redis.setIfNotExists = async (key) => {
+      if (nonces.has(key)) return false;
+      nonces.add(key);
+      return true;
+    };
+  });
+
+  const signed = (overrides = {}) => {
+    const request = {
+      timestamp: String(Date.now()),
+      nonce: 'nonce-1',
+      method: 'POST',
+      path: '/orders',
+      body: '{"side":"buy"}',
+      ...overrides,
+    };
+    return {
+      apiKey: API_KEY,
+      signature: signRequest(deriveSecret(service.masterSecret, API_KEY), request),
+      ...request,
+    };
+  };
+
+  test('should accept a correctly signed request and take client_id from the key', async () => {
+    await expect(service.authenticate(signed())).resolves.toEqual({
+      key_id: 'key-1',
+      client_id: 'client-A',
+      scopes: ['read', 'trade'],
+    });
+  });
+
+  test('should reject a tampered body, unknown key or revoked key', async () => {
+    await expect(service.authenticate({ ...signed(), body: '{"side":"sell"}' })).rejects.toThrow('Invalid signature');
+    await expect(service.authenticate({ ...signed(), apiKey: 'ak_other' })).rejects.toThrow('Invalid API key');
+
+    // Revoking drops the cached key straight away
+    postgres.revokeApiKey = async () => {
+      keyRow.revoked_at = new Date();
+      return keyRow;
+    };
+    await service.revoke('key-1');
+    await expect(service.authenticate(signed({ nonce: 'nonce-2' }))).rejects.toThrow('Invalid API key');
+  });
+
+  test('should reject stale timestamps and reused nonces', async () => {
+    const stale = signed({ timestamp: String(Date.now() - 10 * 60 * 1000) });
+    await expect(service.authenticate(stale)).rejects.toMatchObject({ status: 401, message: expect.stringContaining('timestamp') });
+
+    const request = signed();
+    await service.authenticate(request);
+    await expect(service.authenticate(request)).rejects.toThrow('Nonce has already been used');
+  });
+
+  test('should enforce scopes', () => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    let calls = 0;
+    const next = () => { calls++; };
+
+    requireScope('trade')({ auth: { scopes: ['read', 'trade'] } }, res, next);
+    expect(calls).toBe(1);
+
+    requireScope('admin')({ auth: { scopes: ['read', 'trade'] } }, res, next);
+    expect(calls).toBe(1);
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toContain('admin scope');
+  });
+});
+
+describe('Ownership authorization', () => {
+  let service;
+  let engine;
+  let denials;
+
+  beforeEach(async () => {
+    service = new ExchangeService();
+    engine = new MatchingEngine('BTC-USD');
+    service.engines.set('BTC-USD', engine);
+    denials = [];
+
+    await engine.processOrder(new Order({
+      order_id: 'order-2',
+      client_id: 'client-A',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 71000,
+      quantity: 1,
+    }), () => {}, () => {});
+
+    postgres.getOrder = async (orderId) => (orderId === 'order-1' ? {
+      order_id: 'order-1',
+      client_id: 'client-A',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: '70000',
+      quantity: '1',
+      filled_quantity: '1',
+      status: 'filled',
+    } : null);
+    postgres.getClientPositions = async () => [];
+    postgres.saveAccessDenial = async (entry) => { denials.push(entry); };
+  });
+
+  const caller = (clientId, scopes = ['read', 'trade']) => ({ key_id: `key-${clientId}`, client_id: clientId, scopes });
+
+  test('should let clients read only their own orders and positions', async () => {
+    await expect(service.getOrder('order-1', caller('client-A'))).resolves.toMatchObject({ order_id: 'order-1' });
+    await expect(service.getClientPositions('client-A', caller('client-A'))).resolves.toEqual([]);
+
+    await expect(service.getOrder('order-1', caller('client-B'))).rejects.toMatchObject({ status: 403 });
+    await expect(service.getClientPositions('client-A', caller('client-B'))).rejects.toMatchObject({ status: 403 });
+    await expect(service.cancelOrder('order-2', 'BTC-USD', caller('client-B'))).rejects.toMatchObject({ status: 403 });
+    await expect(service.amendOrder('order-2', { quantity: '0.5' }, 'BTC-USD', caller('client-B'))).rejects.toMatchObject({ status: 403 });
+    expect(engine.getOrder('order-2').quantity).toBe(parseDecimal('1'));
+
+    expect(denials.map(entry => [entry.client_id, entry.action, entry.resource_id, entry.owner_client_id])).toEqual([
+      ['client-B', 'read', 'order-1', 'client-A'],
+      ['client-B', 'read', 'client-A', 'client-A'],
+      ['client-B', 'cancel', 'order-2', 'client-A'],
+      ['client-B', 'amend', 'order-2', 'client-A'],
+    ]);
+  });
+
+  test('should cancel an order resting on another instrument without being told which', async () => {
+    const ethEngine = new MatchingEngine('ETH-USD');
+    service.engines.set('ETH-USD', ethEngine);
+    await ethEngine.processOrder(new Order({
+      order_id: 'order-3',
+      client_id: 'client-A',
+      instrument: 'ETH-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 3000,
+      quantity: 1,
+    }), () => {}, () => {});
+
+    const saved = [];
+    const released = [];
+    postgres.saveOrder = async (order) => { saved.push(order.order_id); };
+    postgres.saveOrderEvent = async () => {};
+    postgres.transaction = async (fn) => fn(postgres);
+    postgres.getOrderHoldForUpdate = async (orderId) => { released.push(orderId); return null; };
+    kafkaProducer.sendOrder = async () => {};
+    kafkaProducer.sendOrderBookUpdate = async () => {};
+    redis.publish = async () => {};
+
+    const order = await service.cancelOrder('order-3', null, caller('client-A'));
+
+    expect(order.status).toBe('cancelled');
+    expect(ethEngine.getOrder('order-3')).toBeUndefined();
+    expect(saved).toEqual(['order-3']);
+    expect(released).toEqual(['order-3']);
+
+    // A closed order found only in Postgres is not cancelled again
+    await expect(service.cancelOrder('order-1', null, caller('client-A'))).rejects.toMatchObject({ status: 409 });
+    expect(saved).toEqual(['order-3']);
+  });
+
+  test('should let admin keys override ownership without a denial', async () => {
+    await expect(service.getOrder('order-1', caller('ops', ['admin']))).resolves.toMatchObject({ client_id: 'client-A' });
+    await expect(service.getClientPositions('client-A', caller('ops', ['admin']))).resolves.toEqual([]);
+    expect(denials).toEqual([]);
+  });
+});
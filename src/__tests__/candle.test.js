@@ -0,0 +1,214 @@
+import express from 'express';
+import request from 'supertest';
+import { Candle, candleOpenTime } from '../models/Candle.js';
+import { Trade } from '../models/Trade.js';
+import { CandleService } from '../services/CandleService.js';
+import candleService from '../services/CandleService.js';
+import apiKeyService from '../services/ApiKeyService.js';
+import instrumentRegistry from '../services/InstrumentRegistry.js';
+import { Instrument } from '../models/Instrument.js';
+import marketRoutes from '../routes/market.js';
+import postgres from '../db/postgres.js';
+import redis from '../db/redis.js';
+
+const makeTrade = (price, quantity, timestamp) => new Trade({
+  trade_id: `trade-${timestamp}`,
+  buy_order_id: 'buy-1',
+  sell_order_id: 'sell-1',
+  instrument: 'BTC-USD',
+  price,
+  quantity,
+  timestamp: new Date(timestamp),
+});
+
+describe('Candle', () => {
+  test('should align buckets to the epoch and weeks to Monday', () => {
+    const time = '2024-01-03T13:47:25.123Z'; // a Wednesday
+
+    expect(candleOpenTime(time, '1m').toISOString()).toBe('2024-01-03T13:47:00.000Z');
+    expect(candleOpenTime(time, '15m').toISOString()).toBe('2024-01-03T13:45:00.000Z');
+    expect(candleOpenTime(time, '4h').toISOString()).toBe('2024-01-03T12:00:00.000Z');
+    expect(candleOpenTime(time, '1d').toISOString()).toBe('2024-01-03T00:00:00.000Z');
+    expect(candleOpenTime(time, '1w').toISOString()).toBe('2024-01-01T00:00:00.000Z');
+    expect(candleOpenTime('2024-01-01T00:00:00Z', '1w').toISOString()).toBe('2024-01-01T00:00:00.000Z');
+    expect(() => candleOpenTime(time, '2m')).toThrow('resolution must be one of');
+  });
+
+  test('should build OHLCV from trades by timestamp, not arrival order', () => {
+    const candle = Candle.fromTrade(makeTrade('70000', '1', '2024-01-03T13:47:10Z'), '1m');
+
+    candle.addTrade(makeTrade('70100', '0.5', '2024-01-03T13:47:50Z'));
+    candle.addTrade(makeTrade('69900', '2', '2024-01-03T13:47:30Z'));
+    candle.addTrade(makeTrade('70050', '0.25', '2024-01-03T13:47:01Z')); // late, but earliest
+
+    expect(candle.toJSON()).toEqual({
+      instrument: 'BTC-USD',
+      resolution: '1m',
+      open_time: new Date('2024-01-03T13:47:00Z'),
+      close_time: new Date('2024-01-03T13:48:00Z'),
+      open: '70050',
+      high: '70100',
+      low: '69900',
+      close: '70100',
+      volume: '3.75',
+      quote_volume: '262362.5',
+      trade_count: 4,
+    });
+  });
+
+  test('should create candle from DB row', () => {
+    const candle = Candle.fromDB({
+      instrument: 'BTC-USD',
+      resolution: '1h',
+      open_time: new Date('2024-01-03T13:00:00Z'),
+      open: '70000.00000000',
+      high: '70100.00000000',
+      low: '69900.00000000',
+      close: '70050.00000000',
+      volume: '3.50000000',
+      quote_volume: '245000.00000000',
+      trade_count: 3,
+      first_trade_at: new Date('2024-01-03T13:01:00Z'),
+      last_trade_at: new Date('2024-01-03T13:59:00Z'),
+    });
+
+    expect(candle.close_time.toISOString()).toBe('2024-01-03T14:00:00.000Z');
+    expect(candle.toJSON().close).toBe('70050');
+    expect(candle.toJSON().volume).toBe('3.5');
+  });
+});
+
+describe('CandleService', () => {
+  let service;
+  let bars;
+  let published;
+
+  beforeEach(() => {
+    service = new CandleService();
+    bars = new Map();
+    published = [];
+
+    // Same merge as the ON CONFLICT clause of postgres.upsertCandles
+    postgres.upsertCandles = async (candles) => candles.map((candle) => {
+      const key = `${candle.instrument}:${candle.resolution}:${candle.open_time.toISOString()}`;
+      const bar = bars.get(key);
+      if (!bar) {
+        bars.set(key, candle);
+        return candle;
+      }
+      if (candle.first_trade_at < bar.first_trade_at) {
+        bar.open = candle.open;
+        bar.first_trade_at = candle.first_trade_at;
+      }
+      if (candle.last_trade_at >= bar.last_trade_at) {
+        bar.close = candle.close;
+        bar.last_trade_at = candle.last_trade_at;
+      }
+      if (candle.high > bar.high) bar.high = candle.high;
+      if (candle.low < bar.low) bar.low = candle.low;
+      bar.volume += candle.volume;
+      bar.quote_volume += candle.quote_volume;
+      bar.trade_count += candle.trade_count;
+      return bar;
+    });
+    redis.publish = async (channel, message) => { published.push([channel, message]); };
+  });
+
+  const lastPublished = (channel) => published.filter(([c]) => c === channel).at(-1)?.[1];
+
+  test('should fold trades in the same bucket into one bar at every resolution', async () => {
+    await service.recordTrade(makeTrade('70000', '1', '2024-01-03T13:47:10Z'));
+    await service.recordTrade(makeTrade('70100', '0.5', '2024-01-03T13:47:50Z'));
+    await service.recordTrade(makeTrade('69900', '2', '2024-01-03T13:47:30Z'));
+
+    expect(bars.size).toBe(7);
+    expect(published).toHaveLength(21);
+    expect(lastPublished('candles:BTC-USD:1m')).toMatchObject({
+      open_time: new Date('2024-01-03T13:47:00Z'),
+      open: '70000',
+      high: '70100',
+      low: '69900',
+      close: '70100',
+      volume: '3.5',
+      trade_count: 3,
+    });
+    expect(lastPublished('candles:BTC-USD:1w')).toMatchObject({ volume: '3.5', trade_count: 3 });
+  });
+
+  test('should open a new bar when a trade crosses into the next bucket', async () => {
+    await service.recordTrade(makeTrade('70000', '1', '2024-01-03T13:47:10Z'));
+    await service.recordTrade(makeTrade('70100', '0.5', '2024-01-03T13:48:00Z'));
+
+    expect(lastPublished('candles:BTC-USD:1m')).toMatchObject({
+      open_time: new Date('2024-01-03T13:48:00Z'),
+      open: '70100',
+      close: '70100',
+      volume: '0.5',
+      trade_count: 1,
+    });
+    expect(bars.get('BTC-USD:1m:2024-01-03T13:47:00.000Z').toJSON()).toMatchObject({ close: '70000', trade_count: 1 });
+
+    // Both minutes fall in the same hour
+    expect(lastPublished('candles:BTC-USD:1h')).toMatchObject({
+      open_time: new Date('2024-01-03T13:00:00Z'),
+      open: '70000',
+      close: '70100',
+      volume: '1.5',
+      trade_count: 2,
+    });
+    expect(bars.size).toBe(8);
+  });
+});
+
+describe('GET /market/candles', () => {
+  let app;
+  let queries;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/market', marketRoutes);
+
+    instrumentRegistry.instruments.set('BTC-USD', new Instrument({
+      instrument: 'BTC-USD',
+      base_asset: 'BTC',
+      quote_asset: 'USD',
+      tick_size: '0.01',
+      lot_size: '0.001',
+    }));
+    queries = [];
+    apiKeyService.authenticate = async () => ({ key_id: 'key-1', client_id: 'client-A', scopes: ['read'] });
+    candleService.getCandles = async (...args) => {
+      queries.push(args);
+      return [Candle.fromTrade(makeTrade('70000', '1', '2024-01-03T13:47:10Z'), '1h')];
+    };
+  });
+
+  test('should reject an unknown resolution', async () => {
+    const res = await request(app).get('/market/candles').query({ instrument: 'BTC-USD', resolution: '2m' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toMatch('resolution must be one of 1m, 5m, 15m, 1h, 4h, 1d, 1w');
+    expect(queries).toEqual([]);
+  });
+
+  test('should return the bars for a known resolution', async () => {
+    const res = await request(app).get('/market/candles').query({
+      instrument: 'BTC-USD',
+      resolution: '1h',
+      end_time: '2024-01-03T14:00:00Z',
+      limit: 24,
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      instrument: 'BTC-USD',
+      resolution: '1h',
+      start_time: '2024-01-02T14:00:00.000Z',
+      end_time: '2024-01-03T14:00:00.000Z',
+      count: 1,
+    });
+    expect(res.body.candles[0]).toMatchObject({ open_time: '2024-01-03T13:00:00.000Z', open: '70000', volume: '1' });
+    expect(queries).toEqual([['BTC-USD', '1h', new Date('2024-01-02T14:00:00Z'), new Date('2024-01-03T14:00:00Z'), 24]]);
+  });
+});
@@ -0,0 +1,196 @@
+import { ExchangeService } from '../services/ExchangeService.js';
+import { MatchingEngine } from '../matching/MatchingEngine.js';
+import instrumentRegistry from '../services/InstrumentRegistry.js';
+import accountService from '../services/AccountService.js';
+import candleService from '../services/CandleService.js';
+import { Instrument } from '../models/Instrument.js';
+import { Order } from '../models/Order.js';
+import postgres from '../db/postgres.js';
+import redis from '../db/redis.js';
+import kafkaProducer from '../kafka/producer.js';
+import config from '../config/index.js';
+import { parseDecimal } from '../utils/decimal.js';
+
+describe('ExchangeService', () => {
+  let service;
+  let holds;
+
+  beforeEach(() => {
+    service = new ExchangeService();
+    instrumentRegistry.instruments.set('BTC-USD', new Instrument({
+      instrument: 'BTC-USD',
+      base_asset: 'BTC',
+      quote_asset: 'USD',
+      tick_size: '0.01',
+      lot_size: '0.001',
+    }));
+
+    holds = new Map();
+    accountService.holdFunds = async (order, hold) => { holds.set(order.order_id, hold); };
+    accountService.releaseHold = async (order) => { holds.delete(order.order_id); };
+    postgres.saveOrder = async () => {};
+    postgres.saveOrderEvent = async () => {};
+    kafkaProducer.sendOrder = async () => {};
+    kafkaProducer.sendOrderEvent = async () => {};
+    kafkaProducer.sendOrderBookUpdate = async () => {};
+    kafkaProducer.sendTrade = async () => {};
+    candleService.recordTrade = async () => {};
+    redis.publish = async () => {};
+  });
+
+  const limitOrder = (overrides = {}) => ({
+    order_id: 'bid-1',
+    client_id: 'client-A',
+    instrument: 'BTC-USD',
+    side: 'buy',
+    type: 'limit',
+    price: '70000',
+    quantity: '1',
+    ...overrides,
+  });
+
+  test('should release an order\'s hold when it fails before reaching the book', async () => {
+    service.engines.set('BTC-USD', new MatchingEngine('BTC-USD', { journal: async () => { throw new Error('database down'); } }));
+
+    await expect(service.submitOrder(limitOrder())).rejects.toThrow('database down');
+    expect(holds.has('bid-1')).toBe(false);
+
+    postgres.saveOrder = async () => { throw new Error('database down'); };
+    await expect(service.submitOrder(limitOrder({ order_id: 'bid-2' }))).rejects.toThrow('database down');
+    expect(holds.has('bid-2')).toBe(false);
+  });
+
+  test('should keep the hold of an order resting in the book', async () => {
+    service.engines.set('BTC-USD', new MatchingEngine('BTC-USD'));
+
+    await service.submitOrder(limitOrder());
+
+    expect(holds.get('bid-1')).toEqual({ asset: 'USD', amount: parseDecimal('70000') });
+  });
+
+  test('should answer once fills are settled, and retry a settlement that failed until it goes through', async () => {
+    const engine = new MatchingEngine('BTC-USD');
+    service.engines.set('BTC-USD', engine);
+    await engine.processOrder(new Order(limitOrder({ order_id: 'ask-1', client_id: 'client-B', side: 'sell' })));
+
+    const settled = [];
+    let down = true;
+    accountService.settleTrade = async (trade) => {
+      if (down) throw new Error('database down');
+      settled.push(trade.trade_id);
+      return { positions: [] };
+    };
+
+    const { trades } = await service.submitOrder(limitOrder());
+
+    expect(service.getUnsettledTrades()).toEqual([
+      { trade_id: trades[0].trade_id, instrument: 'BTC-USD', attempts: 1, error: 'database down' },
+    ]);
+    await expect(service.retrySettlements()).resolves.toBe(1);
+    expect(service.getUnsettledTrades()[0].attempts).toBe(2);
+
+    down = false;
+    await expect(service.retrySettlements()).resolves.toBe(0);
+    expect(settled).toEqual([trades[0].trade_id]);
+    expect(service.getUnsettledTrades()).toEqual([]);
+  });
+
+  describe('reduce-only clamp', () => {
+    let engine;
+
+    beforeEach(() => {
+      engine = new MatchingEngine('BTC-USD');
+      service.engines.set('BTC-USD', engine);
+    });
+
+    const withPosition = (netQuantity) => {
+      postgres.getClientPosition = async () => (netQuantity === null ? null : { net_quantity: netQuantity });
+    };
+    const clamp = (side, quantity) => service._reduceOnlyQuantity('client-A', 'BTC-USD', side, quantity);
+
+    test('should reject reduce-only orders while flat', async () => {
+      withPosition(null);
+      await expect(clamp('buy', '1')).rejects.toThrow('would increase position');
+      withPosition('0');
+      await expect(clamp('sell', '1')).rejects.toThrow('would increase position');
+    });
+
+    test('should let a long position be reduced only by sells', async () => {
+      withPosition('2');
+      await expect(clamp('sell', '0.5')).resolves.toBe(parseDecimal('0.5'));
+      await expect(clamp('buy', '0.5')).rejects.toThrow('would increase position');
+    });
+
+    test('should let a short position be reduced only by buys', async () => {
+      withPosition('-1.5');
+      await expect(clamp('buy', '1')).resolves.toBe(parseDecimal('1'));
+      await expect(clamp('sell', '1')).rejects.toThrow('would increase position');
+    });
+
+    test('should cap an order larger than the position, less reduce-only orders already resting', async () => {
+      withPosition('2');
+      await expect(clamp('sell', '5')).resolves.toBe(parseDecimal('2'));
+
+      await engine.processOrder(new Order(limitOrder({ order_id: 'ask-1', side: 'sell', quantity: '1.5', reduce_only: true })));
+      await expect(clamp('sell', '5')).resolves.toBe(parseDecimal('0.5'));
+
+      await engine.processOrder(new Order(limitOrder({ order_id: 'ask-2', side: 'sell', quantity: '0.5', reduce_only: true })));
+      await expect(clamp('sell', '0.1')).rejects.toThrow('would increase position');
+    });
+  });
+
+  describe('DAY and GTD expiry', () => {
+    const sessionEnd = config.matching.sessionEnd;
+
+    afterEach(() => {
+      config.matching.sessionEnd = sessionEnd;
+    });
+
+    test('should end DAY orders at the next session boundary', () => {
+      config.matching.sessionEnd = '21:30';
+
+      expect(service._nextSessionEnd(new Date('2026-03-02T09:00:00Z'))).toEqual(new Date('2026-03-02T21:30:00Z'));
+      // At or past the boundary, the session has ended: the next one is tomorrow's
+      expect(service._nextSessionEnd(new Date('2026-03-02T21:30:00Z'))).toEqual(new Date('2026-03-03T21:30:00Z'));
+      expect(service._nextSessionEnd(new Date('2026-03-02T23:59:00Z'))).toEqual(new Date('2026-03-03T21:30:00Z'));
+      // Across a month end
+      expect(service._nextSessionEnd(new Date('2026-02-28T22:00:00Z'))).toEqual(new Date('2026-03-01T21:30:00Z'));
+
+      config.matching.sessionEnd = '00:00';
+      expect(service._nextSessionEnd(new Date('2026-12-31T12:00:00Z'))).toEqual(new Date('2027-01-01T00:00:00Z'));
+    });
+
+    test('should stamp DAY orders with the session end when they are submitted', async () => {
+      service.engines.set('BTC-USD', new MatchingEngine('BTC-USD'));
+
+      const { order } = await service.submitOrder(limitOrder({ time_in_force: 'DAY' }));
+
+      expect(order.expire_at).toEqual(service._nextSessionEnd(order.created_at));
+    });
+
+    test('should expire orders past their expire_at in the sweep and release their holds', async () => {
+      const engine = new MatchingEngine('BTC-USD');
+      service.engines.set('BTC-USD', engine);
+      const expireAt = new Date('2026-03-02T21:30:00Z');
+      for (const [orderId, timeInForce, expiresAt] of [['day-1', 'DAY', expireAt], ['gtd-1', 'GTD', new Date('2026-03-03T12:00:00Z')], ['gtc-1', 'GTC', null]]) {
+        await engine.processOrder(new Order(limitOrder({ order_id: orderId, time_in_force: timeInForce, expire_at: expiresAt })));
+        holds.set(orderId, { asset: 'USD', amount: parseDecimal('70000') });
+      }
+      const saved = [];
+      postgres.saveOrder = async (order) => { saved.push([order.order_id, order.status]); };
+
+      await service.expireOrders(new Date(expireAt.getTime() - 1000));
+      expect(saved).toEqual([]);
+
+      await service.expireOrders(expireAt);
+      expect(saved).toEqual([['day-1', 'expired']]);
+      expect(engine.getOrder('day-1')).toBeUndefined();
+      expect([...holds.keys()]).toEqual(['gtd-1', 'gtc-1']);
+
+      await service.expireOrders(new Date('2026-03-04T00:00:00Z'));
+      expect(saved).toEqual([['day-1', 'expired'], ['gtd-1', 'expired']]);
+      expect([...holds.keys()]).toEqual(['gtc-1']);
+      expect(engine.getOrder('gtc-1').status).toBe('open');
+    });
+  });
+});
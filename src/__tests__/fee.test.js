@@ -0,0 +1,89 @@
+import { FeeService } from '../services/FeeService.js';
+import { Trade } from '../models/Trade.js';
+import postgres from '../db/postgres.js';
+import { parseDecimal, formatDecimal } from '../utils/decimal.js';
+
+describe('FeeService', () => {
+  let fees;
+
+  beforeEach(async () => {
+    fees = new FeeService();
+    postgres.getFeeSchedules = async () => [
+      { instrument: '*', tier: 'standard', min_volume_30d: '0', maker_rate: '0.001', taker_rate: '0.002' },
+      { instrument: '*', tier: 'market_maker', min_volume_30d: '10000000', maker_rate: '-0.0001', taker_rate: '0.001' },
+      { instrument: '*', tier: 'pro', min_volume_30d: '1000000', maker_rate: '0.0005', taker_rate: '0.0015' },
+      { instrument: 'ETH-USD', tier: 'standard', min_volume_30d: '0', maker_rate: '0', taker_rate: '0.001' },
+    ];
+    postgres.getClientFeeTiers = async () => [{ client_id: 'client-C', tier: 'pro' }];
+    postgres.getClientVolumes = async () => [
+      { client_id: 'client-A', volume: '12000000' },
+      { client_id: 'client-B', volume: '5000' },
+    ];
+    await fees.load();
+  });
+
+  const rates = (clientId, instrument = 'BTC-USD') => {
+    const { tier, maker_rate, taker_rate } = fees.getRates(clientId, instrument);
+    return [tier, formatDecimal(maker_rate), formatDecimal(taker_rate)];
+  };
+
+  test('should pick the tier from 30-day volume, with an assigned tier as a floor', () => {
+    expect(rates('client-A')).toEqual(['market_maker', '-0.0001', '0.001']);
+    expect(rates('client-B')).toEqual(['standard', '0.001', '0.002']);
+    expect(rates('client-C')).toEqual(['pro', '0.0005', '0.0015']);
+    expect(rates('unknown')).toEqual(['standard', '0.001', '0.002']);
+
+    // An instrument with its own schedule ignores the default one
+    expect(rates('client-A', 'ETH-USD')).toEqual(['standard', '0', '0.001']);
+  });
+
+  test('should charge the taker fee and pay the maker rebate, then count the volume', () => {
+    const trade = fees.applyFees(new Trade({
+      trade_id: 'trade-1',
+      buy_order_id: 'buy-1',
+      sell_order_id: 'sell-1',
+      instrument: 'BTC-USD',
+      price: '70000',
+      quantity: '2',
+      aggressor_side: 'buy',
+      buy_client_id: 'client-B',
+      sell_client_id: 'client-A',
+    }));
+
+    expect(trade.toJSON()).toMatchObject({ aggressor_side: 'buy', maker_fee: '-14', taker_fee: '280' });
+    expect(trade.feeFor('buy')).toBe(parseDecimal('280'));
+    expect(trade.feeFor('sell')).toBe(parseDecimal('-14'));
+    expect(trade.toPublicJSON()).not.toHaveProperty('maker_fee');
+    // Each order's owner sees its own fee, not the counterparty's
+    expect(trade.toOrderJSON('buy-1')).toMatchObject({ liquidity: 'taker', fee: '280' });
+    expect(trade.toOrderJSON('sell-1')).toMatchObject({ liquidity: 'maker', fee: '-14' });
+    expect(trade.toOrderJSON('buy-1')).not.toHaveProperty('maker_fee');
+    expect(trade.toOrderJSON('stop-1')).toEqual(trade.toPublicJSON());
+    expect(fees.getVolume('client-B')).toBe(parseDecimal('145000'));
+  });
+
+  test('should upgrade a client once its volume crosses a tier threshold', () => {
+    fees.volumes.set('client-B', parseDecimal('999999'));
+    expect(rates('client-B')[0]).toBe('standard');
+
+    fees.applyFees(new Trade({
+      trade_id: 'trade-2',
+      buy_order_id: 'buy-2',
+      sell_order_id: 'sell-2',
+      instrument: 'BTC-USD',
+      price: '10',
+      quantity: '1',
+      aggressor_side: 'sell',
+      buy_client_id: 'client-B',
+      sell_client_id: 'client-A',
+    }));
+    expect(rates('client-B')[0]).toBe('pro');
+  });
+
+  test('should charge nothing without a schedule', async () => {
+    postgres.getFeeSchedules = async () => [];
+    await fees.load();
+    expect(rates('client-A')).toEqual([null, '0', '0']);
+    expect(fees.getMaxRate('client-A', 'BTC-USD')).toBe(0n);
+  });
+});
@@ -0,0 +1,96 @@
+import { Instrument } from '../models/Instrument.js';
+import { parseDecimal } from '../utils/decimal.js';
+
+const makeInstrument = (overrides = {}) => new Instrument({
+  instrument: 'BTC-USD',
+  base_asset: 'BTC',
+  quote_asset: 'USD',
+  tick_size: '0.01',
+  lot_size: '0.001',
+  min_quantity: '0.001',
+  max_quantity: '100',
+  min_notional: '10',
+  price_band_percent: '10',
+  ...overrides,
+});
+
+const limitOrder = (price, quantity, extra = {}) => ({
+  type: 'limit',
+  price: parseDecimal(price),
+  quantity: parseDecimal(quantity),
+  ...extra,
+});
+
+describe('Instrument', () => {
+  test('should accept an order that fits every constraint', () => {
+    const instrument = makeInstrument();
+
+    expect(() => instrument.checkOrder(limitOrder('70000.01', '0.5'), parseDecimal('70000'))).not.toThrow();
+  });
+
+  test('should reject prices and quantities off the tick and lot grid', () => {
+    const instrument = makeInstrument();
+
+    expect(() => instrument.checkOrder(limitOrder('70000.005', '0.5'))).toThrow('multiple of tick size 0.01');
+    expect(() => instrument.checkOrder(limitOrder('70000', '0.0005'))).toThrow('multiple of lot size 0.001');
+  });
+
+  test('should enforce quantity limits and min notional', () => {
+    const instrument = makeInstrument({ min_quantity: '0.01' });
+
+    expect(() => instrument.checkOrder(limitOrder('70000', '0.005'))).toThrow('at least 0.01');
+    expect(() => instrument.checkOrder(limitOrder('70000', '101'))).toThrow('at most 100');
+    expect(() => instrument.checkOrder(limitOrder('100', '0.05'))).toThrow('order value must be at least 10 USD');
+
+    // Market orders use the last trade price, and skip the check before the first trade
+    const market = { type: 'market', quantity: parseDecimal('0.05') };
+    expect(() => instrument.checkOrder(market, parseDecimal('100'))).toThrow('order value');
+    expect(() => instrument.checkOrder(market, null)).not.toThrow();
+  });
+
+  test('should reject limit prices outside the band around the last trade price', () => {
+    const instrument = makeInstrument();
+    const lastPrice = parseDecimal('70000');
+
+    expect(() => instrument.checkOrder(limitOrder('77000', '0.5'), lastPrice)).not.toThrow();
+    expect(() => instrument.checkOrder(limitOrder('77000.01', '0.5'), lastPrice)).toThrow('within 10%');
+    expect(() => instrument.checkOrder(limitOrder('62999.99', '0.5'), lastPrice)).toThrow('within 10%');
+    expect(() => instrument.checkOrder(limitOrder('10', '5'), null)).not.toThrow();
+  });
+
+  test('should gate orders on trading status', () => {
+    const instrument = makeInstrument();
+
+    instrument.setStatus('halted');
+    expect(() => instrument.checkOrder(limitOrder('70000', '0.5'))).toThrow('halted');
+
+    instrument.setStatus('post_only');
+    expect(() => instrument.checkOrder(limitOrder('70000', '0.5'))).toThrow('post-only mode');
+    expect(() => instrument.checkOrder(limitOrder('70000', '0.5', { post_only: true }))).not.toThrow();
+
+    instrument.setStatus('closed');
+    expect(() => instrument.checkOrder(limitOrder('70000', '0.5', { post_only: true }))).toThrow('closed');
+
+    expect(() => instrument.setStatus('paused')).toThrow('status must be one of');
+  });
+
+  test('should create instrument from DB row', () => {
+    const instrument = Instrument.fromDB({
+      instrument: 'ETH-USD',
+      base_asset: 'ETH',
+      quote_asset: 'USD',
+      tick_size: '0.01000000',
+      lot_size: '0.00010000',
+      min_quantity: '0.00000000',
+      max_quantity: null,
+      min_notional: '5.00000000',
+      price_band_percent: null,
+      status: 'active',
+    });
+
+    expect(instrument.tick_size).toBe(parseDecimal('0.01'));
+    expect(instrument.max_quantity).toBeNull();
+    expect(instrument.toJSON().lot_size).toBe('0.0001');
+    expect(instrument.toJSON().min_notional).toBe('5');
+  });
+});
@@ -1,5 +1,13 @@
 import { MatchingEngine } from '../matching/MatchingEngine.js';
+import { ExchangeService } from '../services/ExchangeService.js';
+import instrumentRegistry from '../services/InstrumentRegistry.js';
+import accountService from '../services/AccountService.js';
+import { Instrument } from '../models/Instrument.js';
 import { Order } from '../models/Order.js';
+import postgres from '../db/postgres.js';
+import redis from '../db/redis.js';
+import kafkaProducer from '../kafka/producer.js';
+import { parseDecimal } from '../utils/decimal.js';
 
 describe('MatchingEngine', () => {
   let engine;
@@ -41,8 +49,8 @@ describe('MatchingEngine', () => {
     await engine.processOrder(buyOrder, (trade) => trades.push(trade), (order) => orderUpdates.push(order));
 
     expect(trades.length).toBe(1);
-    expect(trades[0].price).toBe(70000);
-    expect(trades[0].quantity).toBe(1.0);
+    expect(trades[0].price).toBe(parseDecimal('70000'));
+    expect(trades[0].quantity).toBe(parseDecimal('1'));
     expect(buyOrder.is_filled).toBe(true);
     expect(sellOrder.is_filled).toBe(true);
   });
@@ -79,8 +87,8 @@ describe('MatchingEngine', () => {
     await engine.processOrder(buyOrder, (trade) => trades.push(trade), (order) => orderUpdates.push(order));
 
     expect(trades.length).toBe(1);
-    expect(trades[0].price).toBe(70000);
-    expect(trades[0].quantity).toBe(1.0);
+    expect(trades[0].price).toBe(parseDecimal('70000'));
+    expect(trades[0].quantity).toBe(parseDecimal('1'));
     expect(buyOrder.is_filled).toBe(true);
     expect(sellOrder.is_filled).toBe(true);
   });
@@ -118,11 +126,11 @@ describe('MatchingEngine', () => {
     await engine.processOrder(buyOrder, (trade) => trades.push(trade), (order) => orderUpdates.push(order));
 
     expect(trades.length).toBe(1);
-    expect(trades[0].quantity).toBe(0.5);
+    expect(trades[0].quantity).toBe(parseDecimal('0.5'));
     expect(sellOrder.is_filled).toBe(true);
     expect(buyOrder.status).toBe('partially_filled');
-    expect(buyOrder.filled_quantity).toBe(0.5);
-    expect(buyOrder.remaining_quantity).toBe(0.5);
+    expect(buyOrder.filled_quantity).toBe(parseDecimal('0.5'));
+    expect(buyOrder.remaining_quantity).toBe(parseDecimal('0.5'));
   });
 
   test('should match orders by price-time priority', async () => {
@@ -173,7 +181,7 @@ describe('MatchingEngine', () => {
     expect(sellOrder2.is_open).toBe(true);
   });
 
-  test('should cancel order', () => {
+  test('should cancel order', async () => {
     const order = new Order({
       order_id: 'order-1',
       client_id: 'client-1',
@@ -186,7 +194,7 @@ describe('MatchingEngine', () => {
 
     engine.orderBook.addOrder(order);
     
-    const cancelledOrder = engine.cancelOrder('order-1');
+    const cancelledOrder = await engine.cancelOrder('order-1');
     
     expect(cancelledOrder.status).toBe('cancelled');
     expect(engine.getOrder('order-1')).toBeUndefined();
@@ -220,8 +228,992 @@ describe('MatchingEngine', () => {
     
     expect(snapshot.bids.length).toBeGreaterThan(0);
     expect(snapshot.asks.length).toBeGreaterThan(0);
-    expect(snapshot.bids[0].price).toBe(70000);
-    expect(snapshot.asks[0].price).toBe(71000);
+    expect(snapshot.bids[0].price).toBe('70000');
+    expect(snapshot.asks[0].price).toBe('71000');
+  });
+
+  test('should hold stop orders in the trigger book until last price crosses them', async () => {
+    const trades = [];
+    const orderUpdates = [];
+
+    const stopOrder = new Order({
+      order_id: 'stop-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'stop_market',
+      stop_price: 71000,
+      quantity: 1.0,
+    });
+
+    await engine.processOrder(stopOrder, (trade) => trades.push(trade), (order) => orderUpdates.push(order));
+
+    expect(stopOrder.status).toBe('untriggered');
+    expect(engine.getOrder('stop-1')).toBe(stopOrder);
+    expect(engine.getOrderBookSnapshot(20).bids.length).toBe(0);
+
+    // Resting liquidity for the stop to take once it fires
+    const restingAsk = new Order({
+      order_id: 'sell-2',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 71500,
+      quantity: 1.0,
+    });
+    await engine.processOrder(restingAsk, (trade) => trades.push(trade), (order) => orderUpdates.push(order));
+
+    // A trade at 71000 crosses the stop
+    const sellOrder = new Order({
+      order_id: 'sell-1',
+      client_id: 'client-3',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 71000,
+      quantity: 0.5,
+    });
+    const buyOrder = new Order({
+      order_id: 'buy-1',
+      client_id: 'client-4',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 71000,
+      quantity: 0.5,
+    });
+    await engine.processOrder(sellOrder, (trade) => trades.push(trade), (order) => orderUpdates.push(order));
+    const statuses = [];
+    await engine.processOrder(buyOrder, (trade) => trades.push(trade), (order) => statuses.push(`${order.order_id}:${order.status}`));
+
+    expect(trades.length).toBe(2);
+    expect(trades[1].buy_order_id).toBe('stop-1');
+    expect(trades[1].price).toBe(parseDecimal('71500'));
+    expect(stopOrder.is_filled).toBe(true);
+    expect(stopOrder.triggered_at).toBeInstanceOf(Date);
+    expect(statuses).toContain('stop-1:triggered');
+    expect(statuses).toContain('stop-1:filled');
+    expect(engine.stopBook.orders.size).toBe(0);
+  });
+
+  test('should rest a triggered stop-limit order at its limit price', async () => {
+    const trades = [];
+
+    await engine.processOrder(new Order({
+      order_id: 'buy-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 69000,
+      quantity: 1.0,
+    }), (trade) => trades.push(trade));
+
+    await engine.processOrder(new Order({
+      order_id: 'sell-1',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'market',
+      quantity: 0.5,
+    }), (trade) => trades.push(trade));
+
+    // Last price (69000) is already through the stop, so it triggers on arrival
+    const stopLimit = new Order({
+      order_id: 'stop-1',
+      client_id: 'client-3',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'stop_limit',
+      stop_price: 69500,
+      price: 69200,
+      quantity: 1.0,
+    });
+    await engine.processOrder(stopLimit, (trade) => trades.push(trade));
+
+    expect(trades.length).toBe(1);
+    expect(stopLimit.status).toBe('triggered');
+    expect(engine.getOrderBookSnapshot(20).asks[0].price).toBe('69200');
+  });
+
+  test('should cancel an untriggered stop order', async () => {
+    const stopOrder = new Order({
+      order_id: 'stop-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'stop_market',
+      stop_price: 65000,
+      quantity: 1.0,
+    });
+
+    await engine.processOrder(stopOrder);
+    const cancelledOrder = await engine.cancelOrder('stop-1');
+
+    expect(cancelledOrder.status).toBe('cancelled');
+    expect(engine.getOrder('stop-1')).toBeUndefined();
+  });
+
+  test('should cancel the unfilled remainder of an IOC order', async () => {
+    const trades = [];
+
+    engine.orderBook.addOrder(new Order({
+      order_id: 'sell-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 70000,
+      quantity: 0.4,
+    }));
+
+    const buyOrder = new Order({
+      order_id: 'buy-1',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+      time_in_force: 'IOC',
+    });
+
+    await engine.processOrder(buyOrder, (trade) => trades.push(trade));
+
+    expect(trades.length).toBe(1);
+    expect(buyOrder.filled_quantity).toBe(parseDecimal('0.4'));
+    expect(buyOrder.status).toBe('cancelled');
+    expect(engine.getOrder('buy-1')).toBeUndefined();
+  });
+
+  test('should kill a FOK order without trading when it cannot fill completely', async () => {
+    const trades = [];
+
+    engine.orderBook.addOrder(new Order({
+      order_id: 'sell-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 70000,
+      quantity: 0.5,
+    }));
+    engine.orderBook.addOrder(new Order({
+      order_id: 'sell-2',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 70100,
+      quantity: 0.5,
+    }));
+
+    const killed = new Order({
+      order_id: 'buy-1',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+      time_in_force: 'FOK',
+    });
+    await engine.processOrder(killed, (trade) => trades.push(trade));
+
+    expect(trades.length).toBe(0);
+    expect(killed.status).toBe('cancelled');
+    expect(engine.getOrderBookSnapshot(20).asks[0].quantity).toBe('0.5');
+
+    const filled = new Order({
+      order_id: 'buy-2',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 70100,
+      quantity: 1.0,
+      time_in_force: 'FOK',
+    });
+    await engine.processOrder(filled, (trade) => trades.push(trade));
+
+    expect(trades.length).toBe(2);
+    expect(filled.status).toBe('filled');
+  });
+
+  test('should expire GTD orders once expire_at has passed', async () => {
+    const expireAt = new Date(Date.now() + 60000);
+    const order = new Order({
+      order_id: 'buy-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+      time_in_force: 'GTD',
+      expire_at: expireAt,
+    });
+
+    await engine.processOrder(order);
+
+    expect(await engine.expireOrders(new Date())).toEqual([]);
+
+    const expired = await engine.expireOrders(new Date(expireAt.getTime() + 1));
+
+    expect(expired).toEqual([order]);
+    expect(order.status).toBe('expired');
+    expect(engine.getOrder('buy-1')).toBeUndefined();
+    expect(engine.getOrderBookSnapshot(20).bids.length).toBe(0);
+  });
+
+  test('should reject a post-only order that would take liquidity', async () => {
+    const trades = [];
+
+    engine.orderBook.addOrder(new Order({
+      order_id: 'sell-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+    }));
+
+    const buyOrder = new Order({
+      order_id: 'buy-1',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+      post_only: true,
+    });
+    await engine.processOrder(buyOrder, (trade) => trades.push(trade));
+
+    expect(trades.length).toBe(0);
+    expect(buyOrder.status).toBe('rejected');
+    expect(buyOrder.reject_reason).toBe('Post-only order would take liquidity');
+  });
+
+  test('should reprice a post-only order one tick inside when configured', async () => {
+    engine = new MatchingEngine('BTC-USD', { tickSize: '0.5', postOnlyMode: 'reprice' });
+    const trades = [];
+
+    engine.orderBook.addOrder(new Order({
+      order_id: 'buy-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+    }));
+
+    const sellOrder = new Order({
+      order_id: 'sell-1',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 69900,
+      quantity: 1.0,
+      post_only: true,
+    });
+    await engine.processOrder(sellOrder, (trade) => trades.push(trade));
+
+    expect(trades.length).toBe(0);
+    expect(sellOrder.status).toBe('open');
+    expect(sellOrder.price).toBe(parseDecimal('70000.5'));
+    expect(engine.getOrderBookSnapshot(20).asks[0].price).toBe('70000.5');
+  });
+
+  test('should report resting reduce-only exposure per client and side', () => {
+    engine.orderBook.addOrder(new Order({
+      order_id: 'sell-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 71000,
+      quantity: 0.3,
+      reduce_only: true,
+    }));
+    engine.orderBook.addOrder(new Order({
+      order_id: 'sell-2',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 71000,
+      quantity: 0.5,
+    }));
+
+    expect(engine.getReduceOnlyExposure('client-1', 'sell')).toBe(parseDecimal('0.3'));
+    expect(engine.getReduceOnlyExposure('client-1', 'buy')).toBe(0n);
+    expect(engine.getReduceOnlyExposure('client-2', 'sell')).toBe(0n);
+  });
+
+  test('should show only the display slice of an iceberg order and refill it at the back of the level', async () => {
+    const trades = [];
+
+    const iceberg = new Order({
+      order_id: 'sell-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+      display_quantity: 0.25,
+    });
+    const plain = new Order({
+      order_id: 'sell-2',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 70000,
+      quantity: 0.5,
+    });
+
+    await engine.processOrder(iceberg);
+    await engine.processOrder(plain);
+
+    expect(engine.getOrderBookSnapshot(20).asks[0].quantity).toBe('0.75');
+
+    // Takes the visible slice, then the plain order, then the refilled (hidden) slice
+    const buyOrder = new Order({
+      order_id: 'buy-1',
+      client_id: 'client-3',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+    });
+    await engine.processOrder(buyOrder, (trade) => trades.push(trade));
+
+    expect(trades.map(t => [t.sell_order_id, t.toJSON().quantity, t.toJSON().hidden_quantity])).toEqual([
+      ['sell-1', '0.25', '0'],
+      ['sell-2', '0.5', '0'],
+      ['sell-1', '0.25', '0.25'],
+    ]);
+    expect(iceberg.filled_quantity).toBe(parseDecimal('0.5'));
+    expect(iceberg.hidden_filled_quantity).toBe(parseDecimal('0.25'));
+    expect(iceberg.visible_filled_quantity).toBe(parseDecimal('0.25'));
+    expect(iceberg.visible_quantity).toBe(parseDecimal('0.25'));
+    expect(iceberg.hidden_quantity).toBe(parseDecimal('0.25'));
+    expect(engine.getOrderBookSnapshot(20).asks[0].quantity).toBe('0.25');
+  });
+
+  test('should keep queue position when an amend only reduces quantity', async () => {
+    const events = [];
+    const first = new Order({
+      order_id: 'sell-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+    });
+    const second = new Order({
+      order_id: 'sell-2',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+    });
+    await engine.processOrder(first);
+    await engine.processOrder(second);
+
+    await engine.amendOrder('sell-1', { quantity: 0.5 }, null, (order, eventType) => events.push(eventType));
+
+    expect(events).toEqual(['order_amended']);
+    expect(first.quantity).toBe(parseDecimal('0.5'));
+    expect(engine.orderBook.getBestAsk()).toBe(first);
+    expect(engine.getOrderBookSnapshot(20).asks[0].quantity).toBe('1.5');
+  });
+
+  test('should lose queue position when an amend raises quantity', async () => {
+    const first = new Order({
+      order_id: 'sell-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+    });
+    const second = new Order({
+      order_id: 'sell-2',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+    });
+    await engine.processOrder(first);
+    await engine.processOrder(second);
+
+    await engine.amendOrder('sell-1', { quantity: 2.0 });
+
+    expect(engine.orderBook.getBestAsk()).toBe(second);
+    expect(engine.getOrderBookSnapshot(20).asks[0].quantity).toBe('3');
+  });
+
+  test('should match an order whose amended price crosses the spread', async () => {
+    const trades = [];
+    await engine.processOrder(new Order({
+      order_id: 'sell-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'limit',
+      price: 70100,
+      quantity: 1.0,
+    }));
+    const buyOrder = new Order({
+      order_id: 'buy-1',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+    });
+    await engine.processOrder(buyOrder);
+
+    await engine.amendOrder('buy-1', { price: 70100 }, (trade) => trades.push(trade));
+
+    expect(trades.length).toBe(1);
+    expect(trades[0].price).toBe(parseDecimal('70100'));
+    expect(buyOrder.status).toBe('filled');
+    await expect(engine.amendOrder('buy-1', { quantity: 2 })).rejects.toThrow('not found');
+  });
+
+  test('should fill completely against fractional quantities without leaving dust', async () => {
+    const trades = [];
+
+    for (const [orderId, quantity] of [['sell-1', '0.1'], ['sell-2', '0.2']]) {
+      await engine.processOrder(new Order({
+        order_id: orderId,
+        client_id: 'client-1',
+        instrument: 'BTC-USD',
+        side: 'sell',
+        type: 'limit',
+        price: '70000.01',
+        quantity,
+      }));
+    }
+
+    const buyOrder = new Order({
+      order_id: 'buy-1',
+      client_id: 'client-2',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: '70000.01',
+      quantity: '0.3',
+    });
+    await engine.processOrder(buyOrder, (trade) => trades.push(trade));
+
+    expect(trades.map(t => t.toJSON().quantity)).toEqual(['0.1', '0.2']);
+    expect(buyOrder.status).toBe('filled');
+    expect(buyOrder.remaining_quantity).toBe(0n);
+    expect(engine.getOrderBookSnapshot(20).asks.length).toBe(0);
+  });
+
+  test('should restore persisted orders into the right book in the order given', () => {
+    const rows = [
+      { order_id: 'sell-1', side: 'sell', type: 'limit', price: '70000', quantity: '1', status: 'open' },
+      { order_id: 'sell-2', side: 'sell', type: 'limit', price: '70000', quantity: '1', status: 'partially_filled', filled_quantity: '0.5' },
+      { order_id: 'stop-1', side: 'buy', type: 'stop_market', stop_price: '71000', quantity: '1', status: 'untriggered' },
+      { order_id: 'stop-2', side: 'buy', type: 'stop_market', stop_price: '71000', quantity: '1', status: 'triggered' },
+    ];
+
+    const restored = rows.map(row => engine.restoreOrder(Order.fromDB({
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      ...row,
+    })));
+
+    expect(restored).toEqual([true, true, true, false]);
+    expect(engine.orderBook.getBestAsk().order_id).toBe('sell-1');
+    expect(engine.getOrderBookSnapshot(20).asks[0].quantity).toBe('1.5');
+    expect(engine.stopBook.orders.has('stop-1')).toBe(true);
+    expect(engine.getOrder('stop-2')).toBeUndefined();
+  });
+
+  test('should publish sequenced L2 deltas that rebuild the book from a snapshot', async () => {
+    const deltas = [];
+    engine.onBookDelta = (delta) => deltas.push(delta);
+
+    const order = (orderId, side, type, fields) => new Order({
+      order_id: orderId,
+      client_id: `client-${orderId}`,
+      instrument: 'BTC-USD',
+      side,
+      type,
+      quantity: '1',
+      ...fields,
+    });
+
+    await engine.processOrder(order('ask-1', 'sell', 'limit', { price: '70000', quantity: '2', display_quantity: '0.5' }));
+    const start = await engine.l2Snapshot();
+
+    await engine.processOrder(order('ask-2', 'sell', 'limit', { price: '70100' }));
+    await engine.processOrder(order('bid-1', 'buy', 'limit', { price: '69900', quantity: '3' }));
+    await engine.processOrder(order('stop-1', 'buy', 'stop_market', { stop_price: '80000' }));
+    await engine.processOrder(order('buy-1', 'buy', 'market', { quantity: '0.7' }));
+    await engine.amendOrder('bid-1', { quantity: '2' });
+    await engine.cancelOrder('ask-2');
+
+    // Resting a stop touches no price level, so it uses no sequence number
+    expect(start.sequence).toBe(1);
+    expect(deltas.map(d => d.sequence)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(deltas[3].changes).toEqual([{ side: 'sell', price: '70000', quantity: '0.3' }]);
+    expect(deltas[5].changes).toEqual([{ side: 'sell', price: '70100', quantity: '0' }]);
+
+    const local = { buy: new Map(), sell: new Map() };
+    for (const level of start.bids) local.buy.set(level.price, level.quantity);
+    for (const level of start.asks) local.sell.set(level.price, level.quantity);
+
+    for (const delta of deltas.filter(d => d.sequence > start.sequence)) {
+      for (const { side, price, quantity } of delta.changes) {
+        if (quantity === '0') local[side].delete(price);
+        else local[side].set(price, quantity);
+      }
+    }
+
+    const current = await engine.l2Snapshot();
+    expect(current.sequence).toBe(6);
+    expect([...local.buy]).toEqual(current.bids.map(l => [l.price, l.quantity]));
+    expect([...local.sell]).toEqual(current.asks.map(l => [l.price, l.quantity]));
+  });
+
+  test('should publish L3 events that rebuild every queue from a snapshot', async () => {
+    const batches = [];
+    engine.onL3Events = (batch) => batches.push(batch);
+
+    const order = (orderId, side, type, fields) => new Order({
+      order_id: orderId,
+      client_id: `client-${orderId}`,
+      instrument: 'BTC-USD',
+      side,
+      type,
+      quantity: '1',
+      ...fields,
+    });
+
+    await engine.processOrder(order('bid-1', 'buy', 'limit', { price: '69900' }));
+    const start = await engine.l3Snapshot();
+
+    await engine.processOrder(order('ask-1', 'sell', 'limit', { price: '70000', quantity: '2', display_quantity: '0.5' }));
+    await engine.processOrder(order('ask-2', 'sell', 'limit', { price: '70000' }));
+    await engine.processOrder(order('bid-2', 'buy', 'limit', { price: '69900', quantity: '2' }));
+    await engine.processOrder(order('buy-1', 'buy', 'market', { quantity: '0.7' }));
+    await engine.amendOrder('bid-2', { quantity: '1.5' });
+    await engine.amendOrder('bid-1', { quantity: '3' });
+
+    expect(batches[4].events.map(e => [e.type, e.order_id, e.size])).toEqual([
+      ['execute', 'ask-1', '0'],
+      ['remove', 'ask-1', '0'],
+      ['add', 'ask-1', '0.5'], // refilled slice goes to the back
+      ['execute', 'ask-2', '0.8'],
+    ]);
+
+    const queues = new Map(start.orders.map(o => [o.order_id, o]));
+    for (const batch of batches.filter(b => b.sequence > start.sequence)) {
+      for (const event of batch.events) {
+        if (event.type === 'remove') {
+          queues.delete(event.order_id);
+        } else if (event.type === 'add') {
+          queues.set(event.order_id, { order_id: event.order_id, side: event.side, price: event.price, size: event.size });
+        } else {
+          queues.get(event.order_id).size = event.size;
+        }
+      }
+    }
+
+    // Map insertion order is arrival order; sort by price priority only, keeping FIFO within a level
+    const rebuilt = [...queues.values()].sort((a, b) => {
+      if (a.side !== b.side) return a.side === 'buy' ? -1 : 1;
+      const diff = Number(a.price) - Number(b.price);
+      return a.side === 'buy' ? -diff : diff;
+    });
+    expect(rebuilt).toEqual((await engine.l3Snapshot()).orders);
+    expect(rebuilt.map(o => o.order_id)).toEqual(['bid-2', 'bid-1', 'ask-2', 'ask-1']);
+  });
+
+  describe('self-trade prevention', () => {
+    const order = (fields) => new Order({ instrument: 'BTC-USD', type: 'limit', price: 70000, ...fields });
+    let trades;
+    let events;
+
+    const submit = (o) => engine.processOrder(o, (trade) => trades.push(trade), (updated, eventType) => {
+      events.push([updated.order_id, eventType || `order_${updated.status}`, updated.cancel_reason]);
+    });
+
+    beforeEach(async () => {
+      trades = [];
+      events = [];
+      await submit(order({ order_id: 'ask-other', client_id: 'client-2', side: 'sell', price: 69900, quantity: 0.5 }));
+      await submit(order({ order_id: 'ask-own', client_id: 'client-1', side: 'sell', quantity: 1, stp_group: 'desk-1' }));
+      await submit(order({ order_id: 'ask-next', client_id: 'client-3', side: 'sell', price: 70100, quantity: 1 }));
+      events = [];
+    });
+
+    test('should cancel the incoming order with cancel_newest, keeping fills made before it', async () => {
+      const buy = order({ order_id: 'buy-1', client_id: 'client-1', side: 'buy', price: 70100, quantity: 2, stp_mode: 'cancel_newest' });
+      await submit(buy);
+
+      expect(trades.map(t => t.sell_order_id)).toEqual(['ask-other']);
+      expect(buy.status).toBe('cancelled');
+      expect(buy.cancel_reason).toBe('Self-trade prevented (cancel_newest)');
+      expect(engine.getOrder('ask-own').remaining_quantity).toBe(parseDecimal('1'));
+      expect(events).toContainEqual(['buy-1', 'order_stp_cancelled', 'Self-trade prevented (cancel_newest)']);
+    });
+
+    test('should cancel the resting order with cancel_oldest and keep matching', async () => {
+      const buy = order({ order_id: 'buy-1', client_id: 'client-1', side: 'buy', price: 70100, quantity: 2, stp_mode: 'cancel_oldest' });
+      await submit(buy);
+
+      expect(trades.map(t => t.sell_order_id)).toEqual(['ask-other', 'ask-next']);
+      expect(engine.getOrder('ask-own')).toBeFalsy();
+      expect(events.filter(e => e[1] === 'order_stp_cancelled').map(e => e[0])).toEqual(['ask-own']);
+      expect(buy.remaining_quantity).toBe(parseDecimal('0.5'));
+    });
+
+    test('should cancel both orders with cancel_both', async () => {
+      const buy = order({ order_id: 'buy-1', client_id: 'client-1', side: 'buy', price: 70000, quantity: 0.25, stp_mode: 'cancel_both' });
+      await submit(buy);
+
+      expect(trades.length).toBe(1); // 0.25 against ask-other at 69900
+      expect(buy.status).toBe('filled');
+
+      const second = order({ order_id: 'buy-2', client_id: 'client-1', side: 'buy', price: 70000, quantity: 1, stp_mode: 'cancel_both' });
+      await submit(second);
+      expect(trades.length).toBe(2);
+      expect(second.status).toBe('cancelled');
+      expect(engine.getOrder('ask-own')).toBeFalsy();
+    });
+
+    test('should decrement both by the smaller quantity with decrement_and_cancel', async () => {
+      // Another client in the same STP group, after ask-other is taken
+      const buy = order({ order_id: 'buy-1', client_id: 'client-9', stp_group: 'desk-1', side: 'buy', price: 70000, quantity: 0.8, stp_mode: 'decrement_and_cancel' });
+      await submit(buy);
+
+      expect(trades.map(t => [t.sell_order_id, t.quantity])).toEqual([['ask-other', parseDecimal('0.5')]]);
+      expect(buy.status).toBe('cancelled');
+      expect(buy.filled_quantity).toBe(parseDecimal('0.5'));
+      expect(engine.getOrder('ask-own').quantity).toBe(parseDecimal('0.7'));
+      expect(engine.orderBook.getBestAsk().order_id).toBe('ask-own');
+      expect(events).toEqual(expect.arrayContaining([
+        ['ask-own', 'order_stp_decremented', null],
+        ['buy-1', 'order_stp_cancelled', 'Self-trade prevented (decrement_and_cancel)'],
+      ]));
+    });
+
+    test('should trade normally with stp_mode none, and kill a FOK that could only fill against itself', async () => {
+      const fok = order({ order_id: 'fok-1', client_id: 'client-1', side: 'buy', price: 70000, quantity: 1, time_in_force: 'FOK', stp_mode: 'cancel_oldest' });
+      await submit(fok);
+      expect(fok.status).toBe('cancelled');
+      expect(trades).toEqual([]);
+
+      const buy = order({ order_id: 'buy-1', client_id: 'client-1', side: 'buy', price: 70000, quantity: 1.5, stp_mode: 'none' });
+      await submit(buy);
+      expect(trades.map(t => t.sell_order_id)).toEqual(['ask-other', 'ask-own']);
+    });
+  });
+
+  describe('market order protection', () => {
+    const order = (fields) => new Order({ instrument: 'BTC-USD', type: 'limit', ...fields });
+    let trades;
+
+    const submit = (o) => engine.processOrder(o, (trade) => trades.push(trade));
+
+    beforeEach(async () => {
+      engine = new MatchingEngine('BTC-USD', { lotSize: '0.001' });
+      trades = [];
+      await submit(order({ order_id: 'ask-1', client_id: 'client-2', side: 'sell', price: 70000, quantity: 0.5 }));
+      await submit(order({ order_id: 'ask-2', client_id: 'client-2', side: 'sell', price: 70100, quantity: 1 }));
+      await submit(order({ order_id: 'ask-3', client_id: 'client-2', side: 'sell', price: 70500, quantity: 1 }));
+    });
+
+    test('should keep the fills of a market order that runs out of liquidity and cancel the rest', async () => {
+      const buy = order({ order_id: 'buy-1', client_id: 'client-1', side: 'buy', type: 'market', quantity: 3 });
+      await submit(buy);
+
+      expect(buy.filled_quantity).toBe(parseDecimal('2.5'));
+      expect(buy.status).toBe('cancelled');
+      expect(buy.cancel_reason).toBe('Insufficient liquidity');
+
+      // Nothing traded at all: still a rejection
+      const sell = order({ order_id: 'sell-1', client_id: 'client-1', side: 'sell', type: 'market', quantity: 1 });
+      await submit(sell);
+      expect(sell.status).toBe('rejected');
+    });
+
+    test('should stop at the protection price and cancel or rest the remainder', async () => {
+      const buy = order({ order_id: 'buy-1', client_id: 'client-1', side: 'buy', type: 'market', quantity: 2, protection_price: 70100 });
+      await submit(buy);
+
+      expect(trades.map(t => t.sell_order_id)).toEqual(['ask-1', 'ask-2']);
+      expect(buy.status).toBe('cancelled');
+      expect(buy.cancel_reason).toBe('Slippage protection reached');
+
+      const resting = order({ order_id: 'buy-2', client_id: 'client-1', side: 'buy', type: 'market', quantity: 2, protection_price: 70400, market_remainder: 'rest' });
+      await submit(resting);
+
+      expect(resting.type).toBe('limit');
+      expect(resting.price).toBe(parseDecimal('70400'));
+      expect(resting.status).toBe('open');
+      expect(engine.orderBook.getBestBid().order_id).toBe('buy-2');
+    });
+
+    test('should turn max_slippage_percent into a protection price from the best opposite price', async () => {
+      // 0.2% above 70000 is 70140, tighter than the 70300 protection price
+      const buy = order({ order_id: 'buy-1', client_id: 'client-1', side: 'buy', type: 'market', quantity: 2, protection_price: 70300, max_slippage_percent: 0.2, market_remainder: 'rest' });
+      await submit(buy);
+
+      expect(buy.filled_quantity).toBe(parseDecimal('1.5'));
+      expect(buy.status).toBe('partially_filled');
+      expect(buy.price).toBe(parseDecimal('70140'));
+
+      // Selling into it: 0.01% below 70140 is 70132.986, rounded up to a tick
+      const sell = order({ order_id: 'sell-1', client_id: 'client-3', side: 'sell', type: 'market', quantity: 1, max_slippage_percent: 0.01 });
+      expect(engine._protectionPrice(sell)).toBe(parseDecimal('70132.99'));
+      await submit(sell);
+      expect(sell.filled_quantity).toBe(parseDecimal('0.5'));
+      expect(sell.cancel_reason).toBe('Insufficient liquidity');
+    });
+
+    test('should size a quote_quantity buy level by level in whole lots', async () => {
+      // 35000 buys all of ask-1; the other 15000 buys 0.213 (not 0.2139...) at 70100
+      const buy = order({ order_id: 'buy-1', client_id: 'client-1', side: 'buy', type: 'market', quote_quantity: 50000 });
+      await submit(buy);
+
+      expect(trades.map(t => [t.price, t.quantity])).toEqual([
+        [parseDecimal('70000'), parseDecimal('0.5')],
+        [parseDecimal('70100'), parseDecimal('0.213')],
+      ]);
+      expect(buy.quantity).toBe(parseDecimal('0.713'));
+      expect(buy.status).toBe('filled');
+
+      // Less than one lot at the best price
+      const tiny = order({ order_id: 'buy-2', client_id: 'client-1', side: 'buy', type: 'market', quote_quantity: 50 });
+      await submit(tiny);
+      expect(tiny.status).toBe('rejected');
+      expect(trades.length).toBe(2);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const order = (fields) => new Order({ instrument: 'BTC-USD', type: 'limit', client_id: 'client-1', ...fields });
+    let trades;
+    let phases;
+
+    const submit = (o) => engine.processOrder(o, (trade) => trades.push(trade));
+
+    beforeEach(async () => {
+      engine = new MatchingEngine('BTC-USD', {
+        circuitBreaker: { band_percent: 0.5, reference_price: 70000 }, // limit up 70350, limit down 69650
+        onPhaseChange: (event) => phases.push(event),
+      });
+      trades = [];
+      phases = [];
+      await submit(order({ order_id: 'ask-1', client_id: 'client-2', side: 'sell', price: 70000, quantity: 0.5 }));
+      await submit(order({ order_id: 'ask-2', client_id: 'client-2', side: 'sell', price: 70100, quantity: 1 }));
+      await submit(order({ order_id: 'ask-3', client_id: 'client-2', side: 'sell', price: 70500, quantity: 1 }));
+    });
+
+    test('should halt before the trade that leaves the band and cancel the market remainder', async () => {
+      const buy = order({ order_id: 'buy-1', side: 'buy', type: 'market', quantity: 3 });
+      await submit(buy);
+
+      expect(trades.map(t => t.sell_order_id)).toEqual(['ask-1', 'ask-2']);
+      expect(buy.status).toBe('cancelled');
+      expect(buy.cancel_reason).toBe('Trading halted');
+      expect(engine.phase).toBe('halted');
+      expect(phases).toEqual([expect.objectContaining({
+        phase: 'halted',
+        trigger: 'limit_up',
+        trade_price: '70500',
+        reference_price: '70000',
+        limit_price: '70350',
+      })]);
+
+      // While halted nothing matches: limit orders wait in the book, immediate ones are cancelled
+      const limit = order({ order_id: 'buy-2', side: 'buy', price: 70600, quantity: 1 });
+      const ioc = order({ order_id: 'buy-3', side: 'buy', price: 70600, quantity: 1, time_in_force: 'IOC' });
+      await submit(limit);
+      await submit(ioc);
+      expect(trades.length).toBe(2);
+      expect(limit.status).toBe('open');
+      expect(engine.orderBook.getBestBid().order_id).toBe('buy-2');
+      expect(ioc.cancel_reason).toBe('Trading halted');
+
+      // The halt survives a snapshot
+      const restored = new MatchingEngine('BTC-USD');
+      restored.restoreSnapshot(await engine.snapshot());
+      expect(restored.phase).toBe('halted');
+      expect(restored.circuitBreaker.band_percent).toBe(parseDecimal('0.5'));
+    });
+
+    test('should keep the reference price unless the settings clear it', async () => {
+      engine.circuitBreaker.configure({ band_percent: 1 });
+      expect(engine.circuitBreaker.reference_price).toBe(parseDecimal('70000'));
+
+      engine.circuitBreaker.configure({ band_percent: 1, reference_price: null });
+      expect(engine.circuitBreaker.reference_price).toBeNull();
+
+      // The next trade sets it again
+      await submit(order({ order_id: 'buy-1', side: 'buy', price: 70100, quantity: 1 }));
+      expect(engine.circuitBreaker.reference_price).toBe(parseDecimal('70000'));
+      expect(engine.phase).toBe('continuous');
+    });
+
+    test('should cancel a FOK order that could only fill past the band, without halting', async () => {
+      const fok = order({ order_id: 'buy-1', side: 'buy', price: 70500, quantity: 2, time_in_force: 'FOK' });
+      await submit(fok);
+
+      expect(fok.status).toBe('cancelled');
+      expect(trades).toEqual([]);
+      expect(engine.phase).toBe('continuous');
+    });
+
+    test('should reopen through an auction that uncrosses the book at one price', async () => {
+      await submit(order({ order_id: 'buy-1', side: 'buy', type: 'market', quantity: 2 }));
+      await expect(engine.uncross()).rejects.toThrow('has no auction running');
+
+      await engine.startAuction();
+      expect(engine.phase).toBe('auction');
+      await submit(order({ order_id: 'buy-2', side: 'buy', price: 70600, quantity: 0.6 }));
+      await submit(order({ order_id: 'buy-3', side: 'buy', price: 70450, quantity: 0.6 }));
+      await submit(order({ order_id: 'ask-4', client_id: 'client-2', side: 'sell', price: 70400, quantity: 1 }));
+      trades = [];
+
+      // 70400 and 70450 both trade 1.0 (bids 1.2 against ask-4), more than 70500 or 70600 (0.6);
+      // 70400 is nearer the last trade at 70100
+      const auction = await engine.uncross((trade) => trades.push(trade));
+
+      expect(auction).toEqual({ price: parseDecimal('70400'), quantity: parseDecimal('1') });
+      expect(trades.map(t => [t.buy_order_id, t.sell_order_id, t.price, t.quantity])).toEqual([
+        ['buy-2', 'ask-4', parseDecimal('70400'), parseDecimal('0.6')],
+        ['buy-3', 'ask-4', parseDecimal('70400'), parseDecimal('0.4')],
+      ]);
+      // ask-4 came in last, so it is the taker
+      expect(trades.map(t => t.aggressor_side)).toEqual(['sell', 'sell']);
+      expect(engine.orderBook.getBestBid()).toMatchObject({ order_id: 'buy-3', remaining_quantity: parseDecimal('0.2') });
+      expect(engine.orderBook.getBestAsk().order_id).toBe('ask-3');
+      expect(engine.phase).toBe('continuous');
+      expect(phases.map(p => p.phase)).toEqual(['halted', 'auction', 'continuous']);
+      expect(phases[2]).toMatchObject({ auction_price: '70400', auction_quantity: '1' });
+
+      // The band is now around the auction price
+      expect(engine.circuitBreaker.reference_price).toBe(parseDecimal('70400'));
+    });
+
+    test('should halt on a move beyond move_percent within the window', async () => {
+      engine = new MatchingEngine('BTC-USD', { circuitBreaker: { move_percent: 1, window_seconds: 60 } });
+      const start = new Date('2026-01-05T10:00:00Z').getTime();
+      const at = (seconds, o) => engine.apply({
+        instrument: 'BTC-USD',
+        sequence: engine.sequence + 1,
+        type: 'new',
+        order_id: o.order_id,
+        data: o.toJSON(),
+        timestamp: new Date(start + seconds * 1000),
+      }, (trade) => trades.push(trade));
+
+      for (const [id, price] of [['ask-1', 70000], ['ask-2', 70750], ['ask-3', 71500]]) {
+        await at(0, order({ order_id: id, client_id: 'client-2', side: 'sell', price, quantity: 1 }));
+      }
+
+      await at(0, order({ order_id: 'buy-1', side: 'buy', price: 70000, quantity: 1 }));
+      // 70750 is more than 1% above 70000, but that trade has left the 60s window
+      await at(70, order({ order_id: 'buy-2', side: 'buy', price: 70750, quantity: 1 }));
+      expect(trades.length).toBe(2);
+      expect(engine.phase).toBe('continuous');
+
+      // 71500 is more than 1% above 70750 ten seconds later
+      await at(80, order({ order_id: 'buy-3', side: 'buy', price: 71500, quantity: 1 }));
+      expect(trades.length).toBe(2);
+      expect(engine.phase).toBe('halted');
+      expect(engine.orderBook.getBestBid().order_id).toBe('buy-3');
+    });
   });
 });
 
+describe('ExchangeService amends', () => {
+  let service;
+  let engine;
+  let holds;
+
+  beforeEach(() => {
+    service = new ExchangeService();
+    engine = new MatchingEngine('BTC-USD');
+    service.engines.set('BTC-USD', engine);
+    instrumentRegistry.instruments.set('BTC-USD', new Instrument({
+      instrument: 'BTC-USD',
+      base_asset: 'BTC',
+      quote_asset: 'USD',
+      tick_size: '0.01',
+      lot_size: '0.001',
+    }));
+
+    holds = new Map();
+    accountService.holdFunds = async (order, hold) => { holds.set(order.order_id, hold); };
+    accountService.releaseHold = async (order) => { holds.delete(order.order_id); };
+    postgres.saveOrder = async () => {};
+    postgres.saveOrderEvent = async () => {};
+    kafkaProducer.sendOrder = async () => {};
+    kafkaProducer.sendOrderBookUpdate = async () => {};
+    redis.publish = async () => {};
+  });
+
+  const rest = (overrides) => engine.processOrder(new Order({
+    client_id: 'client-A',
+    instrument: 'BTC-USD',
+    type: 'limit',
+    ...overrides,
+  }), () => {}, () => {});
+
+  test('should resize a resting buy\'s quote hold to its amended price and quantity', async () => {
+    await rest({ order_id: 'bid-1', side: 'buy', price: 70000, quantity: 1 });
+
+    const { order } = await service.amendOrder('bid-1', { price: '69000', quantity: '2' }, 'BTC-USD');
+
+    expect(order.price).toBe(parseDecimal('69000'));
+    expect(order.quantity).toBe(parseDecimal('2'));
+    expect(holds.get('bid-1')).toEqual({ asset: 'USD', amount: parseDecimal('138000') });
+  });
+
+  test('should hold only the unfilled part of an amended sell, in the base asset', async () => {
+    await rest({ order_id: 'ask-1', side: 'sell', price: 70000, quantity: 1 });
+    await rest({ order_id: 'bid-1', client_id: 'client-B', side: 'buy', price: 70000, quantity: 0.4 });
+
+    const { order } = await service.amendOrder('ask-1', { quantity: '2' }, 'BTC-USD');
+
+    expect(order.remaining_quantity).toBe(parseDecimal('1.6'));
+    expect(holds.get('ask-1')).toEqual({ asset: 'BTC', amount: parseDecimal('1.6') });
+  });
+
+  test('should leave a buy unamended when its larger hold cannot be funded', async () => {
+    await rest({ order_id: 'bid-1', side: 'buy', price: 70000, quantity: 1 });
+    accountService.holdFunds = async () => {
+      const error = new Error('Insufficient USD balance');
+      error.status = 400;
+      throw error;
+    };
+
+    await expect(service.amendOrder('bid-1', { quantity: '5' }, 'BTC-USD')).rejects.toMatchObject({ status: 400 });
+    expect(engine.getOrder('bid-1').quantity).toBe(parseDecimal('1'));
+  });
+});
@@ -1,4 +1,5 @@
 import { Order } from '../models/Order.js';
+import { parseDecimal } from '../utils/decimal.js';
 
 describe('Order', () => {
   test('should create order with correct properties', () => {
@@ -17,11 +18,11 @@ describe('Order', () => {
     expect(order.instrument).toBe('BTC-USD');
     expect(order.side).toBe('buy');
     expect(order.type).toBe('limit');
-    expect(order.price).toBe(70000);
-    expect(order.quantity).toBe(1.0);
-    expect(order.filled_quantity).toBe(0);
+    expect(order.price).toBe(parseDecimal('70000'));
+    expect(order.quantity).toBe(parseDecimal('1'));
+    expect(order.filled_quantity).toBe(0n);
     expect(order.status).toBe('open');
-    expect(order.remaining_quantity).toBe(1.0);
+    expect(order.remaining_quantity).toBe(parseDecimal('1'));
     expect(order.is_open).toBe(true);
   });
 
@@ -36,16 +37,16 @@ describe('Order', () => {
       quantity: 1.0,
     });
 
-    order.fill(0.5);
+    order.fill(parseDecimal('0.5'));
     
-    expect(order.filled_quantity).toBe(0.5);
+    expect(order.filled_quantity).toBe(parseDecimal('0.5'));
     expect(order.status).toBe('partially_filled');
-    expect(order.remaining_quantity).toBe(0.5);
+    expect(order.remaining_quantity).toBe(parseDecimal('0.5'));
     expect(order.is_open).toBe(true);
 
-    order.fill(0.5);
+    order.fill(parseDecimal('0.5'));
     
-    expect(order.filled_quantity).toBe(1.0);
+    expect(order.filled_quantity).toBe(parseDecimal('1'));
     expect(order.status).toBe('filled');
     expect(order.is_filled).toBe(true);
     expect(order.is_open).toBe(false);
@@ -104,12 +105,33 @@ describe('Order', () => {
     const order = Order.fromDB(dbRow);
     
     expect(order.order_id).toBe('order-1');
-    expect(order.price).toBe(70000.50);
-    expect(order.quantity).toBe(1.5);
-    expect(order.filled_quantity).toBe(0.5);
+    expect(order.price).toBe(parseDecimal('70000.5'));
+    expect(order.quantity).toBe(parseDecimal('1.5'));
+    expect(order.filled_quantity).toBe(parseDecimal('0.5'));
     expect(order.status).toBe('partially_filled');
   });
 
+  test('should keep why an order was cancelled or rejected through a DB row', () => {
+    const row = (fields) => ({
+      order_id: 'order-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: '70000',
+      quantity: '1',
+      filled_quantity: '0',
+      ...fields,
+    });
+
+    const cancelled = Order.fromDB(row({ status: 'cancelled', cancel_reason: 'Self-trade prevented (cancel_newest)' }));
+    const rejected = Order.fromDB(row({ status: 'rejected', reject_reason: 'Post-only order would take liquidity' }));
+
+    expect(cancelled.toJSON()).toMatchObject({ cancel_reason: 'Self-trade prevented (cancel_newest)', reject_reason: null });
+    expect(rejected.toJSON()).toMatchObject({ reject_reason: 'Post-only order would take liquidity', cancel_reason: null });
+    expect(Order.fromDB(row({ status: 'open' })).toJSON()).toMatchObject({ reject_reason: null, cancel_reason: null });
+  });
+
   test('should serialize to JSON', () => {
     const order = new Order({
       order_id: 'order-1',
@@ -128,8 +150,71 @@ describe('Order', () => {
     expect(json.instrument).toBe('BTC-USD');
     expect(json.side).toBe('buy');
     expect(json.type).toBe('limit');
-    expect(json.price).toBe(70000);
-    expect(json.quantity).toBe(1.0);
+    expect(json.price).toBe('70000');
+    expect(json.quantity).toBe('1');
+  });
+
+  test('should start stop orders untriggered and trigger once', () => {
+    const order = new Order({
+      order_id: 'order-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'sell',
+      type: 'stop_limit',
+      price: 69000,
+      stop_price: 69500,
+      quantity: 1.0,
+    });
+
+    expect(order.status).toBe('untriggered');
+    expect(order.is_stop).toBe(true);
+    expect(order.is_open).toBe(true);
+
+    order.trigger();
+
+    expect(order.status).toBe('triggered');
+    expect(order.is_triggered).toBe(true);
+    expect(order.toJSON().stop_price).toBe('69500');
+    expect(() => order.trigger()).toThrow();
+  });
+
+  test('should default to GTC and expire open orders', () => {
+    const order = new Order({
+      order_id: 'order-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: 70000,
+      quantity: 1.0,
+    });
+
+    expect(order.time_in_force).toBe('GTC');
+    expect(order.expire_at).toBeNull();
+
+    order.expire();
+
+    expect(order.status).toBe('expired');
+    expect(order.is_open).toBe(false);
+    expect(() => order.expire()).toThrow();
   });
-});
 
+  test('should fill exactly to zero when quantities do not sum exactly in binary floating point', () => {
+    const order = new Order({
+      order_id: 'order-1',
+      client_id: 'client-1',
+      instrument: 'BTC-USD',
+      side: 'buy',
+      type: 'limit',
+      price: '70000',
+      quantity: '0.3',
+    });
+
+    order.fill(parseDecimal('0.1'));
+    order.fill(parseDecimal('0.2'));
+
+    expect(order.remaining_quantity).toBe(0n);
+    expect(order.status).toBe('filled');
+    expect(order.toJSON().filled_quantity).toBe('0.3');
+  });
+});
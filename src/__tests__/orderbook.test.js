@@ -0,0 +1,114 @@
+import { OrderBook } from '../matching/OrderBook.js';
+import { RBTree } from '../matching/RBTree.js';
+import { Order } from '../models/Order.js';
+import { parseDecimal } from '../utils/decimal.js';
+
+const makeOrder = (orderId, side, price, quantity = 1.0) => new Order({
+  order_id: orderId,
+  client_id: 'client-1',
+  instrument: 'BTC-USD',
+  side,
+  type: 'limit',
+  price,
+  quantity,
+});
+
+// Returns the black height, throwing if a red-black invariant is broken
+const checkRedBlack = (tree, node = tree.root) => {
+  if (node === tree.nil) return 1;
+  if (node.color && (node.left.color || node.right.color)) {
+    throw new Error(`red node ${node.key} has a red child`);
+  }
+  const left = checkRedBlack(tree, node.left);
+  const right = checkRedBlack(tree, node.right);
+  if (left !== right) {
+    throw new Error(`black height mismatch at ${node.key}`);
+  }
+  return left + (node.color ? 0 : 1);
+};
+
+describe('RBTree', () => {
+  test('should stay balanced and ordered through random inserts and deletes', () => {
+    const tree = new RBTree((a, b) => a - b);
+    const reference = new Set();
+    let seed = 42;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed;
+    };
+
+    for (let i = 0; i < 5000; i++) {
+      const key = random() % 1000;
+      if (reference.has(key)) {
+        expect(tree.delete(key)).toBe(true);
+        reference.delete(key);
+      } else {
+        tree.insert(key, key);
+        reference.add(key);
+      }
+    }
+
+    expect(tree.size).toBe(reference.size);
+    expect(tree.root.color).toBe(false);
+    expect(() => checkRedBlack(tree)).not.toThrow();
+    expect(Array.from(tree.values())).toEqual(Array.from(reference).sort((a, b) => a - b));
+    expect(tree.min()).toBe(Math.min(...reference));
+    expect(tree.delete(-1)).toBe(false);
+  });
+});
+
+describe('OrderBook', () => {
+  let book;
+
+  beforeEach(() => {
+    book = new OrderBook('BTC-USD');
+  });
+
+  test('should keep best prices at the top of each side', () => {
+    book.addOrder(makeOrder('bid-1', 'buy', 69900));
+    book.addOrder(makeOrder('bid-2', 'buy', 70000));
+    book.addOrder(makeOrder('ask-1', 'sell', 70200));
+    book.addOrder(makeOrder('ask-2', 'sell', 70100));
+
+    expect(book.getBestBid().order_id).toBe('bid-2');
+    expect(book.getBestAsk().order_id).toBe('ask-2');
+    expect(book.getSnapshot(20).bids.map(l => l.price)).toEqual(['70000', '69900']);
+    expect(book.getSnapshot(20).asks.map(l => l.price)).toEqual(['70100', '70200']);
+  });
+
+  test('should keep time priority when an order is removed from the middle of a level', () => {
+    book.addOrder(makeOrder('ask-1', 'sell', 70000));
+    book.addOrder(makeOrder('ask-2', 'sell', 70000));
+    book.addOrder(makeOrder('ask-3', 'sell', 70000));
+
+    book.removeOrder('ask-2');
+
+    const level = book.asks.get(parseDecimal('70000'));
+    expect(Array.from(level.orders()).map(o => o.order_id)).toEqual(['ask-1', 'ask-3']);
+    expect(level.size).toBe(2);
+
+    book.removeOrder('ask-1');
+    expect(book.getBestAsk().order_id).toBe('ask-3');
+  });
+
+  test('should drop a price level once its last order is removed', () => {
+    book.addOrder(makeOrder('bid-1', 'buy', 70000));
+    book.addOrder(makeOrder('bid-2', 'buy', 69000));
+
+    book.removeOrder('bid-1');
+
+    expect(book.getDepth('buy')).toBe(1);
+    expect(book.getBestBid().order_id).toBe('bid-2');
+    expect(book.orders.has('bid-1')).toBe(false);
+  });
+
+  test('should sum available quantity up to a limit price', () => {
+    book.addOrder(makeOrder('ask-1', 'sell', 70000, 0.5));
+    book.addOrder(makeOrder('ask-2', 'sell', 70100, 0.5));
+    book.addOrder(makeOrder('ask-3', 'sell', 70200, 0.5));
+
+    expect(book.getAvailableQuantity('buy', parseDecimal('70100'))).toBe(parseDecimal('1'));
+    expect(book.getAvailableQuantity('buy', null)).toBe(parseDecimal('1.5'));
+    expect(book.getAvailableQuantity('sell', parseDecimal('70000'))).toBe(0n);
+  });
+});
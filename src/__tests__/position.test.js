@@ -0,0 +1,66 @@
+import { Position } from '../models/Position.js';
+import { parseDecimal } from '../utils/decimal.js';
+
+describe('Position', () => {
+  const fills = (method, entries) => {
+    const position = new Position({ client_id: 'client-A', instrument: 'BTC-USD' });
+    const realized = entries.map(([quantity, price]) => position.applyFill(parseDecimal(quantity), parseDecimal(price), method));
+    return { position, realized };
+  };
+
+  test('should realize against the average cost and keep the average on reductions', () => {
+    const { position, realized } = fills('average', [['1', '100'], ['1', '200'], ['-1', '180']]);
+
+    expect(realized).toEqual([0n, 0n, parseDecimal('30')]);
+    expect(position.toJSON(parseDecimal('160'))).toMatchObject({
+      net_quantity: '1',
+      total_cost: '150',
+      avg_price: '150',
+      pnl_method: 'average',
+      realized_pnl: '30',
+      unrealized_pnl: '10',
+    });
+  });
+
+  test('should realize against the oldest lots first with FIFO', () => {
+    const { position, realized } = fills('fifo', [['1', '100'], ['1', '200'], ['-1.5', '180']]);
+
+    expect(realized[2]).toBe(parseDecimal('70')); // 80 on the first lot, -10 on half the second
+    expect(position.toJSON(parseDecimal('160'), 'fifo')).toMatchObject({
+      net_quantity: '0.5',
+      total_cost: '100',
+      avg_price: '200',
+      realized_pnl: '70',
+      unrealized_pnl: '-20',
+    });
+  });
+
+  test('should close and reopen at the fill price when a fill flips the position', () => {
+    for (const method of ['average', 'fifo']) {
+      const { position, realized } = fills(method, [['2', '100'], ['-3', '90']]);
+
+      expect(realized[1]).toBe(parseDecimal('-20'));
+      expect(position.toJSON(parseDecimal('80'), method)).toMatchObject({
+        net_quantity: '-1',
+        total_cost: '-90',
+        avg_price: '90',
+        unrealized_pnl: '10',
+      });
+    }
+  });
+
+  test('should report short PnL with the opposite sign and flat positions as zero', () => {
+    const { position, realized } = fills('average', [['-2', '100'], ['1', '80'], ['1', '120']]);
+
+    expect(realized.slice(1)).toEqual([parseDecimal('20'), parseDecimal('-20')]);
+    expect(position.toJSON(null)).toMatchObject({ net_quantity: '0', total_cost: '0', avg_price: null, realized_pnl: '0', unrealized_pnl: '0' });
+  });
+
+  test('should round-trip lots through the database row', () => {
+    const { position } = fills('fifo', [['1', '100'], ['-0.25', '110']]);
+    const restored = Position.fromDB({ ...position, net_quantity: '0.75', total_cost: '75', realized_pnl: '2.5', lots: position.lotsToDB() });
+
+    expect(restored.lots).toEqual([{ quantity: parseDecimal('0.75'), price: parseDecimal('100') }]);
+    expect(restored.applyFill(parseDecimal('-0.75'), parseDecimal('120'), 'fifo')).toBe(parseDecimal('15'));
+  });
+});
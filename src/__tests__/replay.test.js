@@ -0,0 +1,217 @@
+import { MatchingEngine } from '../matching/MatchingEngine.js';
+import { Order } from '../models/Order.js';
+import { Trade } from '../models/Trade.js';
+import { Instrument } from '../models/Instrument.js';
+import { ReplayService, diffTrades } from '../services/ReplayService.js';
+import { ExchangeService } from '../services/ExchangeService.js';
+import instrumentRegistry from '../services/InstrumentRegistry.js';
+import circuitBreakerService from '../services/CircuitBreakerService.js';
+import postgres from '../db/postgres.js';
+import redis from '../db/redis.js';
+import kafkaProducer from '../kafka/producer.js';
+
+const makeOrder = (orderId, side, type, fields = {}) => new Order({
+  order_id: orderId,
+  client_id: `client-${orderId}`,
+  instrument: 'BTC-USD',
+  side,
+  type,
+  quantity: '1',
+  ...fields,
+});
+
+describe('Command log replay', () => {
+  test('should number every command and rebuild the same book and trades from the log', async () => {
+    const log = [];
+    // Round-trip through JSON the way the order_events table does
+    const live = new MatchingEngine('BTC-USD', { journal: async (command) => log.push(JSON.parse(JSON.stringify(command))) });
+    const liveTrades = [];
+    const onTrade = (trade) => liveTrades.push(trade);
+
+    await live.processOrder(makeOrder('ask-1', 'sell', 'limit', { price: '70000', quantity: '2', display_quantity: '0.5' }), onTrade);
+    await live.processOrder(makeOrder('ask-2', 'sell', 'limit', { price: '70100' }), onTrade);
+    await live.processOrder(makeOrder('stop-1', 'buy', 'stop_market', { stop_price: '70050', quantity: '0.5' }), onTrade);
+    await live.processOrder(makeOrder('bid-1', 'buy', 'limit', { price: '69000', time_in_force: 'GTD', expire_at: new Date(Date.now() + 1000) }), onTrade);
+    await live.amendOrder('ask-2', { price: '70050' }, onTrade);
+    await live.processOrder(makeOrder('buy-1', 'buy', 'market', { quantity: '2.2' }), onTrade);
+    await live.cancelOrder('ask-2');
+    await expect(live.cancelOrder('missing')).rejects.toThrow('not found');
+    await live.expireOrders(new Date(Date.now() + 2000));
+
+    expect(log.map(c => [c.sequence, c.type])).toEqual([
+      [1, 'new'], [2, 'new'], [3, 'new'], [4, 'new'], [5, 'amend'], [6, 'new'], [7, 'cancel'], [8, 'cancel'], [9, 'expire'],
+    ]);
+    expect(live.sequence).toBe(9);
+    expect(liveTrades.length).toBeGreaterThan(1);
+
+    const replayed = new MatchingEngine('BTC-USD');
+    const replayedTrades = [];
+    for (const command of log) {
+      await replayed.apply(command, (trade) => replayedTrades.push(trade)).catch(() => {});
+    }
+
+    expect(replayed.sequence).toBe(9);
+    expect(replayedTrades.map(t => t.toJSON())).toEqual(liveTrades.map(t => t.toJSON()));
+    expect(replayed.getOrderBookSnapshot(20)).toEqual(live.getOrderBookSnapshot(20));
+    expect(replayed.stopBook.orders.size).toBe(live.stopBook.orders.size);
+    expect(diffTrades(replayedTrades, liveTrades)).toEqual({ missing: [], unexpected: [], mismatched: [] });
+  });
+
+  test('should restore a snapshot and replay only the commands after it', async () => {
+    const log = [];
+    const live = new MatchingEngine('BTC-USD', { journal: async (command) => log.push(JSON.parse(JSON.stringify(command))) });
+    const liveTrades = [];
+    const onTrade = (trade) => liveTrades.push(trade);
+
+    await live.processOrder(makeOrder('ask-1', 'sell', 'limit', { price: '70000', quantity: '2', display_quantity: '0.5' }), onTrade);
+    await live.processOrder(makeOrder('ask-2', 'sell', 'limit', { price: '70000' }), onTrade);
+    await live.processOrder(makeOrder('stop-1', 'buy', 'stop_market', { stop_price: '70050', quantity: '0.5' }), onTrade);
+    await live.processOrder(makeOrder('buy-1', 'buy', 'market', { quantity: '0.2' }), onTrade);
+
+    const snapshot = JSON.parse(JSON.stringify(await live.snapshot()));
+    expect(snapshot.sequence).toBe(4);
+    expect(snapshot.orders.map(o => o.order_id)).toEqual(['ask-1', 'ask-2']);
+    expect(snapshot.orders[0].slice_remaining).toBe('0.3');
+    expect(snapshot.stops.map(o => o.order_id)).toEqual(['stop-1']);
+    const tradesBefore = liveTrades.length;
+    const lastTradePrice = live.lastTradePrice;
+
+    await live.processOrder(makeOrder('buy-2', 'buy', 'market', { quantity: '0.4' }), onTrade);
+    await live.processOrder(makeOrder('ask-3', 'sell', 'limit', { price: '70100' }), onTrade);
+    await live.processOrder(makeOrder('buy-3', 'buy', 'limit', { price: '70100', quantity: '2' }), onTrade);
+
+    const restored = new MatchingEngine('BTC-USD');
+    restored.restoreSnapshot(snapshot);
+    expect(restored.sequence).toBe(4);
+    expect(restored.lastTradePrice).toBe(lastTradePrice);
+
+    const replayedTrades = [];
+    for (const command of log.filter(c => c.sequence > snapshot.sequence)) {
+      await restored.apply(command, (trade) => replayedTrades.push(trade));
+    }
+
+    expect(restored.sequence).toBe(live.sequence);
+    expect(replayedTrades.map(t => t.toJSON())).toEqual(liveTrades.slice(tradesBefore).map(t => t.toJSON()));
+    expect(restored.getOrderBookSnapshot(20)).toEqual(live.getOrderBookSnapshot(20));
+    // Queue order and fill state survive; updated_at is wall-clock time and may differ
+    const queue = (snap) => snap.orders.map(o => [o.order_id, o.filled_quantity, o.hidden_filled_quantity, o.slice_remaining, o.created_at]);
+    expect(queue(await restored.snapshot())).toEqual(queue(await live.snapshot()));
+    expect(() => restored.restoreSnapshot(snapshot)).toThrow('non-empty book');
+  });
+
+  test('should replay with the instrument\'s circuit breaker settings, as the live engine ran', async () => {
+    instrumentRegistry.instruments.set('BTC-USD', new Instrument({
+      instrument: 'BTC-USD', base_asset: 'BTC', quote_asset: 'USD', tick_size: '0.01', lot_size: '0.00000001',
+    }));
+    circuitBreakerService.settings.set('BTC-USD', {
+      ...circuitBreakerService.defaults,
+      band_percent: '0.5',
+      reference_price: '70000',
+    });
+
+    const log = [];
+    const live = new MatchingEngine('BTC-USD', {
+      circuitBreaker: circuitBreakerService.getEngineSettings('BTC-USD'),
+      journal: async (command) => log.push(JSON.parse(JSON.stringify(command))),
+    });
+    const liveTrades = [];
+    await live.processOrder(makeOrder('ask-1', 'sell', 'limit', { price: '70000' }));
+    await live.processOrder(makeOrder('ask-2', 'sell', 'limit', { price: '70500' }));
+    await live.processOrder(makeOrder('buy-1', 'buy', 'market', { quantity: '2' }), (trade) => liveTrades.push(trade));
+    expect(live.phase).toBe('halted');
+
+    postgres.getCommands = async () => log.map(command => ({
+      ...command,
+      event_type: command.type,
+      event_data: command.data,
+    }));
+    const { engine, trades } = await new ReplayService().replay('BTC-USD');
+
+    // With the defaults (no band) the replay would also have bought ask-2
+    expect(trades.map(t => t.toJSON())).toEqual(liveTrades.map(t => t.toJSON()));
+    expect(engine.phase).toBe('halted');
+    expect(engine.getOrderBookSnapshot(20)).toEqual(live.getOrderBookSnapshot(20));
+  });
+
+  test('should log a new engine\'s circuit breaker settings, so replay uses them after they change', async () => {
+    instrumentRegistry.instruments.set('BTC-USD', new Instrument({
+      instrument: 'BTC-USD', base_asset: 'BTC', quote_asset: 'USD', tick_size: '0.01', lot_size: '0.00000001',
+    }));
+    circuitBreakerService.settings.set('BTC-USD', {
+      ...circuitBreakerService.defaults,
+      band_percent: '0.5',
+      reference_price: '70000',
+    });
+
+    const log = [];
+    postgres.saveCommand = async (command) => { log.push(JSON.parse(JSON.stringify(command))); };
+    redis.publish = async () => {};
+    kafkaProducer.sendTradingStatus = async () => {};
+    kafkaProducer.sendL3Events = async () => {};
+
+    const live = new ExchangeService().getEngine('BTC-USD');
+    const liveTrades = [];
+    await live.processOrder(makeOrder('ask-1', 'sell', 'limit', { price: '70000' }));
+    await live.processOrder(makeOrder('ask-2', 'sell', 'limit', { price: '70500' }));
+    await live.processOrder(makeOrder('buy-1', 'buy', 'market', { quantity: '2' }), (trade) => liveTrades.push(trade));
+    expect(log[0]).toMatchObject({ sequence: 1, type: 'circuit_breaker', data: { band_percent: '0.5', reference_price: '70000' } });
+    expect(live.phase).toBe('halted');
+
+    // The band has since been lifted; the replay still halts where the live engine did
+    circuitBreakerService.settings.delete('BTC-USD');
+    postgres.getCommands = async () => log.map(command => ({
+      ...command,
+      event_type: command.type,
+      event_data: command.data,
+    }));
+    const { engine, trades } = await new ReplayService().replay('BTC-USD');
+
+    expect(trades.map(t => t.toJSON())).toEqual(liveTrades.map(t => t.toJSON()));
+    expect(engine.phase).toBe('halted');
+    expect(engine.getOrderBookSnapshot(20)).toEqual(live.getOrderBookSnapshot(20));
+  });
+
+  test('should refuse a command that skips a sequence number', async () => {
+    const engine = new MatchingEngine('BTC-USD');
+    const command = {
+      instrument: 'BTC-USD',
+      sequence: 2,
+      type: 'cancel',
+      order_id: 'order-1',
+      data: {},
+      timestamp: new Date().toISOString(),
+    };
+
+    await expect(engine.apply(command)).rejects.toThrow('out of order');
+    expect(engine.sequence).toBe(0);
+  });
+
+  test('should leave the book untouched when the journal rejects a command', async () => {
+    const engine = new MatchingEngine('BTC-USD', { journal: async () => { throw new Error('database down'); } });
+
+    await expect(engine.processOrder(makeOrder('ask-1', 'sell', 'limit', { price: '70000' }))).rejects.toThrow('database down');
+    expect(engine.sequence).toBe(0);
+    expect(engine.getOrder('ask-1')).toBeUndefined();
+  });
+
+  test('should report missing, unexpected and mismatched trades', () => {
+    const trade = (tradeId, price) => new Trade({
+      trade_id: tradeId,
+      buy_order_id: 'buy-1',
+      sell_order_id: 'sell-1',
+      instrument: 'BTC-USD',
+      price,
+      quantity: '1',
+      timestamp: new Date('2024-01-01T00:00:00Z'),
+    });
+
+    const diff = diffTrades(
+      [trade('t-1', '70000'), trade('t-2', '70001'), trade('t-4', '70000')],
+      [trade('t-1', '70000'), trade('t-2', '70000'), trade('t-3', '70000')]
+    );
+
+    expect(diff.missing).toEqual(['t-3']);
+    expect(diff.unexpected).toEqual(['t-4']);
+    expect(diff.mismatched).toEqual([{ trade_id: 't-2', field: 'price', replayed: '70001', persisted: '70000' }]);
+  });
+});
@@ -0,0 +1,101 @@
+import { RiskEngine } from '../services/RiskEngine.js';
+import { Instrument } from '../models/Instrument.js';
+import { parseDecimal } from '../utils/decimal.js';
+
+const instrument = new Instrument({
+  instrument: 'BTC-USD',
+  base_asset: 'BTC',
+  quote_asset: 'USD',
+  tick_size: '0.01',
+  lot_size: '0.001',
+});
+
+const order = (overrides = {}) => ({
+  client_id: 'client-A',
+  instrument: 'BTC-USD',
+  side: 'buy',
+  type: 'limit',
+  price: parseDecimal('70000'),
+  stop_price: null,
+  quantity: parseDecimal('1'),
+  reduce_only: false,
+  ...overrides,
+});
+
+describe('RiskEngine', () => {
+  let risk;
+  let context;
+
+  beforeEach(() => {
+    risk = new RiskEngine();
+    context = {
+      instrument,
+      referencePrice: parseDecimal('70000'),
+      bestOppositePrice: parseDecimal('70010'),
+      replaces: null,
+      getExposure: async () => ({ open_orders: 2, buy_quantity: parseDecimal('3'), sell_quantity: 0n }),
+      getPosition: async () => parseDecimal('1'),
+    };
+  });
+
+  const setLimits = (limits) => {
+    risk.overrides.set('client-A', { ...risk.getLimits('client-A'), ...limits });
+  };
+
+  test('should reject fat-fingered prices outside the collar in the aggressive direction only', async () => {
+    await expect(risk.check(order({ price: parseDecimal('77000') }), context)).resolves.toBeUndefined();
+    await expect(risk.check(order({ price: parseDecimal('77000.01') }), context)).rejects.toMatchObject({ reason: 'price_collar' });
+    await expect(risk.check(order({ side: 'sell', price: parseDecimal('1') }), context)).rejects.toMatchObject({ reason: 'price_collar' });
+
+    // A passive buy far below the market cannot trade through it
+    await expect(risk.check(order({ price: parseDecimal('1') }), context)).resolves.toBeUndefined();
+    // Nothing to measure against before the first trade or a two-sided book
+    await expect(risk.check(order({ side: 'sell', price: parseDecimal('1') }), { ...context, referencePrice: null })).resolves.toBeUndefined();
+  });
+
+  test('should enforce per-client order size, notional and open order limits', async () => {
+    setLimits({ max_order_quantity: parseDecimal('0.5') });
+    await expect(risk.check(order(), context)).rejects.toMatchObject({ reason: 'max_order_quantity' });
+
+    setLimits({ max_order_quantity: null, max_order_notional: parseDecimal('50000') });
+    await expect(risk.check(order(), context)).rejects.toMatchObject({ reason: 'max_order_notional' });
+    // Market orders are valued at the reference price
+    await expect(risk.check(order({ type: 'market', price: null, quantity: parseDecimal('0.5') }), context)).resolves.toBeUndefined();
+
+    setLimits({ max_order_notional: null, max_open_orders: 2 });
+    await expect(risk.check(order(), context)).rejects.toMatchObject({ reason: 'max_open_orders' });
+    // Amending an order does not open a new one
+    const resting = { ...order(), filled_quantity: 0n, remaining_quantity: parseDecimal('1') };
+    await expect(risk.check(order(), { ...context, replaces: resting })).resolves.toBeUndefined();
+
+    expect(risk.getLimits('client-B').max_open_orders).toBeNull();
+  });
+
+  test('should count resting orders and the current position against the max position', async () => {
+    setLimits({ max_position: parseDecimal('5') });
+
+    // 1 held + 3 resting + 1 = 5
+    await expect(risk.check(order(), context)).resolves.toBeUndefined();
+    await expect(risk.check(order({ quantity: parseDecimal('1.001') }), context)).rejects.toMatchObject({ reason: 'max_position' });
+    // Selling moves towards flat first
+    await expect(risk.check(order({ side: 'sell', price: parseDecimal('70000'), quantity: parseDecimal('6') }), context)).resolves.toBeUndefined();
+    await expect(risk.check(order({ side: 'sell', quantity: parseDecimal('6.001') }), context)).rejects.toMatchObject({ reason: 'max_position' });
+  });
+
+  test('should check the available balance of the asset the order spends', async () => {
+    const balances = { USD: parseDecimal('50000'), BTC: parseDecimal('2') };
+    risk.setBalanceSource(async (clientId, asset) => balances[asset]);
+
+    await expect(risk.check(order(), context)).rejects.toMatchObject({ reason: 'insufficient_balance' });
+    await expect(risk.check(order({ quantity: parseDecimal('0.7') }), context)).resolves.toBeUndefined();
+    await expect(risk.check(order({ side: 'sell', quantity: parseDecimal('2') }), context)).resolves.toBeUndefined();
+    await expect(risk.check(order({ side: 'sell', quantity: parseDecimal('2.001') }), context)).rejects.toThrow('insufficient BTC balance');
+  });
+
+  test('should run added checks after the built-in ones', async () => {
+    risk.use('blocked_client', async (candidate) => {
+      if (candidate.client_id === 'client-A') throw new Error('client is blocked');
+    });
+    await expect(risk.check(order(), context)).rejects.toMatchObject({ reason: 'blocked_client', message: 'client is blocked' });
+  });
+});
@@ -0,0 +1,70 @@
+import { Ticker } from '../models/Ticker.js';
+import { Trade } from '../models/Trade.js';
+import { Candle } from '../models/Candle.js';
+import { parseDecimal } from '../utils/decimal.js';
+
+const makeTrade = (price, quantity, timestamp) => new Trade({
+  trade_id: `trade-${timestamp}`,
+  buy_order_id: 'buy-1',
+  sell_order_id: 'sell-1',
+  instrument: 'BTC-USD',
+  price,
+  quantity,
+  timestamp: new Date(timestamp),
+});
+
+describe('Ticker', () => {
+  test('should report 24h stats, change and top of book', () => {
+    const ticker = new Ticker('BTC-USD');
+    ticker.addTrade(makeTrade('70000', '1', '2024-01-02T00:00:30Z'));
+    ticker.addTrade(makeTrade('71000', '0.5', '2024-01-02T06:00:00Z'));
+    ticker.addTrade(makeTrade('69000', '2', '2024-01-02T12:00:00Z'));
+    ticker.addTrade(makeTrade('70700', '1', '2024-01-02T12:00:10Z'));
+
+    const json = ticker.toJSON({
+      bestBid: { price: parseDecimal('70690'), quantity: parseDecimal('1.5') },
+      bestAsk: null,
+      now: new Date('2024-01-02T18:00:00Z'),
+    });
+
+    expect(json).toMatchObject({
+      best_bid: '70690',
+      best_bid_size: '1.5',
+      best_ask: null,
+      best_ask_size: null,
+      last_price: '70700',
+      last_quantity: '1',
+      open_24h: '70000',
+      high_24h: '71000',
+      low_24h: '69000',
+      volume_24h: '4.5',
+      quote_volume_24h: '314200',
+      trade_count_24h: 4,
+      change_24h: '700',
+      change_percent_24h: '1',
+    });
+  });
+
+  test('should drop minutes that have left the 24h window', () => {
+    const ticker = new Ticker('BTC-USD');
+    ticker.seed([
+      Candle.fromTrade(makeTrade('65000', '3', '2024-01-01T10:00:00Z'), '1m'),
+      Candle.fromTrade(makeTrade('70000', '1', '2024-01-01T11:00:00Z'), '1m'),
+    ]);
+    ticker.addTrade(makeTrade('77000', '1', '2024-01-02T10:30:00Z'));
+
+    const json = ticker.toJSON({ now: new Date('2024-01-02T10:30:00Z') });
+
+    expect(json.open_24h).toBe('70000');
+    expect(json.low_24h).toBe('70000');
+    expect(json.volume_24h).toBe('2');
+    expect(json.change_percent_24h).toBe('10');
+
+    // No trades in the window: last price comes from the engine, no change
+    const later = ticker.toJSON({ lastPrice: parseDecimal('77000'), now: new Date('2024-01-04T00:00:00Z') });
+    expect(later.last_price).toBe('77000');
+    expect(later.open_24h).toBeNull();
+    expect(later.volume_24h).toBe('0');
+    expect(later.change_percent_24h).toBeNull();
+  });
+});
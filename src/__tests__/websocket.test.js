@@ -0,0 +1,108 @@
+import http from 'http';
+import WebSocket from 'ws';
+import ExchangeWebSocketServer from '../websocket/server.js';
+import exchangeService, { ExchangeService } from '../services/ExchangeService.js';
+import instrumentRegistry from '../services/InstrumentRegistry.js';
+import { MatchingEngine } from '../matching/MatchingEngine.js';
+import { Instrument } from '../models/Instrument.js';
+import { Order } from '../models/Order.js';
+import redis from '../db/redis.js';
+
+const makeOrder = (order_id, client_id, side, price, quantity) => new Order({
+  order_id,
+  client_id,
+  instrument: 'BTC-USD',
+  side,
+  type: 'limit',
+  price,
+  quantity,
+});
+
+const fakeConnection = (clientId) => ({
+  readyState: WebSocket.OPEN,
+  auth: { key_id: `key-${clientId}`, client_id: clientId, scopes: ['read'] },
+  sent: [],
+  send(data) { this.sent.push(JSON.parse(data)); },
+});
+
+describe('Private channels', () => {
+  let published;
+
+  beforeEach(() => {
+    published = [];
+    redis.publish = async (channel, message) => {
+      published.push({ channel, message });
+      return true;
+    };
+    instrumentRegistry.instruments.set('BTC-USD', new Instrument({
+      instrument: 'BTC-USD',
+      base_asset: 'BTC',
+      quote_asset: 'USD',
+      tick_size: '0.01',
+      lot_size: '0.001',
+    }));
+  });
+
+  test('should publish each side of a trade to its owner with the liquidity flag', async () => {
+    const engine = new MatchingEngine('BTC-USD');
+    const trades = [];
+    await engine.processOrder(makeOrder('ask-1', 'client-A', 'sell', 70000, 1), () => {}, () => {});
+    await engine.processOrder(makeOrder('bid-1', 'client-B', 'buy', 70000, 0.4), (trade) => trades.push(trade), () => {});
+
+    expect(trades[0].toJSON()).not.toHaveProperty('buy_client_id');
+    new ExchangeService()._publishFills(trades[0]);
+
+    expect(published.map(({ channel, message }) => [channel, message.order_id, message.side, message.liquidity])).toEqual([
+      ['private:my_fills:client-B', 'bid-1', 'buy', 'taker'],
+      ['private:my_fills:client-A', 'ask-1', 'sell', 'maker'],
+    ]);
+    expect(published[0].message).toMatchObject({ price: '70000', quantity: '0.4', fee: '0', fee_asset: 'USD' });
+  });
+
+  test('should deliver private messages only to the owning client\'s subscribed connections', () => {
+    const server = new ExchangeWebSocketServer(http.createServer());
+    const [a1, a2, b] = [fakeConnection('client-A'), fakeConnection('client-A'), fakeConnection('client-B')];
+
+    for (const ws of [a1, a2, b]) {
+      if (!server.clients.has(ws.auth.client_id)) server.clients.set(ws.auth.client_id, new Set());
+      server.clients.get(ws.auth.client_id).add(ws);
+    }
+    server.subscriptions.set(a1, new Set(['my_orders']));
+    server.subscriptions.set(a2, new Set(['my_fills']));
+    server.subscriptions.set(b, new Set(['my_orders']));
+
+    server.sendPrivate('client-A', 'my_orders', { order_id: 'ask-1' });
+
+    expect(a1.sent).toEqual([expect.objectContaining({ type: 'my_orders', data: { order_id: 'ask-1' } })]);
+    expect(a2.sent).toEqual([]);
+    expect(b.sent).toEqual([]);
+
+    server.handleDisconnect(a1);
+    server.handleDisconnect(a2);
+    expect(server.clients.has('client-A')).toBe(false);
+    expect(server.clients.get('client-B').size).toBe(1);
+  });
+
+  test('should take the order type from order_type, or from the message type of older clients', async () => {
+    const server = new ExchangeWebSocketServer(http.createServer());
+    const ws = fakeConnection('client-A');
+    ws.auth.scopes = ['trade'];
+    const submitted = [];
+    const submitOrder = exchangeService.submitOrder;
+    exchangeService.submitOrder = async (orderData) => {
+      submitted.push(orderData);
+      return { order: makeOrder(orderData.order_id, 'client-A', 'buy', 70000, 1), trades: [], orderbook: null };
+    };
+
+    try {
+      await server.handleMessage(ws, { type: 'order', side: 'buy', order_type: 'market', quantity: 1 });
+      await server.handleMessage(ws, { type: 'stop_limit', side: 'buy', price: 70000, stop_price: 69000, quantity: 1 });
+      await server.handleMessage(ws, { type: 'bogus', side: 'buy', quantity: 1 });
+    } finally {
+      exchangeService.submitOrder = submitOrder;
+    }
+
+    expect(submitted.map(order => order.type)).toEqual(['market', 'stop_limit']);
+    expect(ws.sent.map(message => message.type)).toEqual(['order_accepted', 'order_accepted', 'error']);
+  });
+});
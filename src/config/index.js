@@ -36,11 +36,42 @@ export default {
       trades: 'exchange-trades',
       orderbookUpdates: 'exchange-orderbook-updates',
       orderEvents: 'exchange-order-events',
+      l3Events: 'exchange-l3-events',
+      tradingStatus: 'exchange-trading-status',
     },
   },
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10),
     max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '10000', 10), // Increased from 100 to 10000
+    snapshotMax: parseInt(process.env.RATE_LIMIT_SNAPSHOT_MAX || '6', 10), // on-demand snapshots per window
+  },
+  auth: {
+    masterSecret: process.env.AUTH_MASTER_SECRET || null, // derives every API key's signing secret
+    maxClockSkewMs: parseInt(process.env.AUTH_MAX_CLOCK_SKEW_MS || '30000', 10),
+  },
+  risk: {
+    // Defaults for every client; per-client overrides live in risk_limits. Unset means no limit
+    maxOrderQuantity: process.env.RISK_MAX_ORDER_QUANTITY || null,
+    maxOrderNotional: process.env.RISK_MAX_ORDER_NOTIONAL || null, // price × quantity, in the quote asset
+    maxOpenOrders: process.env.RISK_MAX_OPEN_ORDERS ? parseInt(process.env.RISK_MAX_OPEN_ORDERS, 10) : null,
+    maxPosition: process.env.RISK_MAX_POSITION || null, // absolute net position per instrument
+    priceCollarPercent: process.env.RISK_PRICE_COLLAR_PERCENT || '10', // from the last trade price, or mid
+  },
+  positions: {
+    pnlMethod: process.env.PNL_METHOD || 'average', // fifo or average; per-client overrides live in client_pnl_methods
+  },
+  fees: {
+    // How often 30-day traded volume (for fee tiers) is recomputed from the trades table
+    volumeRefreshMs: parseInt(process.env.FEE_VOLUME_REFRESH_MS || '300000', 10),
+  },
+  circuitBreaker: {
+    // Defaults for every instrument; per-instrument settings live in circuit_breakers. Unset turns a trigger off
+    movePercent: process.env.CIRCUIT_BREAKER_MOVE_PERCENT || null, // halt on a move this large within the window
+    windowSeconds: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_SECONDS || '300', 10),
+    bandPercent: process.env.CIRCUIT_BREAKER_BAND_PERCENT || null, // limit-up/limit-down around the reference price
+    cooldownSeconds: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_SECONDS || '300', 10), // halted before the auction
+    auctionSeconds: parseInt(process.env.CIRCUIT_BREAKER_AUCTION_SECONDS || '60', 10), // collecting orders before uncrossing
+    checkIntervalMs: 1000,
   },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -48,6 +79,11 @@ export default {
   matching: {
     defaultInstrument: 'BTC-USD',
     snapshotIntervalMs: 60000, // 1 minute
+    expirySweepIntervalMs: 1000, // GTD/DAY expiry check
+    settlementRetryMs: parseInt(process.env.SETTLEMENT_RETRY_MS || '5000', 10), // retry of trades whose settlement failed
+    sessionEnd: process.env.SESSION_END_UTC || '00:00', // DAY orders expire at this HH:MM (UTC)
+    postOnlyMode: process.env.POST_ONLY_MODE || 'reject', // 'reject' or 'reprice'
+    stpMode: process.env.STP_MODE || 'cancel_newest', // self-trade prevention for orders and accounts that set none
   },
 };
 
@@ -1,6 +1,7 @@
 import pg from 'pg';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import { formatDecimal } from '../utils/decimal.js';
 
 const { Pool } = pg;
 
@@ -83,15 +84,49 @@ class PostgresAdapter {
     }
   }
 
+  /**
+   * Run fn(client) inside BEGIN/COMMIT on one pooled connection, rolling back if it throws
+   * Methods that take a db argument can be passed the client to join the transaction
+   */
+  async transaction(fn) {
+    if (!this.connected) {
+      await this.connect();
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   async saveOrder(order) {
     const query = `
       INSERT INTO orders (
         order_id, client_id, instrument, side, type, price, quantity,
-        filled_quantity, status, idempotency_key, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        filled_quantity, status, idempotency_key, created_at, updated_at,
+        stop_price, triggered_at, time_in_force, expire_at, post_only, reduce_only,
+        display_quantity, hidden_filled_quantity, stp_mode, stp_group,
+        quote_quantity, protection_price, max_slippage_percent, market_remainder,
+        reject_reason, cancel_reason
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28)
       ON CONFLICT (order_id) DO UPDATE SET
+        type = EXCLUDED.type,
+        price = EXCLUDED.price,
+        quantity = EXCLUDED.quantity,
         filled_quantity = EXCLUDED.filled_quantity,
+        hidden_filled_quantity = EXCLUDED.hidden_filled_quantity,
         status = EXCLUDED.status,
+        triggered_at = EXCLUDED.triggered_at,
+        reject_reason = EXCLUDED.reject_reason,
+        cancel_reason = EXCLUDED.cancel_reason,
         updated_at = EXCLUDED.updated_at
       RETURNING *
     `;
@@ -102,13 +137,29 @@ class PostgresAdapter {
       order.instrument,
       order.side,
       order.type,
-      order.price,
-      order.quantity,
-      order.filled_quantity,
+      formatDecimal(order.price),
+      formatDecimal(order.quantity),
+      formatDecimal(order.filled_quantity),
       order.status,
       order.idempotency_key,
       order.created_at,
       order.updated_at,
+      formatDecimal(order.stop_price),
+      order.triggered_at,
+      order.time_in_force,
+      order.expire_at,
+      order.post_only,
+      order.reduce_only,
+      formatDecimal(order.display_quantity),
+      formatDecimal(order.hidden_filled_quantity),
+      order.stp_mode,
+      order.stp_group,
+      formatDecimal(order.quote_quantity),
+      formatDecimal(order.protection_price),
+      formatDecimal(order.max_slippage_percent),
+      order.market_remainder,
+      order.reject_reason,
+      order.cancel_reason,
     ];
 
     const result = await this.query(query, values);
@@ -127,11 +178,16 @@ class PostgresAdapter {
     return result.rows[0] || null;
   }
 
-  async saveTrade(trade) {
+  /**
+   * Insert a trade; returns null if it was already saved
+   */
+  async saveTrade(trade, db = this) {
     const query = `
       INSERT INTO trades (
-        trade_id, buy_order_id, sell_order_id, instrument, price, quantity, timestamp
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        trade_id, buy_order_id, sell_order_id, instrument, price, quantity, timestamp,
+        hidden_quantity, aggressor_side, buy_client_id, sell_client_id, maker_fee, taker_fee
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (trade_id) DO NOTHING
       RETURNING *
     `;
     
@@ -140,13 +196,19 @@ class PostgresAdapter {
       trade.buy_order_id,
       trade.sell_order_id,
       trade.instrument,
-      trade.price,
-      trade.quantity,
+      formatDecimal(trade.price),
+      formatDecimal(trade.quantity),
       trade.timestamp,
+      formatDecimal(trade.hidden_quantity),
+      trade.aggressor_side,
+      trade.buy_client_id,
+      trade.sell_client_id,
+      formatDecimal(trade.maker_fee),
+      formatDecimal(trade.taker_fee),
     ];
 
-    const result = await this.query(query, values);
-    return result.rows[0];
+    const result = await db.query(query, values);
+    return result.rows[0] || null;
   }
 
   async getRecentTrades(instrument, limit = 50) {
@@ -160,6 +222,18 @@ class PostgresAdapter {
     return result.rows;
   }
 
+  async getTradesBetween(instrument, startTime, endTime) {
+    const query = `
+      SELECT * FROM trades
+      WHERE instrument = $1
+      AND timestamp >= $2
+      AND timestamp <= $3
+      ORDER BY timestamp ASC
+    `;
+    const result = await this.query(query, [instrument, startTime, endTime]);
+    return result.rows;
+  }
+
   async saveOrderEvent(event) {
     const query = `
       INSERT INTO order_events (order_id, event_type, event_data, timestamp)
@@ -178,10 +252,56 @@ class PostgresAdapter {
     return result.rows[0];
   }
 
-  async saveOrderBookSnapshot(instrument, snapshotData) {
+  /**
+   * Append an engine command to the log; the unique (instrument, sequence)
+   * index rejects a second writer claiming the same sequence
+   */
+  async saveCommand(command) {
     const query = `
-      INSERT INTO order_book_snapshots (instrument, snapshot_data, timestamp)
-      VALUES ($1, $2, $3)
+      INSERT INTO order_events (order_id, event_type, event_data, timestamp, instrument, sequence)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [
+      command.order_id,
+      command.type,
+      JSON.stringify(command.data),
+      command.timestamp,
+      command.instrument,
+      command.sequence,
+    ];
+
+    const result = await this.query(query, values);
+    return result.rows[0];
+  }
+
+  async getCommands(instrument, { afterSequence = 0, until = null } = {}) {
+    const query = `
+      SELECT * FROM order_events
+      WHERE instrument = $1
+      AND sequence > $2
+      AND ($3::timestamptz IS NULL OR timestamp <= $3)
+      ORDER BY sequence ASC
+    `;
+    const result = await this.query(query, [instrument, afterSequence, until]);
+    return result.rows;
+  }
+
+  async getCommandSequences() {
+    const query = `
+      SELECT instrument, MAX(sequence) AS sequence FROM order_events
+      WHERE sequence IS NOT NULL
+      GROUP BY instrument
+    `;
+    const result = await this.query(query);
+    return new Map(result.rows.map(row => [row.instrument, Number(row.sequence)]));
+  }
+
+  async saveOrderBookSnapshot(instrument, snapshotData, sequence = null) {
+    const query = `
+      INSERT INTO order_book_snapshots (instrument, snapshot_data, timestamp, sequence)
+      VALUES ($1, $2, $3, $4)
       RETURNING *
     `;
     
@@ -189,58 +309,162 @@ class PostgresAdapter {
       instrument,
       JSON.stringify(snapshotData),
       new Date(),
+      sequence,
     ];
 
     const result = await this.query(query, values);
     return result.rows[0];
   }
 
-  async getLatestOrderBookSnapshot(instrument) {
+  /**
+   * Latest order-level snapshot, optionally only among those taken at or before `before`
+   */
+  async getLatestOrderBookSnapshot(instrument, { before = null } = {}) {
     const query = `
       SELECT * FROM order_book_snapshots
       WHERE instrument = $1
-      ORDER BY timestamp DESC
+      AND sequence IS NOT NULL
+      AND ($2::timestamptz IS NULL OR timestamp <= $2)
+      ORDER BY sequence DESC
       LIMIT 1
     `;
-    const result = await this.query(query, [instrument]);
+    const result = await this.query(query, [instrument, before]);
     return result.rows[0] || null;
   }
 
+  async getSnapshotInstruments() {
+    const query = `
+      SELECT DISTINCT instrument FROM order_book_snapshots
+      WHERE sequence IS NOT NULL
+    `;
+    const result = await this.query(query);
+    return result.rows.map(row => row.instrument);
+  }
+
   async getOpenOrders(instrument) {
     const query = `
       SELECT * FROM orders
       WHERE instrument = $1
-      AND status IN ('open', 'partially_filled')
-      ORDER BY created_at ASC
+      AND status IN ('open', 'partially_filled', 'untriggered', 'triggered')
+      ORDER BY created_at ASC, sequence_number ASC
     `;
     const result = await this.query(query, [instrument]);
     return result.rows;
   }
 
-  async updateClientPosition(clientId, instrument, quantity, price) {
+  async getInstrumentsWithOpenOrders() {
     const query = `
-      INSERT INTO client_positions (client_id, instrument, net_quantity, total_cost, last_updated)
-      VALUES ($1, $2, $3, $4, $5)
-      ON CONFLICT (client_id, instrument) DO UPDATE SET
-        net_quantity = client_positions.net_quantity + $3,
-        total_cost = client_positions.total_cost + $4,
-        last_updated = $5
+      SELECT DISTINCT instrument FROM orders
+      WHERE status IN ('open', 'partially_filled', 'untriggered', 'triggered')
+      ORDER BY instrument ASC
+    `;
+    const result = await this.query(query);
+    return result.rows.map(row => row.instrument);
+  }
+
+  /**
+   * Lock a client's position in an instrument, creating it flat if it does not exist yet
+   */
+  async getClientPositionForUpdate(clientId, instrument, db = this) {
+    await db.query(
+      'INSERT INTO client_positions (client_id, instrument) VALUES ($1, $2) ON CONFLICT (client_id, instrument) DO NOTHING',
+      [clientId, instrument],
+    );
+    const result = await db.query(
+      'SELECT * FROM client_positions WHERE client_id = $1 AND instrument = $2 FOR UPDATE',
+      [clientId, instrument],
+    );
+    return result.rows[0];
+  }
+
+  async saveClientPosition(position, db = this) {
+    const query = `
+      UPDATE client_positions SET
+        net_quantity = $3,
+        total_cost = $4,
+        realized_pnl = $5,
+        lots = $6,
+        last_updated = $7
+      WHERE client_id = $1 AND instrument = $2
       RETURNING *
     `;
-    
-    const cost = quantity * price;
+
     const values = [
-      clientId,
-      instrument,
-      quantity,
-      cost,
-      new Date(),
+      position.client_id,
+      position.instrument,
+      formatDecimal(position.net_quantity),
+      formatDecimal(position.total_cost),
+      formatDecimal(position.realized_pnl),
+      JSON.stringify(position.lotsToDB()),
+      position.last_updated,
     ];
 
-    const result = await this.query(query, values);
+    const result = await db.query(query, values);
     return result.rows[0];
   }
 
+  async savePnlHistory(entry, db = this) {
+    const query = `
+      INSERT INTO pnl_history (
+        client_id, instrument, trade_id, method, quantity, price, realized_pnl,
+        cumulative_realized_pnl, net_quantity, cost_basis, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `;
+
+    await db.query(query, [
+      entry.client_id,
+      entry.instrument,
+      entry.trade_id,
+      entry.method,
+      formatDecimal(entry.quantity),
+      formatDecimal(entry.price),
+      formatDecimal(entry.realized_pnl),
+      formatDecimal(entry.cumulative_realized_pnl),
+      formatDecimal(entry.net_quantity),
+      formatDecimal(entry.cost_basis),
+      entry.created_at,
+    ]);
+  }
+
+  async getPnlHistory(clientId, { instrument = null, startTime, endTime, limit = 100 }) {
+    const query = `
+      SELECT * FROM pnl_history
+      WHERE client_id = $1
+      AND ($2::varchar IS NULL OR instrument = $2)
+      AND created_at >= $3
+      AND created_at <= $4
+      ORDER BY created_at DESC, entry_id DESC
+      LIMIT $5
+    `;
+    const result = await this.query(query, [clientId, instrument, startTime, endTime, limit]);
+    return result.rows;
+  }
+
+  async getPnlMethods() {
+    const result = await this.query('SELECT * FROM client_pnl_methods');
+    return result.rows;
+  }
+
+  async upsertPnlMethod(clientId, method) {
+    const query = `
+      INSERT INTO client_pnl_methods (client_id, method, updated_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (client_id) DO UPDATE SET method = EXCLUDED.method, updated_at = EXCLUDED.updated_at
+      RETURNING *
+    `;
+    const result = await this.query(query, [clientId, method, new Date()]);
+    return result.rows[0];
+  }
+
+  async getClientPosition(clientId, instrument) {
+    const query = `
+      SELECT * FROM client_positions
+      WHERE client_id = $1 AND instrument = $2
+    `;
+    const result = await this.query(query, [clientId, instrument]);
+    return result.rows[0] || null;
+  }
+
   async getClientPositions(clientId) {
     const query = `
       SELECT * FROM client_positions
@@ -250,6 +474,435 @@ class PostgresAdapter {
     return result.rows;
   }
 
+  async getInstruments() {
+    const query = 'SELECT * FROM instruments ORDER BY instrument ASC';
+    const result = await this.query(query);
+    return result.rows;
+  }
+
+  async createInstrument(instrument) {
+    const query = `
+      INSERT INTO instruments (
+        instrument, base_asset, quote_asset, tick_size, lot_size, min_quantity,
+        max_quantity, min_notional, price_band_percent, status, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `;
+
+    const values = [
+      instrument.instrument,
+      instrument.base_asset,
+      instrument.quote_asset,
+      formatDecimal(instrument.tick_size),
+      formatDecimal(instrument.lot_size),
+      formatDecimal(instrument.min_quantity),
+      formatDecimal(instrument.max_quantity),
+      formatDecimal(instrument.min_notional),
+      formatDecimal(instrument.price_band_percent),
+      instrument.status,
+      instrument.created_at,
+      instrument.updated_at,
+    ];
+
+    const result = await this.query(query, values);
+    return result.rows[0];
+  }
+
+  async updateInstrumentStatus(instrument, status, updatedAt = new Date()) {
+    const query = `
+      UPDATE instruments SET status = $2, updated_at = $3
+      WHERE instrument = $1
+      RETURNING *
+    `;
+    const result = await this.query(query, [instrument, status, updatedAt]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Merge one-trade candles into the stored bars, one row per resolution
+   * open/close only move when the trade is earlier/later than what the bar already holds
+   */
+  async upsertCandles(candles) {
+    const columns = 12;
+    const placeholders = candles.map((_, i) => {
+      const params = Array.from({ length: columns }, (__, j) => `$${i * columns + j + 1}`);
+      return `(${params.join(', ')})`;
+    });
+
+    const query = `
+      INSERT INTO candles (
+        instrument, resolution, open_time, open, high, low, close, volume, quote_volume,
+        trade_count, first_trade_at, last_trade_at
+      ) VALUES ${placeholders.join(', ')}
+      ON CONFLICT (instrument, resolution, open_time) DO UPDATE SET
+        open = CASE WHEN EXCLUDED.first_trade_at < candles.first_trade_at THEN EXCLUDED.open ELSE candles.open END,
+        high = GREATEST(candles.high, EXCLUDED.high),
+        low = LEAST(candles.low, EXCLUDED.low),
+        close = CASE WHEN EXCLUDED.last_trade_at >= candles.last_trade_at THEN EXCLUDED.close ELSE candles.close END,
+        volume = candles.volume + EXCLUDED.volume,
+        quote_volume = candles.quote_volume + EXCLUDED.quote_volume,
+        trade_count = candles.trade_count + EXCLUDED.trade_count,
+        first_trade_at = LEAST(candles.first_trade_at, EXCLUDED.first_trade_at),
+        last_trade_at = GREATEST(candles.last_trade_at, EXCLUDED.last_trade_at),
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const values = candles.flatMap(candle => [
+      candle.instrument,
+      candle.resolution,
+      candle.open_time,
+      formatDecimal(candle.open),
+      formatDecimal(candle.high),
+      formatDecimal(candle.low),
+      formatDecimal(candle.close),
+      formatDecimal(candle.volume),
+      formatDecimal(candle.quote_volume),
+      candle.trade_count,
+      candle.first_trade_at,
+      candle.last_trade_at,
+    ]);
+
+    const result = await this.query(query, values);
+    return result.rows;
+  }
+
+  async getCandles(instrument, resolution, startTime, endTime, limit = 500) {
+    const query = `
+      SELECT * FROM candles
+      WHERE instrument = $1
+      AND resolution = $2
+      AND open_time >= $3
+      AND open_time <= $4
+      ORDER BY open_time ASC
+      LIMIT $5
+    `;
+    const result = await this.query(query, [instrument, resolution, startTime, endTime, limit]);
+    return result.rows;
+  }
+
+  async createApiKey(key) {
+    const query = `
+      INSERT INTO api_keys (key_id, key_hash, client_id, scopes, label)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await this.query(query, [key.key_id, key.key_hash, key.client_id, key.scopes, key.label]);
+    return result.rows[0];
+  }
+
+  async getApiKeyByHash(keyHash) {
+    const query = 'SELECT * FROM api_keys WHERE key_hash = $1';
+    const result = await this.query(query, [keyHash]);
+    return result.rows[0] || null;
+  }
+
+  async getApiKeys(clientId = null) {
+    const query = `
+      SELECT * FROM api_keys
+      WHERE ($1::text IS NULL OR client_id = $1)
+      ORDER BY created_at ASC
+    `;
+    const result = await this.query(query, [clientId]);
+    return result.rows;
+  }
+
+  async revokeApiKey(keyId) {
+    const query = `
+      UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+      WHERE key_id = $1
+      RETURNING *
+    `;
+    const result = await this.query(query, [keyId]);
+    return result.rows[0] || null;
+  }
+
+  async getRiskLimits() {
+    const result = await this.query('SELECT * FROM risk_limits');
+    return result.rows;
+  }
+
+  async upsertRiskLimits(clientId, limits) {
+    const query = `
+      INSERT INTO risk_limits (
+        client_id, max_order_quantity, max_order_notional, max_open_orders, max_position,
+        price_collar_percent, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (client_id) DO UPDATE SET
+        max_order_quantity = EXCLUDED.max_order_quantity,
+        max_order_notional = EXCLUDED.max_order_notional,
+        max_open_orders = EXCLUDED.max_open_orders,
+        max_position = EXCLUDED.max_position,
+        price_collar_percent = EXCLUDED.price_collar_percent,
+        updated_at = EXCLUDED.updated_at
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      clientId,
+      formatDecimal(limits.max_order_quantity),
+      formatDecimal(limits.max_order_notional),
+      limits.max_open_orders,
+      formatDecimal(limits.max_position),
+      formatDecimal(limits.price_collar_percent),
+      new Date(),
+    ]);
+    return result.rows[0];
+  }
+
+  async getFeeSchedules() {
+    const result = await this.query('SELECT * FROM fee_schedules ORDER BY instrument ASC, min_volume_30d ASC');
+    return result.rows;
+  }
+
+  async upsertFeeSchedule(schedule) {
+    const query = `
+      INSERT INTO fee_schedules (instrument, tier, min_volume_30d, maker_rate, taker_rate, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (instrument, tier) DO UPDATE SET
+        min_volume_30d = EXCLUDED.min_volume_30d,
+        maker_rate = EXCLUDED.maker_rate,
+        taker_rate = EXCLUDED.taker_rate,
+        updated_at = EXCLUDED.updated_at
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      schedule.instrument,
+      schedule.tier,
+      formatDecimal(schedule.min_volume_30d),
+      formatDecimal(schedule.maker_rate),
+      formatDecimal(schedule.taker_rate),
+      new Date(),
+    ]);
+    return result.rows[0];
+  }
+
+  async deleteFeeSchedule(instrument, tier) {
+    const result = await this.query('DELETE FROM fee_schedules WHERE instrument = $1 AND tier = $2 RETURNING *', [instrument, tier]);
+    return result.rows[0] || null;
+  }
+
+  async getClientFeeTiers() {
+    const result = await this.query('SELECT * FROM client_fee_tiers');
+    return result.rows;
+  }
+
+  async upsertClientFeeTier(clientId, tier) {
+    const query = `
+      INSERT INTO client_fee_tiers (client_id, tier, updated_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (client_id) DO UPDATE SET tier = EXCLUDED.tier, updated_at = EXCLUDED.updated_at
+      RETURNING *
+    `;
+    const result = await this.query(query, [clientId, tier, new Date()]);
+    return result.rows[0];
+  }
+
+  async deleteClientFeeTier(clientId) {
+    await this.query('DELETE FROM client_fee_tiers WHERE client_id = $1', [clientId]);
+  }
+
+  /**
+   * Traded notional per client since a time, counting both sides of every trade
+   */
+  async getClientVolumes(since) {
+    const query = `
+      SELECT client_id, SUM(notional) AS volume
+      FROM (
+        SELECT buy_client_id AS client_id, price * quantity AS notional FROM trades WHERE timestamp >= $1
+        UNION ALL
+        SELECT sell_client_id AS client_id, price * quantity AS notional FROM trades WHERE timestamp >= $1
+      ) fills
+      WHERE client_id IS NOT NULL
+      GROUP BY client_id
+    `;
+    const result = await this.query(query, [since]);
+    return result.rows;
+  }
+
+  /**
+   * One client's fills between two times, grouped by instrument and liquidity (maker/taker)
+   */
+  async getClientFeeTotals(clientId, startTime, endTime) {
+    const query = `
+      SELECT instrument, liquidity, COUNT(*) AS trade_count, SUM(price * quantity) AS volume, SUM(fee) AS fees
+      FROM (
+        SELECT instrument, price, quantity,
+          CASE WHEN aggressor_side = 'buy' THEN 'taker' ELSE 'maker' END AS liquidity,
+          CASE WHEN aggressor_side = 'buy' THEN taker_fee ELSE maker_fee END AS fee
+        FROM trades
+        WHERE buy_client_id = $1 AND timestamp >= $2 AND timestamp <= $3
+        UNION ALL
+        SELECT instrument, price, quantity,
+          CASE WHEN aggressor_side = 'sell' THEN 'taker' ELSE 'maker' END AS liquidity,
+          CASE WHEN aggressor_side = 'sell' THEN taker_fee ELSE maker_fee END AS fee
+        FROM trades
+        WHERE sell_client_id = $1 AND timestamp >= $2 AND timestamp <= $3
+      ) fills
+      GROUP BY instrument, liquidity
+      ORDER BY instrument ASC, liquidity ASC
+    `;
+    const result = await this.query(query, [clientId, startTime, endTime]);
+    return result.rows;
+  }
+
+  async getStpSettings() {
+    const result = await this.query('SELECT * FROM client_stp_settings');
+    return result.rows;
+  }
+
+  async upsertStpSettings(clientId, { stp_mode, stp_group }) {
+    const query = `
+      INSERT INTO client_stp_settings (client_id, stp_mode, stp_group, updated_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (client_id) DO UPDATE SET
+        stp_mode = EXCLUDED.stp_mode,
+        stp_group = EXCLUDED.stp_group,
+        updated_at = EXCLUDED.updated_at
+      RETURNING *
+    `;
+    const result = await this.query(query, [clientId, stp_mode, stp_group, new Date()]);
+    return result.rows[0];
+  }
+
+  async getCircuitBreakers() {
+    const result = await this.query('SELECT * FROM circuit_breakers');
+    return result.rows;
+  }
+
+  async upsertCircuitBreaker(instrument, settings) {
+    const query = `
+      INSERT INTO circuit_breakers (
+        instrument, move_percent, window_seconds, band_percent, reference_price,
+        cooldown_seconds, auction_seconds, updated_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (instrument) DO UPDATE SET
+        move_percent = EXCLUDED.move_percent,
+        window_seconds = EXCLUDED.window_seconds,
+        band_percent = EXCLUDED.band_percent,
+        reference_price = EXCLUDED.reference_price,
+        cooldown_seconds = EXCLUDED.cooldown_seconds,
+        auction_seconds = EXCLUDED.auction_seconds,
+        updated_at = EXCLUDED.updated_at
+      RETURNING *
+    `;
+    const result = await this.query(query, [
+      instrument,
+      settings.move_percent,
+      settings.window_seconds,
+      settings.band_percent,
+      settings.reference_price,
+      settings.cooldown_seconds,
+      settings.auction_seconds,
+      new Date(),
+    ]);
+    return result.rows[0];
+  }
+
+  async getAccounts(clientId) {
+    const query = 'SELECT * FROM accounts WHERE client_id = $1 ORDER BY asset ASC';
+    const result = await this.query(query, [clientId]);
+    return result.rows;
+  }
+
+  async getAccount(clientId, asset) {
+    const query = 'SELECT * FROM accounts WHERE client_id = $1 AND asset = $2';
+    const result = await this.query(query, [clientId, asset]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Write one journal's ledger rows and apply each to its account's available or held balance
+   * Returns the updated account rows in entry order
+   */
+  async postLedgerEntries(journal, db = this) {
+    const accounts = [];
+    const createdAt = new Date();
+
+    for (const entry of journal.entries) {
+      const column = entry.bucket === 'held' ? 'held' : 'available';
+      const accountQuery = `
+        INSERT INTO accounts (client_id, asset, ${column}, updated_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (client_id, asset) DO UPDATE SET
+          ${column} = accounts.${column} + $3,
+          updated_at = $4
+        RETURNING *
+      `;
+      const result = await db.query(accountQuery, [entry.client_id, entry.asset, formatDecimal(entry.amount), createdAt]);
+      accounts.push(result.rows[0]);
+
+      const ledgerQuery = `
+        INSERT INTO ledger_entries (journal_id, entry_type, reference_id, client_id, asset, bucket, amount, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `;
+      await db.query(ledgerQuery, [
+        journal.journal_id,
+        journal.entry_type,
+        journal.reference_id,
+        entry.client_id,
+        entry.asset,
+        entry.bucket,
+        formatDecimal(entry.amount),
+        createdAt,
+      ]);
+    }
+
+    return accounts;
+  }
+
+  async getLedgerEntries(clientId, limit = 100) {
+    const query = `
+      SELECT * FROM ledger_entries
+      WHERE client_id = $1
+      ORDER BY entry_id DESC
+      LIMIT $2
+    `;
+    const result = await this.query(query, [clientId, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Lock and return an order's hold row, or null
+   */
+  async getOrderHoldForUpdate(orderId, db = this) {
+    const result = await db.query('SELECT * FROM order_holds WHERE order_id = $1 FOR UPDATE', [orderId]);
+    return result.rows[0] || null;
+  }
+
+  async saveOrderHold(hold, db = this) {
+    const query = `
+      INSERT INTO order_holds (order_id, client_id, asset, amount, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $5)
+      ON CONFLICT (order_id) DO UPDATE SET
+        amount = EXCLUDED.amount,
+        updated_at = EXCLUDED.updated_at
+      RETURNING *
+    `;
+    const result = await db.query(query, [hold.order_id, hold.client_id, hold.asset, formatDecimal(hold.amount), new Date()]);
+    return result.rows[0];
+  }
+
+  async deleteOrderHold(orderId, db = this) {
+    await db.query('DELETE FROM order_holds WHERE order_id = $1', [orderId]);
+  }
+
+  async saveAccessDenial(entry) {
+    const query = `
+      INSERT INTO access_audit (key_id, client_id, action, resource_type, resource_id, owner_client_id, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `;
+    await this.query(query, [
+      entry.key_id,
+      entry.client_id,
+      entry.action,
+      entry.resource_type,
+      entry.resource_id,
+      entry.owner_client_id,
+      entry.timestamp || new Date(),
+    ]);
+  }
+
   async getTradeAggregates(instrument, startTime, endTime, intervalMinutes = 1) {
     const query = `
       SELECT
@@ -176,6 +176,29 @@ class RedisAdapter {
     }
   }
 
+  /**
+   * Subscribe to every channel matching a glob pattern; callback gets (channel, message)
+   */
+  async psubscribe(pattern, callback) {
+    try {
+      const subscriber = this.client.duplicate();
+      await subscriber.psubscribe(pattern);
+      subscriber.on('pmessage', (pat, channel, message) => {
+        if (pat === pattern) {
+          try {
+            callback(channel, JSON.parse(message));
+          } catch (error) {
+            logger.error('Error parsing Redis message', { error: error.message });
+          }
+        }
+      });
+      return subscriber;
+    } catch (error) {
+      logger.error('Redis psubscribe error', { pattern, error: error.message });
+      return null;
+    }
+  }
+
   // Idempotency key management
   async setIdempotencyKey(key, orderId, ttl = 3600) {
     return this.setIfNotExists(`idempotency:${key}`, orderId, ttl);
@@ -22,7 +22,8 @@ const server = http.createServer(app);
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body: request signatures are computed over it
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf.toString(); } }));
 app.use(express.urlencoded({ extended: true }));
 
 // Optimize Express for performance
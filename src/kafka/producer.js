@@ -105,6 +105,20 @@ class KafkaProducer {
     });
   }
 
+  async sendL3Events(batch) {
+    return this.sendMessage(config.kafka.topics.l3Events, {
+      type: 'l3_events',
+      ...batch,
+    });
+  }
+
+  async sendTradingStatus(event) {
+    return this.sendMessage(config.kafka.topics.tradingStatus, {
+      type: 'trading_status',
+      ...event,
+    });
+  }
+
   async sendOrderEvent(event) {
     return this.sendMessage(config.kafka.topics.orderEvents, {
       type: 'order_event',
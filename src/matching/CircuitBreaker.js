@@ -0,0 +1,121 @@
+import { parseDecimal, formatDecimal, mulDecimal } from '../utils/decimal.js';
+
+/**
+ * Volatility guard for one instrument, asked about every trade before the engine makes it
+ * Two triggers, each off while its percentage is null:
+ *   - move_percent: the price moves further than this from any trade in the last window_seconds
+ *   - band_percent: the price leaves the limit-up/limit-down band around reference_price
+ *     (the configured one, else the first trade, then each reopening auction's price)
+ * Time is the engine clock, so replaying the command log trips it at the same trade
+ */
+export class CircuitBreaker {
+  constructor(settings = {}) {
+    // Trades in the window that no later trade has beaten: highs by descending price, lows by
+    // ascending price, so each window's extreme is at the front
+    this.highs = [];
+    this.lows = [];
+    this.reference_price = null;
+    this.configure(settings);
+  }
+
+  /**
+   * Leaving reference_price out keeps the current one; null clears it, so the next trade sets it
+   */
+  configure({ move_percent = null, window_seconds = 300, band_percent = null, reference_price } = {}) {
+    this.move_percent = parseDecimal(move_percent);
+    this.window_seconds = Number(window_seconds);
+    this.band_percent = parseDecimal(band_percent);
+    if (reference_price !== undefined) {
+      this.reference_price = parseDecimal(reference_price);
+    }
+  }
+
+  /**
+   * Why a trade at price, at time at, would trip the breaker, or null if it would not:
+   * { trigger: 'limit_up' | 'limit_down' | 'move_up' | 'move_down', reference_price, limit_price }
+   */
+  check(price, at) {
+    this._evict(at);
+
+    if (this.band_percent !== null && this.reference_price !== null) {
+      const band = mulDecimal(this.reference_price, this.band_percent) / 100n;
+      if (price > this.reference_price + band) {
+        return { trigger: 'limit_up', reference_price: this.reference_price, limit_price: this.reference_price + band };
+      }
+      if (price < this.reference_price - band) {
+        return { trigger: 'limit_down', reference_price: this.reference_price, limit_price: this.reference_price - band };
+      }
+    }
+
+    if (this.move_percent !== null && this.lows.length > 0) {
+      const low = this.lows[0].price;
+      const high = this.highs[0].price;
+      const up = low + mulDecimal(low, this.move_percent) / 100n;
+      const down = high - mulDecimal(high, this.move_percent) / 100n;
+      if (price > up) {
+        return { trigger: 'move_up', reference_price: low, limit_price: up };
+      }
+      if (price < down) {
+        return { trigger: 'move_down', reference_price: high, limit_price: down };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Add a trade to the window
+   */
+  record(price, at) {
+    if (this.reference_price === null) {
+      this.reference_price = price;
+    }
+
+    while (this.highs.length > 0 && this.highs[this.highs.length - 1].price <= price) this.highs.pop();
+    this.highs.push({ price, at });
+    while (this.lows.length > 0 && this.lows[this.lows.length - 1].price >= price) this.lows.pop();
+    this.lows.push({ price, at });
+  }
+
+  /**
+   * A copy to try trades out on, leaving this one as it is
+   */
+  trial() {
+    return Object.assign(new CircuitBreaker(), this, { highs: [...this.highs], lows: [...this.lows] });
+  }
+
+  /**
+   * Start over after a reopening auction: an empty window, and bands around the auction price
+   */
+  reset(price = null) {
+    this.highs = [];
+    this.lows = [];
+    this.reference_price = price ?? this.reference_price;
+  }
+
+  _evict(at) {
+    const since = new Date(at).getTime() - this.window_seconds * 1000;
+    for (const trades of [this.highs, this.lows]) {
+      while (trades.length > 0 && trades[0].at.getTime() <= since) trades.shift();
+    }
+  }
+
+  toSnapshot() {
+    const format = trades => trades.map(({ price, at }) => ({ price: formatDecimal(price), at }));
+    return {
+      move_percent: formatDecimal(this.move_percent),
+      window_seconds: this.window_seconds,
+      band_percent: formatDecimal(this.band_percent),
+      reference_price: formatDecimal(this.reference_price),
+      highs: format(this.highs),
+      lows: format(this.lows),
+    };
+  }
+
+  restoreSnapshot({ highs = [], lows = [], ...settings }) {
+    const parse = trades => trades.map(({ price, at }) => ({ price: parseDecimal(price), at: new Date(at) }));
+    this.configure(settings);
+    this.highs = parse(highs);
+    this.lows = parse(lows);
+  }
+}
@@ -1,55 +1,41 @@
 import { Order } from '../models/Order.js';
 import { Trade } from '../models/Trade.js';
-import { v4 as uuidv4 } from 'uuid';
+import { OrderBook, affordableQuantity } from './OrderBook.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { v5 as uuidv5 } from 'uuid';
 import logger from '../utils/logger.js';
+import { parseDecimal, formatDecimal, mulDecimal, minDecimal } from '../utils/decimal.js';
 
 /**
- * Price-Time Priority Order Book
- * Bids: sorted by price DESC, then by time ASC
- * Asks: sorted by price ASC, then by time ASC
+ * Trigger book for stop orders
+ * Buy stops: sorted by stop_price ASC (fire when last price rises to them)
+ * Sell stops: sorted by stop_price DESC (fire when last price falls to them)
+ * Equal stop prices keep arrival order.
  */
-class OrderBook {
+class StopBook {
   constructor(instrument) {
     this.instrument = instrument;
-    this.bids = new Map(); // price -> Array of orders (sorted by time)
-    this.bidPrices = []; // sorted descending
-    this.asks = new Map(); // price -> Array of orders (sorted by time)
-    this.askPrices = []; // sorted ascending
+    this.buyStops = [];
+    this.sellStops = [];
     this.orders = new Map(); // order_id -> order
   }
 
   addOrder(order) {
     this.orders.set(order.order_id, order);
-    
+
     if (order.side === 'buy') {
-      this.addBid(order);
+      this._insert(this.buyStops, order, (a, b) => a.stop_price > b.stop_price);
     } else {
-      this.addAsk(order);
+      this._insert(this.sellStops, order, (a, b) => a.stop_price < b.stop_price);
     }
   }
 
-  addBid(order) {
-    const price = order.price;
-    
-    if (!this.bids.has(price)) {
-      this.bids.set(price, []);
-      this.bidPrices.push(price);
-      this.bidPrices.sort((a, b) => b - a); // descending
+  _insert(stops, order, ranksAfter) {
+    let index = stops.length;
+    while (index > 0 && ranksAfter(stops[index - 1], order)) {
+      index--;
     }
-    
-    this.bids.get(price).push(order);
-  }
-
-  addAsk(order) {
-    const price = order.price;
-    
-    if (!this.asks.has(price)) {
-      this.asks.set(price, []);
-      this.askPrices.push(price);
-      this.askPrices.sort((a, b) => a - b); // ascending
-    }
-    
-    this.asks.get(price).push(order);
+    stops.splice(index, 0, order);
   }
 
   removeOrder(orderId) {
@@ -57,106 +43,78 @@ class OrderBook {
     if (!order) return;
 
     this.orders.delete(orderId);
-    
-    if (order.side === 'buy') {
-      this.removeBid(order);
-    } else {
-      this.removeAsk(order);
+
+    const stops = order.side === 'buy' ? this.buyStops : this.sellStops;
+    const index = stops.findIndex(o => o.order_id === orderId);
+    if (index !== -1) {
+      stops.splice(index, 1);
     }
   }
 
-  removeBid(order) {
-    const price = order.price;
-    const priceLevel = this.bids.get(price);
-    
-    if (priceLevel) {
-      const index = priceLevel.findIndex(o => o.order_id === order.order_id);
-      if (index !== -1) {
-        priceLevel.splice(index, 1);
-        
-        if (priceLevel.length === 0) {
-          this.bids.delete(price);
-          this.bidPrices = this.bidPrices.filter(p => p !== price);
-        }
-      }
+  /**
+   * Remove and return every stop order crossed by the last trade price
+   */
+  takeTriggered(lastPrice) {
+    const triggered = [];
+
+    while (this.buyStops.length > 0 && this.buyStops[0].stop_price <= lastPrice) {
+      triggered.push(this.buyStops.shift());
+    }
+    while (this.sellStops.length > 0 && this.sellStops[0].stop_price >= lastPrice) {
+      triggered.push(this.sellStops.shift());
     }
-  }
 
-  removeAsk(order) {
-    const price = order.price;
-    const priceLevel = this.asks.get(price);
-    
-    if (priceLevel) {
-      const index = priceLevel.findIndex(o => o.order_id === order.order_id);
-      if (index !== -1) {
-        priceLevel.splice(index, 1);
-        
-        if (priceLevel.length === 0) {
-          this.asks.delete(price);
-          this.askPrices = this.askPrices.filter(p => p !== price);
-        }
-      }
+    for (const order of triggered) {
+      this.orders.delete(order.order_id);
     }
-  }
 
-  getBestBid() {
-    if (this.bidPrices.length === 0) return null;
-    const bestPrice = this.bidPrices[0];
-    const priceLevel = this.bids.get(bestPrice);
-    return priceLevel && priceLevel.length > 0 ? priceLevel[0] : null;
+    return triggered;
   }
+}
 
-  getBestAsk() {
-    if (this.askPrices.length === 0) return null;
-    const bestPrice = this.askPrices[0];
-    const priceLevel = this.asks.get(bestPrice);
-    return priceLevel && priceLevel.length > 0 ? priceLevel[0] : null;
-  }
+export const COMMAND_TYPES = ['new', 'cancel', 'amend', 'expire', 'circuit_breaker', 'auction', 'uncross'];
 
-  getSnapshot(levels = 20) {
-    const bids = [];
-    const asks = [];
-    
-    let bidTotal = 0;
-    for (let i = 0; i < Math.min(levels, this.bidPrices.length); i++) {
-      const price = this.bidPrices[i];
-      const priceLevel = this.bids.get(price);
-      const quantity = priceLevel.reduce((sum, order) => sum + order.remaining_quantity, 0);
-      bidTotal += quantity;
-      bids.push({
-        price,
-        quantity,
-        cumulative: bidTotal,
-      });
-    }
-    
-    let askTotal = 0;
-    for (let i = 0; i < Math.min(levels, this.askPrices.length); i++) {
-      const price = this.askPrices[i];
-      const priceLevel = this.asks.get(price);
-      const quantity = priceLevel.reduce((sum, order) => sum + order.remaining_quantity, 0);
-      askTotal += quantity;
-      asks.push({
-        price,
-        quantity,
-        cumulative: askTotal,
-      });
-    }
-    
-    return { bids, asks };
-  }
-}
+// continuous: orders match on arrival; halted: the circuit breaker tripped, nothing matches;
+// auction: orders collect in the book until uncross() trades them at a single price
+export const ENGINE_PHASES = ['continuous', 'halted', 'auction'];
+
+// Trade IDs are derived from (instrument, command sequence, match number) so replay reproduces them
+const TRADE_ID_NAMESPACE = '3f5c8e2a-9d4b-4c1e-8a7f-6b2d0e9c4a51';
+
+const HALTED_REASON = 'Trading halted';
 
 /**
  * Matching Engine with Price-Time Priority
+ * Every state change is a sequence-numbered command (new, cancel, amend, expire, circuit_breaker,
+ * auction, uncross);
+ * applying the same commands to the same starting book gives the same book and trades
  */
 export class MatchingEngine {
-  constructor(instrument = 'BTC-USD') {
+  constructor(instrument = 'BTC-USD', options = {}) {
     this.instrument = instrument;
+    this.tickSize = parseDecimal(options.tickSize || '0.01');
+    this.lotSize = parseDecimal(options.lotSize || '0.00000001');
+    this.postOnlyMode = options.postOnlyMode || 'reject'; // 'reject' or 'reprice'
     this.orderBook = new OrderBook(instrument);
+    this.stopBook = new StopBook(instrument);
+    this.triggeredStops = []; // stop orders fired by trades, awaiting matching
+    this.refilledOrders = []; // iceberg orders whose new slice is not yet displayed
+    this.lastTradePrice = null;
     this.trades = [];
     this.lock = false;
-    this.pendingOrders = [];
+    this.pendingCommands = [];
+    this.sequence = options.sequence || 0; // last command applied
+    this.journal = options.journal || null; // awaited with each new command before it is applied
+    this.clock = new Date(); // timestamp of the command being applied
+    this.commandTrades = 0; // trades produced by the command being applied
+    this.onBookDelta = options.onBookDelta || null; // called with each L2 delta, in sequence order
+    this.bookSequence = 0; // last L2 delta emitted
+    this.onL3Events = options.onL3Events || null; // called with each batch of order-level events, in sequence order
+    this.l3Sequence = 0; // last L3 batch emitted
+    this.circuitBreaker = new CircuitBreaker(options.circuitBreaker);
+    this.phase = 'continuous'; // see ENGINE_PHASES
+    this.phaseChangedAt = null; // engine clock when the phase last changed
+    this.onPhaseChange = options.onPhaseChange || null; // called with each halt, auction start and reopening
   }
 
   /**
@@ -164,21 +122,226 @@ export class MatchingEngine {
    * Uses a simple lock to ensure single-threaded matching
    */
   async processOrder(order, onTrade, onOrderUpdate) {
-    // Queue order if engine is locked
-    if (this.lock) {
-      this.pendingOrders.push({ order, onTrade, onOrderUpdate });
-      return;
+    return this._command('new', order.order_id, order.toJSON(), () => this._matchOrder(order, onTrade, onOrderUpdate));
+  }
+
+  /**
+   * Change price and/or quantity of an open order
+   * Reducing quantity keeps queue position; raising it or changing price
+   * takes the order out and re-enters it (matching if it now crosses)
+   */
+  async amendOrder(orderId, { price, quantity }, onTrade, onOrderUpdate) {
+    const changes = {
+      price: formatDecimal(parseDecimal(price)),
+      quantity: formatDecimal(parseDecimal(quantity)),
+    };
+    return this._command('amend', orderId, changes, () => this._amendOrder(orderId, changes, onTrade, onOrderUpdate));
+  }
+
+  async cancelOrder(orderId, onOrderUpdate) {
+    return this._command('cancel', orderId, {}, () => this._cancelOrder(orderId, onOrderUpdate));
+  }
+
+  /**
+   * Expire GTD/DAY orders (resting or waiting on a trigger) whose expire_at has passed
+   * Resolves with the expired orders
+   */
+  async expireOrders(now = new Date(), onOrderUpdate) {
+    return this._command('expire', null, { at: now }, () => this._expireOrders(now, onOrderUpdate));
+  }
+
+  /**
+   * Change the circuit breaker's settings (see CircuitBreaker.configure) from the next trade on
+   * Logged like any command, so replay trips the breaker with the settings in force at the time
+   */
+  async configureCircuitBreaker(settings) {
+    return this._command('circuit_breaker', null, settings, () => this.circuitBreaker.configure(settings));
+  }
+
+  /**
+   * Start the reopening auction of a halted book: orders rest without matching until uncross()
+   */
+  async startAuction() {
+    return this._command('auction', null, {}, () => this._startAuction());
+  }
+
+  /**
+   * End the auction: trade the crossed part of the book at one price, then match continuously again
+   * Resolves with { price, quantity } (null when the book was not crossed)
+   */
+  async uncross(onTrade, onOrderUpdate) {
+    return this._command('uncross', null, {}, () => this._uncross(onTrade, onOrderUpdate));
+  }
+
+  hasExpiredOrders(now = new Date()) {
+    return this._findExpired(now).length > 0;
+  }
+
+  /**
+   * Re-apply a command read back from the log, keeping its sequence and timestamp
+   */
+  async apply(command, onTrade, onOrderUpdate) {
+    let run;
+    switch (command.type) {
+      case 'new':
+        run = () => this._matchOrder(new Order(command.data), onTrade, onOrderUpdate);
+        break;
+      case 'amend':
+        run = () => this._amendOrder(command.order_id, command.data, onTrade, onOrderUpdate);
+        break;
+      case 'cancel':
+        run = () => this._cancelOrder(command.order_id, onOrderUpdate);
+        break;
+      case 'expire':
+        run = () => this._expireOrders(new Date(command.data.at), onOrderUpdate);
+        break;
+      case 'circuit_breaker':
+        run = () => this.circuitBreaker.configure(command.data);
+        break;
+      case 'auction':
+        run = () => this._startAuction();
+        break;
+      case 'uncross':
+        run = () => this._uncross(onTrade, onOrderUpdate);
+        break;
+      default:
+        throw new Error(`Unknown command type ${command.type}`);
+    }
+    return this._enqueue(() => this._run(command, run));
+  }
+
+  /**
+   * Sequence a new command, journal it, then apply it
+   * Nothing changes unless the journal accepted the command
+   */
+  _command(type, orderId, data, run) {
+    return this._enqueue(async () => {
+      const command = {
+        instrument: this.instrument,
+        sequence: this.sequence + 1,
+        type,
+        order_id: orderId,
+        data,
+        timestamp: new Date(),
+      };
+
+      if (this.journal) {
+        await this.journal(command);
+      }
+      return this._run(command, run);
+    });
+  }
+
+  async _run(command, run) {
+    if (command.sequence !== this.sequence + 1) {
+      throw new Error(`Command ${command.sequence} out of order for ${this.instrument}: expected ${this.sequence + 1}`);
+    }
+
+    this.sequence = command.sequence;
+    this.clock = new Date(command.timestamp);
+    this.commandTrades = 0;
+
+    try {
+      return await run();
+    } finally {
+      this._emitBookDelta();
+      this._emitL3Events();
     }
+  }
+
+  /**
+   * Emit the levels the last command changed as one sequence-numbered L2 delta
+   * Commands that leave the price book untouched emit nothing and use no sequence number
+   */
+  _emitBookDelta() {
+    const changes = this.orderBook.takeLevelChanges();
+    if (changes.length === 0) return;
+
+    this.bookSequence++;
+    this.onBookDelta?.({
+      instrument: this.instrument,
+      sequence: this.bookSequence,
+      command_sequence: this.sequence,
+      changes,
+      timestamp: this.clock,
+    });
+  }
+
+  /**
+   * Emit the order-level events of the last command (add, modify, execute, remove) as one batch
+   */
+  _emitL3Events() {
+    const events = this.orderBook.takeL3Events();
+    if (events.length === 0) return;
+
+    this.l3Sequence++;
+    this.onL3Events?.({
+      instrument: this.instrument,
+      sequence: this.l3Sequence,
+      command_sequence: this.sequence,
+      events,
+      timestamp: this.clock,
+    });
+  }
+
+  async _amendOrder(orderId, { price, quantity }, onTrade, onOrderUpdate) {
+    const order = this.getOrder(orderId);
+    if (!order) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+
+    const newPrice = parseDecimal(price) ?? order.price;
+    const newQuantity = parseDecimal(quantity) ?? order.quantity;
 
+    if (newQuantity <= order.filled_quantity) {
+      throw new Error(`quantity must be greater than filled quantity ${formatDecimal(order.filled_quantity)}`);
+    }
+
+    const losesPriority = newPrice !== order.price || newQuantity > order.quantity;
+
+    // Untriggered stops are not in the price book, so there is no queue position to keep
+    if (order.status === 'untriggered' || !losesPriority) {
+      order.amend({ price: newPrice, quantity: newQuantity });
+      if (order.status !== 'untriggered') {
+        this.orderBook.recordModify(order);
+      }
+      onOrderUpdate?.(order, 'order_amended');
+      return order;
+    }
+
+    this.orderBook.removeOrder(orderId);
+    order.amend({ price: newPrice, quantity: newQuantity });
+    onOrderUpdate?.(order, 'order_amended');
+
+    await this._matchOrder(order, onTrade, onOrderUpdate);
+    return order;
+  }
+
+  /**
+   * Run a task once every task queued before it has finished
+   * Resolves with the task's result so callers see their own order fully matched
+   */
+  _enqueue(task) {
+    return new Promise((resolve, reject) => {
+      this.pendingCommands.push({ task, resolve, reject });
+
+      if (!this.lock) {
+        this._drain();
+      }
+    });
+  }
+
+  async _drain() {
     this.lock = true;
 
     try {
-      await this._matchOrder(order, onTrade, onOrderUpdate);
-      
-      // Process pending orders
-      while (this.pendingOrders.length > 0) {
-        const pending = this.pendingOrders.shift();
-        await this._matchOrder(pending.order, pending.onTrade, pending.onOrderUpdate);
+      while (this.pendingCommands.length > 0) {
+        const { task, resolve, reject } = this.pendingCommands.shift();
+        try {
+          resolve(await task());
+        } catch (error) {
+          reject(error);
+        }
       }
     } finally {
       this.lock = false;
@@ -186,96 +349,395 @@ export class MatchingEngine {
   }
 
   async _matchOrder(order, onTrade, onOrderUpdate) {
-    if (order.type === 'market') {
+    // Untriggered stop orders rest in the trigger book until the last trade price crosses them
+    if (order.status === 'untriggered') {
+      if (!this._isStopTriggered(order)) {
+        this.stopBook.addOrder(order);
+        onOrderUpdate?.(order);
+        return;
+      }
+      order.trigger();
+      onOrderUpdate?.(order);
+    }
+
+    await this._executeOrder(order, onTrade, onOrderUpdate);
+    await this._afterMatching(onTrade, onOrderUpdate);
+  }
+
+  /**
+   * Run stop orders fired by the trades just made (which may fire further stops),
+   * then show the iceberg slices they refilled
+   */
+  async _afterMatching(onTrade, onOrderUpdate) {
+    while (this.triggeredStops.length > 0) {
+      const stopOrder = this.triggeredStops.shift();
+      stopOrder.trigger();
+      onOrderUpdate?.(stopOrder);
+
+      logger.info('Stop order triggered', {
+        order_id: stopOrder.order_id,
+        stop_price: formatDecimal(stopOrder.stop_price),
+        last_price: formatDecimal(this.lastTradePrice),
+      });
+
+      await this._executeOrder(stopOrder, onTrade, onOrderUpdate);
+    }
+
+    // Refilled iceberg slices become visible once matching is done
+    for (const refilled of this.refilledOrders) {
+      refilled.slice_displayed = true;
+    }
+    this.refilledOrders = [];
+  }
+
+  async _executeOrder(order, onTrade, onOrderUpdate) {
+    // Halted, or collecting the reopening auction: nothing trades until the auction uncrosses
+    // the book, so market and immediate orders are cancelled and the rest wait in the book
+    if (this.phase !== 'continuous') {
+      if (order.is_market || order.is_immediate) {
+        order.cancel(HALTED_REASON);
+      } else {
+        if (order.is_iceberg) {
+          order.refillSlice();
+        }
+        this.orderBook.addOrder(order);
+      }
+      onOrderUpdate?.(order);
+      return;
+    }
+
+    // Fill-or-kill: cancel without trading unless the whole quantity is available now
+    if (order.time_in_force === 'FOK') {
+      const limitPrice = order.is_market ? this._protectionPrice(order) : order.price;
+      const breaker = this.circuitBreaker.trial();
+      const available = this.orderBook.getAvailableQuantity(order.side, limitPrice, order.remaining_quantity, (maker) => {
+        // Only cancel_oldest lets the order trade past its own resting orders in full
+        if (this._isSelfTrade(order, maker)) {
+          return order.stp_mode === 'cancel_oldest' ? 'skip' : 'stop';
+        }
+        // Nor can it fill past a trade that would trip the circuit breaker
+        if (breaker.check(maker.price, this.clock)) return 'stop';
+        breaker.record(maker.price, this.clock);
+        return null;
+      });
+      if (available < order.remaining_quantity) {
+        order.cancel();
+        onOrderUpdate?.(order);
+        return;
+      }
+    }
+
+    // Post-only: reject, or reprice one tick inside the spread, rather than take liquidity
+    if (order.post_only && this._wouldTakeLiquidity(order)) {
+      const repriced = this.postOnlyMode === 'reprice' ? this._passivePrice(order) : null;
+      if (repriced === null) {
+        order.reject('Post-only order would take liquidity');
+        onOrderUpdate?.(order);
+        return;
+      }
+      order.price = repriced;
+    }
+
+    if (order.is_market) {
       await this._matchMarketOrder(order, onTrade, onOrderUpdate);
-    } else if (order.type === 'limit') {
+    } else {
       await this._matchLimitOrder(order, onTrade, onOrderUpdate);
     }
 
-    // If order is still open, add it to the book
-    if (order.is_open) {
-      this.orderBook.addOrder(order);
+    if (!order.is_open) return;
+
+    // Immediate-or-cancel: never rest, cancel whatever is left
+    if (order.is_immediate) {
+      order.cancel(this.phase === 'continuous' ? null : HALTED_REASON);
       onOrderUpdate?.(order);
+      return;
+    }
+
+    // If order is still open, add it to the book
+    if (order.is_iceberg) {
+      order.refillSlice();
     }
+    this.orderBook.addOrder(order);
+    onOrderUpdate?.(order);
   }
 
+  _wouldTakeLiquidity(order) {
+    if (order.is_market) return true;
+
+    if (order.side === 'buy') {
+      const bestAsk = this.orderBook.getBestAsk();
+      return bestAsk !== null && bestAsk.price <= order.price;
+    }
+    const bestBid = this.orderBook.getBestBid();
+    return bestBid !== null && bestBid.price >= order.price;
+  }
+
+  /**
+   * Price one tick inside the opposite best, or null if that is not a valid price
+   */
+  _passivePrice(order) {
+    const price = order.side === 'buy'
+      ? this.orderBook.getBestAsk().price - this.tickSize
+      : this.orderBook.getBestBid().price + this.tickSize;
+    return price > 0n ? price : null;
+  }
+
+  _isStopTriggered(order) {
+    if (this.lastTradePrice === null) return false;
+
+    return order.side === 'buy'
+      ? this.lastTradePrice >= order.stop_price
+      : this.lastTradePrice <= order.stop_price;
+  }
+
+  /**
+   * Sweep the opposite side best price first, no further than the order's protection price
+   * A quote_quantity order is sized here, against the book it is about to take
+   * Whatever cannot be filled is rejected if nothing traded and cancelled otherwise, or with
+   * market_remainder 'rest' stays in the book as a limit order at the protection price
+   */
   async _matchMarketOrder(order, onTrade, onOrderUpdate) {
-    const remainingQuantity = order.remaining_quantity;
-    
+    const protection = this._protectionPrice(order);
+    let budget = order.quote_quantity;
+    let reason = 'Insufficient liquidity';
+
+    if (budget !== null) {
+      order.quantity = this.orderBook.getQuoteQuantity(order.side, budget, protection, this.lotSize);
+      if (order.quantity === 0n) {
+        order.reject(reason);
+        onOrderUpdate?.(order);
+        return;
+      }
+    }
+
     if (order.side === 'buy') {
       // Match against asks
-      while (order.remaining_quantity > 0 && this.orderBook.askPrices.length > 0) {
+      while (order.is_open && order.remaining_quantity > 0n) {
         const bestAsk = this.orderBook.getBestAsk();
         if (!bestAsk) break;
+        if (protection !== null && bestAsk.price > protection) {
+          reason = 'Slippage protection reached';
+          break;
+        }
+        if (this._isSelfTrade(order, bestAsk)) {
+          this._preventSelfTrade(order, bestAsk, onOrderUpdate);
+          continue;
+        }
 
-        const tradeQuantity = Math.min(order.remaining_quantity, bestAsk.remaining_quantity);
+        let tradeQuantity = minDecimal(order.remaining_quantity, bestAsk.visible_quantity);
         const tradePrice = bestAsk.price;
+        if (this._tripsCircuitBreaker(tradePrice)) break;
+
+        // Never spend more than quote_quantity, even if the book changed shape while matching
+        if (budget !== null) {
+          tradeQuantity = minDecimal(tradeQuantity, affordableQuantity(budget, tradePrice, this.lotSize));
+          if (tradeQuantity === 0n) {
+            reason = 'quote_quantity spent';
+            break;
+          }
+          budget -= mulDecimal(tradePrice, tradeQuantity);
+        }
 
         await this._executeTrade(order, bestAsk, tradePrice, tradeQuantity, onTrade, onOrderUpdate);
       }
     } else {
       // Match against bids
-      while (order.remaining_quantity > 0 && this.orderBook.bidPrices.length > 0) {
+      while (order.is_open && order.remaining_quantity > 0n) {
         const bestBid = this.orderBook.getBestBid();
         if (!bestBid) break;
+        if (protection !== null && bestBid.price < protection) {
+          reason = 'Slippage protection reached';
+          break;
+        }
+        if (this._isSelfTrade(order, bestBid)) {
+          this._preventSelfTrade(order, bestBid, onOrderUpdate);
+          continue;
+        }
 
-        const tradeQuantity = Math.min(order.remaining_quantity, bestBid.remaining_quantity);
+        const tradeQuantity = minDecimal(order.remaining_quantity, bestBid.visible_quantity);
         const tradePrice = bestBid.price;
+        if (this._tripsCircuitBreaker(tradePrice)) break;
 
-        await this._executeTrade(bestBid, order, tradePrice, tradeQuantity, onTrade, onOrderUpdate);
+        await this._executeTrade(order, bestBid, tradePrice, tradeQuantity, onTrade, onOrderUpdate);
       }
     }
 
-    // If market order couldn't be fully filled, reject it
-    if (order.remaining_quantity > 0) {
-      order.reject('Insufficient liquidity');
+    if (!order.is_open || order.remaining_quantity === 0n) return;
+
+    // The circuit breaker halted trading part way through
+    if (this.phase !== 'continuous') {
+      order.cancel(HALTED_REASON);
       onOrderUpdate?.(order);
+      return;
+    }
+
+    // Left open, the remainder rests (or is cancelled if IOC) once this returns
+    if (order.market_remainder === 'rest' && protection !== null) {
+      order.restAt(protection);
+      return;
+    }
+
+    // Fills already made stand; only the unfilled remainder is cancelled
+    if (order.filled_quantity === 0n) {
+      order.reject(reason);
+    } else {
+      order.cancel(reason);
+    }
+    onOrderUpdate?.(order);
+  }
+
+  /**
+   * Worst price a market order may trade at: the tighter of its protection_price and
+   * max_slippage_percent away from the best opposite price as it starts matching (rounded
+   * to a tick towards that price); null if it has neither
+   */
+  _protectionPrice(order) {
+    const protection = order.protection_price;
+    const best = order.side === 'buy' ? this.orderBook.getBestAsk() : this.orderBook.getBestBid();
+    if (order.max_slippage_percent === null || !best) return protection;
+
+    const slippage = mulDecimal(best.price, order.max_slippage_percent) / 100n;
+    if (order.side === 'buy') {
+      const price = best.price + slippage;
+      const limit = price - (price % this.tickSize);
+      return protection === null ? limit : minDecimal(protection, limit);
     }
+    const price = best.price - slippage;
+    const limit = price + ((this.tickSize - (price % this.tickSize)) % this.tickSize);
+    return protection === null || limit > protection ? limit : protection;
   }
 
   async _matchLimitOrder(order, onTrade, onOrderUpdate) {
     if (order.side === 'buy') {
       // Match against asks
-      while (order.remaining_quantity > 0 && this.orderBook.askPrices.length > 0) {
+      while (order.is_open && order.remaining_quantity > 0n) {
         const bestAsk = this.orderBook.getBestAsk();
         if (!bestAsk || bestAsk.price > order.price) break;
+        if (this._isSelfTrade(order, bestAsk)) {
+          this._preventSelfTrade(order, bestAsk, onOrderUpdate);
+          continue;
+        }
 
-        const tradeQuantity = Math.min(order.remaining_quantity, bestAsk.remaining_quantity);
+        const tradeQuantity = minDecimal(order.remaining_quantity, bestAsk.visible_quantity);
         const tradePrice = bestAsk.price; // Price-time priority: take the ask price
+        if (this._tripsCircuitBreaker(tradePrice)) break;
 
         await this._executeTrade(order, bestAsk, tradePrice, tradeQuantity, onTrade, onOrderUpdate);
       }
     } else {
       // Match against bids
-      while (order.remaining_quantity > 0 && this.orderBook.bidPrices.length > 0) {
+      while (order.is_open && order.remaining_quantity > 0n) {
         const bestBid = this.orderBook.getBestBid();
         if (!bestBid || bestBid.price < order.price) break;
+        if (this._isSelfTrade(order, bestBid)) {
+          this._preventSelfTrade(order, bestBid, onOrderUpdate);
+          continue;
+        }
 
-        const tradeQuantity = Math.min(order.remaining_quantity, bestBid.remaining_quantity);
+        const tradeQuantity = minDecimal(order.remaining_quantity, bestBid.visible_quantity);
         const tradePrice = bestBid.price; // Price-time priority: take the bid price
+        if (this._tripsCircuitBreaker(tradePrice)) break;
 
-        await this._executeTrade(bestBid, order, tradePrice, tradeQuantity, onTrade, onOrderUpdate);
+        await this._executeTrade(order, bestBid, tradePrice, tradeQuantity, onTrade, onOrderUpdate);
       }
     }
   }
 
-  async _executeTrade(buyOrder, sellOrder, price, quantity, onTrade, onOrderUpdate) {
+  /**
+   * Whether the incoming order must not trade with a resting order: both are the same
+   * client's, or share an STP group, and the incoming order has an STP mode
+   */
+  _isSelfTrade(takerOrder, makerOrder) {
+    if (!takerOrder.stp_mode || takerOrder.stp_mode === 'none') return false;
+
+    return takerOrder.client_id === makerOrder.client_id ||
+      (takerOrder.stp_group !== null && takerOrder.stp_group === makerOrder.stp_group);
+  }
+
+  /**
+   * Apply the incoming order's STP mode instead of trading:
+   *   cancel_newest: cancel the incoming order
+   *   cancel_oldest: cancel the resting order and keep matching
+   *   cancel_both: cancel both
+   *   decrement_and_cancel: take the smaller remaining quantity off both, cancelling whichever
+   *     reaches zero (both when equal)
+   */
+  _preventSelfTrade(takerOrder, makerOrder, onOrderUpdate) {
+    const mode = takerOrder.stp_mode;
+    const reason = `Self-trade prevented (${mode})`;
+    let cancelTaker = mode === 'cancel_newest' || mode === 'cancel_both';
+    let cancelMaker = mode === 'cancel_oldest' || mode === 'cancel_both';
+
+    if (mode === 'decrement_and_cancel') {
+      const quantity = minDecimal(takerOrder.remaining_quantity, makerOrder.remaining_quantity);
+      cancelTaker = quantity === takerOrder.remaining_quantity;
+      cancelMaker = quantity === makerOrder.remaining_quantity;
+
+      if (!cancelTaker) {
+        takerOrder.decrement(quantity);
+        onOrderUpdate?.(takerOrder, 'order_stp_decremented');
+      }
+      if (!cancelMaker) {
+        makerOrder.decrement(quantity);
+        this.orderBook.recordModify(makerOrder);
+        onOrderUpdate?.(makerOrder, 'order_stp_decremented');
+      }
+    }
+
+    if (cancelMaker) {
+      makerOrder.cancel(reason);
+      this.orderBook.removeOrder(makerOrder.order_id);
+      onOrderUpdate?.(makerOrder, 'order_stp_cancelled');
+    }
+    if (cancelTaker) {
+      takerOrder.cancel(reason);
+      onOrderUpdate?.(takerOrder, 'order_stp_cancelled');
+    }
+
+    logger.info('Self-trade prevented', {
+      mode,
+      taker_order: takerOrder.order_id,
+      maker_order: makerOrder.order_id,
+      client_id: takerOrder.client_id,
+      stp_group: takerOrder.stp_group,
+    });
+  }
+
+  async _executeTrade(takerOrder, makerOrder, price, quantity, onTrade, onOrderUpdate) {
+    const buyOrder = takerOrder.side === 'buy' ? takerOrder : makerOrder;
+    const sellOrder = takerOrder.side === 'buy' ? makerOrder : takerOrder;
+
+    // A refilled iceberg slice that has not been shown in the book yet is a hidden fill
+    const hiddenQuantity = makerOrder.slice_displayed ? 0n : quantity;
+
     // Fill both orders
-    buyOrder.fill(quantity);
-    sellOrder.fill(quantity);
+    takerOrder.fill(quantity);
+    makerOrder.fill(quantity, hiddenQuantity > 0n);
 
     // Create trade record
     const trade = new Trade({
-      trade_id: uuidv4(),
+      trade_id: uuidv5(`${this.instrument}:${this.sequence}:${++this.commandTrades}`, TRADE_ID_NAMESPACE),
       buy_order_id: buyOrder.order_id,
       sell_order_id: sellOrder.order_id,
       instrument: this.instrument,
       price,
       quantity,
-      timestamp: new Date(),
+      hidden_quantity: hiddenQuantity,
+      aggressor_side: takerOrder.side,
+      buy_client_id: buyOrder.client_id,
+      sell_client_id: sellOrder.client_id,
+      timestamp: this.clock,
     });
 
+    this.orderBook.recordExecution(makerOrder, quantity, trade.trade_id);
+    if (this.orderBook.orders.has(takerOrder.order_id)) {
+      this.orderBook.recordExecution(takerOrder, quantity, trade.trade_id);
+    }
+
     this.trades.push(trade);
+    this.lastTradePrice = price;
+    this.circuitBreaker.record(price, this.clock);
+    this.triggeredStops.push(...this.stopBook.takeTriggered(price));
 
     // Remove filled orders from book
     if (buyOrder.is_filled) {
@@ -285,6 +747,18 @@ export class MatchingEngine {
       this.orderBook.removeOrder(sellOrder.order_id);
     }
 
+    // Iceberg slice used up: refill from the reserve at the back of the price level
+    // (when an auction uncrosses, the taker is resting in the book too)
+    for (const order of [makerOrder, takerOrder]) {
+      if (!order.is_filled && order.is_iceberg && order.slice_remaining <= 0n && this.orderBook.orders.has(order.order_id)) {
+        this.orderBook.removeOrder(order.order_id);
+        order.refillSlice();
+        order.slice_displayed = false;
+        this.orderBook.addOrder(order);
+        this.refilledOrders.push(order);
+      }
+    }
+
     // Notify callbacks
     onTrade?.(trade);
     onOrderUpdate?.(buyOrder);
@@ -292,31 +766,271 @@ export class MatchingEngine {
 
     logger.info('Trade executed', {
       trade_id: trade.trade_id,
-      price,
-      quantity,
+      price: formatDecimal(price),
+      quantity: formatDecimal(quantity),
+      hidden_quantity: formatDecimal(hiddenQuantity),
       buy_order: buyOrder.order_id,
       sell_order: sellOrder.order_id,
     });
   }
 
-  cancelOrder(orderId) {
-    const order = this.orderBook.orders.get(orderId);
+
+  /**
+   * Ask the circuit breaker about a trade at price before making it; if it trips, halt the book
+   */
+  _tripsCircuitBreaker(price) {
+    const trip = this.circuitBreaker.check(price, this.clock);
+    if (!trip) return false;
+
+    this._setPhase('halted', {
+      trigger: trip.trigger,
+      trade_price: formatDecimal(price),
+      reference_price: formatDecimal(trip.reference_price),
+      limit_price: formatDecimal(trip.limit_price),
+    });
+    logger.warn('Circuit breaker tripped', {
+      instrument: this.instrument,
+      trigger: trip.trigger,
+      price: formatDecimal(price),
+      limit_price: formatDecimal(trip.limit_price),
+    });
+    return true;
+  }
+
+  _startAuction() {
+    if (this.phase !== 'halted') {
+      throw new Error(`${this.instrument} is not halted`);
+    }
+    this._setPhase('auction');
+  }
+
+  /**
+   * Trade every crossed order at the auction price, oldest orders first on each side
+   * The newer order of each pair is the taker
+   */
+  async _uncross(onTrade, onOrderUpdate) {
+    if (this.phase !== 'auction') {
+      throw new Error(`${this.instrument} has no auction running`);
+    }
+
+    const auction = this.orderBook.getAuctionPrice(this.lastTradePrice);
+    while (auction) {
+      const bestBid = this.orderBook.getBestBid();
+      const bestAsk = this.orderBook.getBestAsk();
+      if (!bestBid || !bestAsk || bestBid.price < auction.price || bestAsk.price > auction.price) break;
+
+      const [taker, maker] = bestBid.created_at > bestAsk.created_at ? [bestBid, bestAsk] : [bestAsk, bestBid];
+      if (this._isSelfTrade(taker, maker)) {
+        this._preventSelfTrade(taker, maker, onOrderUpdate);
+        if (!taker.is_open) {
+          this.orderBook.removeOrder(taker.order_id);
+        } else if (this.orderBook.orders.has(taker.order_id)) {
+          this.orderBook.recordModify(taker);
+        }
+        continue;
+      }
+
+      const quantity = minDecimal(bestBid.visible_quantity, bestAsk.visible_quantity);
+      await this._executeTrade(taker, maker, auction.price, quantity, onTrade, onOrderUpdate);
+    }
+
+    this.circuitBreaker.reset(auction?.price);
+    this._setPhase('continuous', {
+      auction_price: formatDecimal(auction?.price ?? null),
+      auction_quantity: formatDecimal(auction?.quantity ?? 0n),
+    });
+    await this._afterMatching(onTrade, onOrderUpdate);
+
+    logger.info('Auction uncrossed', {
+      instrument: this.instrument,
+      price: formatDecimal(auction?.price ?? null),
+      quantity: formatDecimal(auction?.quantity ?? 0n),
+    });
+    return auction;
+  }
+
+  _setPhase(phase, details = {}) {
+    this.phase = phase;
+    this.phaseChangedAt = this.clock;
+    this.onPhaseChange?.({
+      instrument: this.instrument,
+      phase,
+      ...details,
+      sequence: this.sequence,
+      timestamp: this.clock,
+    });
+  }
+
+  _cancelOrder(orderId, onOrderUpdate) {
+    const order = this.getOrder(orderId);
     if (!order) {
       throw new Error(`Order ${orderId} not found`);
     }
 
     order.cancel();
     this.orderBook.removeOrder(orderId);
+    this.stopBook.removeOrder(orderId);
+    onOrderUpdate?.(order);
     
     return order;
   }
 
+  _expireOrders(now, onOrderUpdate) {
+    const expired = this._findExpired(now);
+
+    for (const order of expired) {
+      order.expire();
+      this.orderBook.removeOrder(order.order_id);
+      this.stopBook.removeOrder(order.order_id);
+      onOrderUpdate?.(order);
+    }
+
+    return expired;
+  }
+
+  _findExpired(now) {
+    const expired = [];
+    for (const book of [this.orderBook, this.stopBook]) {
+      for (const order of book.orders.values()) {
+        if (order.expire_at && order.expire_at <= now) {
+          expired.push(order);
+        }
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Put a persisted open order back into the right book without matching it
+   * Returns false for orders that have no place in either book
+   */
+  restoreOrder(order) {
+    if (order.status === 'untriggered') {
+      this.stopBook.addOrder(order);
+    } else if (order.is_open && !order.is_market) {
+      this.orderBook.addOrder(order);
+    } else {
+      return false;
+    }
+    // Restored orders are part of the starting book, not a change to publish
+    this.orderBook.clearChanges();
+    return true;
+  }
+
+  /**
+   * Order-level snapshot: every resting and untriggered order in queue order,
+   * tagged with the last applied command sequence. Taken between commands.
+   */
+  async snapshot() {
+    return this._enqueue(() => ({
+      instrument: this.instrument,
+      sequence: this.sequence,
+      last_trade_price: formatDecimal(this.lastTradePrice),
+      phase: this.phase,
+      phase_changed_at: this.phaseChangedAt,
+      circuit_breaker: this.circuitBreaker.toSnapshot(),
+      orders: Array.from(this.orderBook.ordersInPriority(), order => order.toSnapshot()),
+      stops: [...this.stopBook.buyStops, ...this.stopBook.sellStops].map(order => order.toSnapshot()),
+      timestamp: new Date(),
+    }));
+  }
+
+  /**
+   * Load an order-level snapshot into an engine with empty books
+   * Commands after snapshot.sequence can then be replayed with apply()
+   */
+  restoreSnapshot(snapshot) {
+    if (this.orderBook.orders.size > 0 || this.stopBook.orders.size > 0) {
+      throw new Error(`Cannot restore a snapshot into a non-empty book for ${this.instrument}`);
+    }
+
+    for (const entry of snapshot.orders) {
+      this.orderBook.addOrder(Order.fromSnapshot(entry));
+    }
+    for (const entry of snapshot.stops) {
+      this.stopBook.addOrder(Order.fromSnapshot(entry));
+    }
+
+    this.sequence = Number(snapshot.sequence);
+    this.lastTradePrice = parseDecimal(snapshot.last_trade_price);
+    // Snapshots taken before circuit breakers had neither
+    if (snapshot.phase) {
+      this.phase = snapshot.phase;
+      this.phaseChangedAt = snapshot.phase_changed_at ? new Date(snapshot.phase_changed_at) : null;
+    }
+    if (snapshot.circuit_breaker) {
+      this.circuitBreaker.restoreSnapshot(snapshot.circuit_breaker);
+    }
+    this.orderBook.clearChanges();
+  }
+
+  /**
+   * Every aggregated level with the sequence of the last L2 delta it includes,
+   * for feed consumers to start or resync from
+   */
+  async l2Snapshot() {
+    return this._enqueue(() => ({
+      instrument: this.instrument,
+      sequence: this.bookSequence,
+      ...this.orderBook.getSnapshot(Infinity),
+      timestamp: new Date(),
+    }));
+  }
+
+  /**
+   * Every resting order in queue order with the sequence of the last L3 batch it includes
+   */
+  async l3Snapshot() {
+    return this._enqueue(() => ({
+      instrument: this.instrument,
+      sequence: this.l3Sequence,
+      orders: Array.from(this.orderBook.ordersInPriority(), order => ({
+        order_id: order.order_id,
+        side: order.side,
+        price: formatDecimal(order.price),
+        size: formatDecimal(order.visible_quantity),
+      })),
+      timestamp: new Date(),
+    }));
+  }
+
   getOrderBookSnapshot(levels = 20) {
     return this.orderBook.getSnapshot(levels);
   }
 
   getOrder(orderId) {
-    return this.orderBook.orders.get(orderId);
+    return this.orderBook.orders.get(orderId) || this.stopBook.orders.get(orderId);
+  }
+
+  /**
+   * Remaining quantity of a client's resting reduce-only orders on one side
+   */
+  getReduceOnlyExposure(clientId, side) {
+    let exposure = 0n;
+    for (const book of [this.orderBook, this.stopBook]) {
+      for (const order of book.orders.values()) {
+        if (order.client_id === clientId && order.side === side && order.reduce_only) {
+          exposure += order.remaining_quantity;
+        }
+      }
+    }
+    return exposure;
+  }
+
+  /**
+   * A client's resting orders (stops included): how many, and the remaining quantity on each side
+   */
+  getClientExposure(clientId) {
+    const exposure = { open_orders: 0, buy_quantity: 0n, sell_quantity: 0n };
+    for (const book of [this.orderBook, this.stopBook]) {
+      for (const order of book.orders.values()) {
+        if (order.client_id === clientId) {
+          exposure.open_orders++;
+          exposure[`${order.side}_quantity`] += order.remaining_quantity;
+        }
+      }
+    }
+    return exposure;
   }
 
   getRecentTrades(limit = 50) {
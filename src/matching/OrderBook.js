@@ -0,0 +1,372 @@
+import { RBTree } from './RBTree.js';
+import { UNIT, formatDecimal, mulDecimal, minDecimal, absDecimal } from '../utils/decimal.js';
+
+const ascending = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+const descending = (a, b) => (a < b ? 1 : a > b ? -1 : 0);
+
+/**
+ * Largest multiple of lotSize that budget (in the quote asset) pays for at price
+ */
+export function affordableQuantity(budget, price, lotSize) {
+  if (budget <= 0n) return 0n;
+  const quantity = (budget * UNIT) / price;
+  return quantity - (quantity % lotSize);
+}
+
+/**
+ * FIFO queue of orders at one price
+ * Intrusive doubly-linked list: the links live on the orders themselves,
+ * so removing an order from anywhere in the queue is O(1)
+ */
+export class PriceLevel {
+  constructor(price) {
+    this.price = price;
+    this.head = null;
+    this.tail = null;
+    this.size = 0;
+  }
+
+  push(order) {
+    order.book_level = this;
+    order.book_prev = this.tail;
+    order.book_next = null;
+
+    if (this.tail) {
+      this.tail.book_next = order;
+    } else {
+      this.head = order;
+    }
+    this.tail = order;
+    this.size++;
+  }
+
+  remove(order) {
+    if (order.book_prev) {
+      order.book_prev.book_next = order.book_next;
+    } else {
+      this.head = order.book_next;
+    }
+    if (order.book_next) {
+      order.book_next.book_prev = order.book_prev;
+    } else {
+      this.tail = order.book_prev;
+    }
+
+    order.book_level = null;
+    order.book_prev = null;
+    order.book_next = null;
+    this.size--;
+  }
+
+  *orders() {
+    for (let order = this.head; order; order = order.book_next) {
+      yield order;
+    }
+  }
+}
+
+/**
+ * Price-Time Priority Order Book
+ * Bids: red-black tree by price DESC, each level a FIFO queue by time
+ * Asks: red-black tree by price ASC, each level a FIFO queue by time
+ * New level O(log n), add to an existing level O(1), cancel O(1)
+ * (plus O(log n) when it empties the level), best price O(log n)
+ */
+export class OrderBook {
+  constructor(instrument) {
+    this.instrument = instrument;
+    this.bids = new RBTree(descending); // price -> PriceLevel
+    this.asks = new RBTree(ascending); // price -> PriceLevel
+    this.orders = new Map(); // order_id -> order
+    this.changedLevels = new Map(); // `${side}:${price}` -> { side, price } touched since the last takeLevelChanges()
+    this.l3Events = []; // order-level events since the last takeL3Events()
+  }
+
+  addOrder(order) {
+    const tree = order.side === 'buy' ? this.bids : this.asks;
+    let level = tree.get(order.price);
+
+    if (!level) {
+      level = new PriceLevel(order.price);
+      tree.insert(order.price, level);
+    }
+
+    level.push(order);
+    this.orders.set(order.order_id, order);
+    this.touchLevel(order.side, order.price);
+    this._recordL3('add', order);
+  }
+
+  removeOrder(orderId) {
+    const order = this.orders.get(orderId);
+    if (!order) return;
+
+    this.orders.delete(orderId);
+
+    const level = order.book_level;
+    level.remove(order);
+
+    if (level.size === 0) {
+      const tree = order.side === 'buy' ? this.bids : this.asks;
+      tree.delete(level.price);
+    }
+    this.touchLevel(order.side, level.price);
+    this._recordL3('remove', order);
+  }
+
+  /**
+   * A resting order traded `quantity`; it keeps its queue position
+   */
+  recordExecution(order, quantity, tradeId) {
+    this.touchLevel(order.side, order.price);
+    this._recordL3('execute', order, { executed: formatDecimal(quantity), trade_id: tradeId });
+  }
+
+  /**
+   * A resting order's displayed size changed in place; it keeps its queue position
+   */
+  recordModify(order) {
+    this.touchLevel(order.side, order.price);
+    this._recordL3('modify', order);
+  }
+
+  /**
+   * `size` is the displayed quantity after the event (iceberg reserves are never shown)
+   */
+  _recordL3(type, order, fields = {}) {
+    this.l3Events.push({
+      type,
+      order_id: order.order_id,
+      side: order.side,
+      price: formatDecimal(order.price),
+      size: formatDecimal(type === 'remove' ? 0n : order.visible_quantity),
+      ...fields,
+    });
+  }
+
+  takeL3Events() {
+    const events = this.l3Events;
+    this.l3Events = [];
+    return events;
+  }
+
+  /**
+   * Drop pending L2/L3 changes, e.g. after loading a starting book
+   */
+  clearChanges() {
+    this.changedLevels.clear();
+    this.l3Events = [];
+  }
+
+  /**
+   * Mark a level whose displayed quantity may have changed
+   * addOrder/removeOrder do this themselves; in-place fills and amends must call it
+   */
+  touchLevel(side, price) {
+    this.changedLevels.set(`${side}:${price}`, { side, price });
+  }
+
+  /**
+   * Displayed quantity at every level touched since the last call (0 for removed levels)
+   */
+  takeLevelChanges() {
+    const changes = [];
+    for (const { side, price } of this.changedLevels.values()) {
+      changes.push({
+        side,
+        price: formatDecimal(price),
+        quantity: formatDecimal(this.getLevelQuantity(side, price)),
+      });
+    }
+    this.changedLevels.clear();
+    return changes;
+  }
+
+  getLevelQuantity(side, price) {
+    const level = (side === 'buy' ? this.bids : this.asks).get(price);
+    if (!level) return 0n;
+
+    let quantity = 0n;
+    for (const order of level.orders()) {
+      quantity += order.visible_quantity;
+    }
+    return quantity;
+  }
+
+  getBestBid() {
+    const level = this.bids.min();
+    return level ? level.head : null;
+  }
+
+  getBestAsk() {
+    const level = this.asks.min();
+    return level ? level.head : null;
+  }
+
+  /**
+   * Best price on a side with its displayed quantity, or null if the side is empty
+   */
+  getTopLevel(side) {
+    const level = (side === 'buy' ? this.bids : this.asks).min();
+    return level ? { price: level.price, quantity: this.getLevelQuantity(side, level.price) } : null;
+  }
+
+  /**
+   * Every order, bids then asks, best price first and in queue order within a level
+   */
+  *ordersInPriority() {
+    for (const tree of [this.bids, this.asks]) {
+      for (const level of tree.values()) {
+        yield* level.orders();
+      }
+    }
+  }
+
+  getDepth(side) {
+    return side === 'buy' ? this.bids.size : this.asks.size;
+  }
+
+  /**
+   * Quantity available to an incoming order on the opposite side,
+   * stopping at limitPrice (null for market orders) or once maxQuantity is reached
+   * check(order) may return 'skip' to leave a resting order out, or 'stop' to count nothing past it
+   */
+  getAvailableQuantity(side, limitPrice, maxQuantity = null, check = null) {
+    const tree = side === 'buy' ? this.asks : this.bids;
+    let available = 0n;
+
+    for (const level of tree.values()) {
+      if (limitPrice !== null && tree.compare(level.price, limitPrice) > 0) break;
+
+      for (const order of level.orders()) {
+        const action = check?.(order);
+        if (action === 'stop') return available;
+        if (action !== 'skip') available += order.remaining_quantity;
+      }
+      if (maxQuantity !== null && available >= maxQuantity) break;
+    }
+
+    return available;
+  }
+
+  /**
+   * Quote cost of an incoming market order on side taking up to quantity from the opposite side,
+   * best price first; filled is less than quantity when the book runs out
+   */
+  getMarketCost(side, quantity) {
+    const tree = side === 'buy' ? this.asks : this.bids;
+    let cost = 0n;
+    let filled = 0n;
+
+    for (const level of tree.values()) {
+      for (const order of level.orders()) {
+        const take = minDecimal(order.remaining_quantity, quantity - filled);
+        cost += mulDecimal(level.price, take);
+        filled += take;
+        if (filled >= quantity) return { cost, filled };
+      }
+    }
+
+    return { cost, filled };
+  }
+
+  /**
+   * Base quantity an incoming market order on side can take for budget (in the quote asset),
+   * best price first, stopping at limitPrice (null for none), in multiples of lotSize
+   */
+  getQuoteQuantity(side, budget, limitPrice, lotSize) {
+    const tree = side === 'buy' ? this.asks : this.bids;
+    let spent = 0n;
+    let quantity = 0n;
+
+    for (const level of tree.values()) {
+      if (limitPrice !== null && tree.compare(level.price, limitPrice) > 0) break;
+
+      for (const order of level.orders()) {
+        const take = minDecimal(order.remaining_quantity, affordableQuantity(budget - spent, level.price, lotSize));
+        if (take <= 0n) return quantity;
+        spent += mulDecimal(level.price, take);
+        quantity += take;
+        if (take < order.remaining_quantity) return quantity;
+      }
+    }
+
+    return quantity;
+  }
+
+  /**
+   * Single price a call auction uncrosses the book at: the one that trades the most quantity,
+   * then leaves the least of it unmatched on one side, then is nearest referencePrice, then the lowest
+   * Returns { price, quantity }, or null when the book is not crossed
+   */
+  getAuctionPrice(referencePrice = null) {
+    const bestBid = this.getBestBid();
+    const bestAsk = this.getBestAsk();
+    if (!bestBid || !bestAsk || bestBid.price < bestAsk.price) return null;
+
+    // Only prices inside the crossed range can trade both sides' best orders
+    const candidates = [];
+    for (const level of this.bids.values()) {
+      if (level.price < bestAsk.price) break;
+      candidates.push(level.price);
+    }
+    for (const level of this.asks.values()) {
+      if (level.price > bestBid.price) break;
+      candidates.push(level.price);
+    }
+
+    let best = null;
+    for (const price of candidates) {
+      const demand = this.getAvailableQuantity('sell', price); // bids at or above price
+      const supply = this.getAvailableQuantity('buy', price); // asks at or below price
+      const candidate = {
+        price,
+        quantity: minDecimal(demand, supply),
+        surplus: absDecimal(demand - supply),
+        distance: referencePrice === null ? 0n : absDecimal(price - referencePrice),
+      };
+
+      const better = best === null ||
+        candidate.quantity > best.quantity ||
+        (candidate.quantity === best.quantity && (candidate.surplus < best.surplus ||
+          (candidate.surplus === best.surplus && (candidate.distance < best.distance ||
+            (candidate.distance === best.distance && candidate.price < best.price)))));
+      if (better) best = candidate;
+    }
+
+    return { price: best.price, quantity: best.quantity };
+  }
+
+  /**
+   * Aggregated top levels, with prices and quantities as decimal strings
+   */
+  getSnapshot(levels = 20) {
+    return {
+      bids: this._snapshotSide(this.bids, levels),
+      asks: this._snapshotSide(this.asks, levels),
+    };
+  }
+
+  _snapshotSide(tree, levels) {
+    const result = [];
+    let total = 0n;
+
+    for (const level of tree.values()) {
+      if (result.length >= levels) break;
+
+      let quantity = 0n;
+      for (const order of level.orders()) {
+        quantity += order.visible_quantity;
+      }
+      total += quantity;
+
+      result.push({
+        price: formatDecimal(level.price),
+        quantity: formatDecimal(quantity),
+        cumulative: formatDecimal(total),
+      });
+    }
+
+    return result;
+  }
+}
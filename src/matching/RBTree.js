@@ -0,0 +1,290 @@
+const RED = true;
+const BLACK = false;
+
+class Node {
+  constructor(key, value, nil) {
+    this.key = key;
+    this.value = value;
+    this.left = nil;
+    this.right = nil;
+    this.parent = nil;
+    this.color = RED;
+  }
+}
+
+/**
+ * Red-black tree keyed by price
+ * O(log n) insert, delete and lookup; in-order iteration from the smallest key
+ * per the comparator (so the best price comes first for both book sides)
+ */
+export class RBTree {
+  constructor(compare) {
+    this.compare = compare;
+    this.nil = { color: BLACK };
+    this.nil.left = this.nil;
+    this.nil.right = this.nil;
+    this.nil.parent = this.nil;
+    this.root = this.nil;
+    this.size = 0;
+  }
+
+  get(key) {
+    const node = this._find(key);
+    return node === this.nil ? undefined : node.value;
+  }
+
+  has(key) {
+    return this._find(key) !== this.nil;
+  }
+
+  min() {
+    if (this.root === this.nil) return undefined;
+    return this._minimum(this.root).value;
+  }
+
+  /**
+   * Insert a key that is not already in the tree
+   */
+  insert(key, value) {
+    let parent = this.nil;
+    let node = this.root;
+
+    while (node !== this.nil) {
+      parent = node;
+      node = this.compare(key, node.key) < 0 ? node.left : node.right;
+    }
+
+    const inserted = new Node(key, value, this.nil);
+    inserted.parent = parent;
+
+    if (parent === this.nil) {
+      this.root = inserted;
+    } else if (this.compare(key, parent.key) < 0) {
+      parent.left = inserted;
+    } else {
+      parent.right = inserted;
+    }
+
+    this._insertFixup(inserted);
+    this.size++;
+  }
+
+  delete(key) {
+    const z = this._find(key);
+    if (z === this.nil) return false;
+
+    let y = z;
+    let yColor = y.color;
+    let x;
+
+    if (z.left === this.nil) {
+      x = z.right;
+      this._transplant(z, z.right);
+    } else if (z.right === this.nil) {
+      x = z.left;
+      this._transplant(z, z.left);
+    } else {
+      y = this._minimum(z.right);
+      yColor = y.color;
+      x = y.right;
+
+      if (y.parent === z) {
+        x.parent = y;
+      } else {
+        this._transplant(y, y.right);
+        y.right = z.right;
+        y.right.parent = y;
+      }
+
+      this._transplant(z, y);
+      y.left = z.left;
+      y.left.parent = y;
+      y.color = z.color;
+    }
+
+    if (yColor === BLACK) {
+      this._deleteFixup(x);
+    }
+
+    this.size--;
+    return true;
+  }
+
+  /**
+   * Values in key order; stop early with break
+   */
+  *values() {
+    const stack = [];
+    let node = this.root;
+
+    while (stack.length > 0 || node !== this.nil) {
+      while (node !== this.nil) {
+        stack.push(node);
+        node = node.left;
+      }
+      node = stack.pop();
+      yield node.value;
+      node = node.right;
+    }
+  }
+
+  _find(key) {
+    let node = this.root;
+    while (node !== this.nil) {
+      const cmp = this.compare(key, node.key);
+      if (cmp === 0) return node;
+      node = cmp < 0 ? node.left : node.right;
+    }
+    return this.nil;
+  }
+
+  _minimum(node) {
+    while (node.left !== this.nil) {
+      node = node.left;
+    }
+    return node;
+  }
+
+  _rotateLeft(x) {
+    const y = x.right;
+    x.right = y.left;
+    if (y.left !== this.nil) y.left.parent = x;
+
+    y.parent = x.parent;
+    if (x.parent === this.nil) {
+      this.root = y;
+    } else if (x === x.parent.left) {
+      x.parent.left = y;
+    } else {
+      x.parent.right = y;
+    }
+
+    y.left = x;
+    x.parent = y;
+  }
+
+  _rotateRight(x) {
+    const y = x.left;
+    x.left = y.right;
+    if (y.right !== this.nil) y.right.parent = x;
+
+    y.parent = x.parent;
+    if (x.parent === this.nil) {
+      this.root = y;
+    } else if (x === x.parent.right) {
+      x.parent.right = y;
+    } else {
+      x.parent.left = y;
+    }
+
+    y.right = x;
+    x.parent = y;
+  }
+
+  _transplant(u, v) {
+    if (u.parent === this.nil) {
+      this.root = v;
+    } else if (u === u.parent.left) {
+      u.parent.left = v;
+    } else {
+      u.parent.right = v;
+    }
+    v.parent = u.parent;
+  }
+
+  _insertFixup(z) {
+    while (z.parent.color === RED) {
+      const grandparent = z.parent.parent;
+
+      if (z.parent === grandparent.left) {
+        const uncle = grandparent.right;
+        if (uncle.color === RED) {
+          z.parent.color = BLACK;
+          uncle.color = BLACK;
+          grandparent.color = RED;
+          z = grandparent;
+        } else {
+          if (z === z.parent.right) {
+            z = z.parent;
+            this._rotateLeft(z);
+          }
+          z.parent.color = BLACK;
+          z.parent.parent.color = RED;
+          this._rotateRight(z.parent.parent);
+        }
+      } else {
+        const uncle = grandparent.left;
+        if (uncle.color === RED) {
+          z.parent.color = BLACK;
+          uncle.color = BLACK;
+          grandparent.color = RED;
+          z = grandparent;
+        } else {
+          if (z === z.parent.left) {
+            z = z.parent;
+            this._rotateRight(z);
+          }
+          z.parent.color = BLACK;
+          z.parent.parent.color = RED;
+          this._rotateLeft(z.parent.parent);
+        }
+      }
+    }
+    this.root.color = BLACK;
+  }
+
+  _deleteFixup(x) {
+    while (x !== this.root && x.color === BLACK) {
+      if (x === x.parent.left) {
+        let w = x.parent.right;
+        if (w.color === RED) {
+          w.color = BLACK;
+          x.parent.color = RED;
+          this._rotateLeft(x.parent);
+          w = x.parent.right;
+        }
+        if (w.left.color === BLACK && w.right.color === BLACK) {
+          w.color = RED;
+          x = x.parent;
+        } else {
+          if (w.right.color === BLACK) {
+            w.left.color = BLACK;
+            w.color = RED;
+            this._rotateRight(w);
+            w = x.parent.right;
+          }
+          w.color = x.parent.color;
+          x.parent.color = BLACK;
+          w.right.color = BLACK;
+          this._rotateLeft(x.parent);
+          x = this.root;
+        }
+      } else {
+        let w = x.parent.left;
+        if (w.color === RED) {
+          w.color = BLACK;
+          x.parent.color = RED;
+          this._rotateRight(x.parent);
+          w = x.parent.left;
+        }
+        if (w.right.color === BLACK && w.left.color === BLACK) {
+          w.color = RED;
+          x = x.parent;
+        } else {
+          if (w.left.color === BLACK) {
+            w.right.color = BLACK;
+            w.color = RED;
+            this._rotateLeft(w);
+            w = x.parent.left;
+          }
+          w.color = x.parent.color;
+          x.parent.color = BLACK;
+          w.left.color = BLACK;
+          this._rotateRight(x.parent);
+          x = this.root;
+        }
+      }
+    }
+    x.color = BLACK;
+  }
+}
@@ -0,0 +1,36 @@
+import apiKeyService from '../services/ApiKeyService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Verify the X-API-Key / X-API-Timestamp / X-API-Nonce / X-API-Signature headers
+ * and attach the key's { key_id, client_id, scopes } as req.auth
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    req.auth = await apiKeyService.authenticate({
+      apiKey: req.get('X-API-Key'),
+      timestamp: req.get('X-API-Timestamp'),
+      nonce: req.get('X-API-Nonce'),
+      signature: req.get('X-API-Signature'),
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody || '',
+    });
+    next();
+  } catch (error) {
+    if (!error.status) {
+      logger.error('Error authenticating request', { error: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Allow only keys with the given scope; use after authenticate
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.auth?.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+  }
+  next();
+};
@@ -51,6 +51,13 @@ export const tradesTotal = new client.Counter({
   registers: [register],
 });
 
+export const tradeSettlementFailuresTotal = new client.Counter({
+  name: 'trade_settlement_failures_total',
+  help: 'Failed attempts to settle a trade; the trade is retried until it settles',
+  labelNames: ['instrument'],
+  registers: [register],
+});
+
 export const tradeVolume = new client.Counter({
   name: 'trade_volume_total',
   help: 'Total trade volume',
@@ -0,0 +1,132 @@
+import { parseDecimal, formatDecimal, mulDecimal } from '../utils/decimal.js';
+
+// Bucket length of each resolution in milliseconds
+export const RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000,
+};
+
+// Buckets are aligned to the Unix epoch, except weeks, which start on Monday 00:00 UTC (1970-01-05)
+const WEEK_OFFSET = 4 * 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the bucket containing `timestamp`
+ */
+export function candleOpenTime(timestamp, resolution) {
+  const length = RESOLUTIONS[resolution];
+  if (!length) {
+    throw new Error(`resolution must be one of ${Object.keys(RESOLUTIONS).join(', ')}`);
+  }
+
+  const offset = resolution === '1w' ? WEEK_OFFSET : 0;
+  const time = new Date(timestamp).getTime();
+  return new Date(Math.floor((time - offset) / length) * length + offset);
+}
+
+/**
+ * OHLCV bar for one instrument, resolution and bucket
+ */
+export class Candle {
+  constructor({
+    instrument,
+    resolution,
+    open_time,
+    open,
+    high,
+    low,
+    close,
+    volume = 0,
+    quote_volume = 0,
+    trade_count = 0,
+    first_trade_at,
+    last_trade_at,
+  }) {
+    this.instrument = instrument;
+    this.resolution = resolution;
+    this.open_time = new Date(open_time);
+
+    // Fixed-point BigInts (see utils/decimal.js)
+    this.open = parseDecimal(open);
+    this.high = parseDecimal(high);
+    this.low = parseDecimal(low);
+    this.close = parseDecimal(close);
+    this.volume = parseDecimal(volume); // base asset
+    this.quote_volume = parseDecimal(quote_volume); // sum of price * quantity
+
+    this.trade_count = Number(trade_count);
+    this.first_trade_at = new Date(first_trade_at); // open/close follow these, not arrival order
+    this.last_trade_at = new Date(last_trade_at);
+  }
+
+  get close_time() {
+    return new Date(this.open_time.getTime() + RESOLUTIONS[this.resolution]);
+  }
+
+  /**
+   * Fold a trade into the bar; trades may arrive out of timestamp order
+   */
+  addTrade(trade) {
+    const timestamp = new Date(trade.timestamp);
+
+    if (timestamp < this.first_trade_at) {
+      this.open = trade.price;
+      this.first_trade_at = timestamp;
+    }
+    if (timestamp >= this.last_trade_at) {
+      this.close = trade.price;
+      this.last_trade_at = timestamp;
+    }
+    if (trade.price > this.high) this.high = trade.price;
+    if (trade.price < this.low) this.low = trade.price;
+
+    this.volume += trade.quantity;
+    this.quote_volume += mulDecimal(trade.price, trade.quantity);
+    this.trade_count++;
+    return this;
+  }
+
+  toJSON() {
+    return {
+      instrument: this.instrument,
+      resolution: this.resolution,
+      open_time: this.open_time,
+      close_time: this.close_time,
+      open: formatDecimal(this.open),
+      high: formatDecimal(this.high),
+      low: formatDecimal(this.low),
+      close: formatDecimal(this.close),
+      volume: formatDecimal(this.volume),
+      quote_volume: formatDecimal(this.quote_volume),
+      trade_count: this.trade_count,
+    };
+  }
+
+  /**
+   * One-trade bar for the bucket containing the trade
+   */
+  static fromTrade(trade, resolution) {
+    return new Candle({
+      instrument: trade.instrument,
+      resolution,
+      open_time: candleOpenTime(trade.timestamp, resolution),
+      open: trade.price,
+      high: trade.price,
+      low: trade.price,
+      close: trade.price,
+      volume: trade.quantity,
+      quote_volume: mulDecimal(trade.price, trade.quantity),
+      trade_count: 1,
+      first_trade_at: trade.timestamp,
+      last_trade_at: trade.timestamp,
+    });
+  }
+
+  static fromDB(row) {
+    return new Candle(row);
+  }
+}
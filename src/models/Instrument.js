@@ -0,0 +1,138 @@
+import { parseDecimal, formatDecimal, mulDecimal, absDecimal } from '../utils/decimal.js';
+
+export const INSTRUMENT_STATUSES = ['active', 'halted', 'post_only', 'closed'];
+
+export class Instrument {
+  constructor({
+    instrument,
+    base_asset,
+    quote_asset,
+    tick_size,
+    lot_size,
+    min_quantity = 0,
+    max_quantity = null,
+    min_notional = 0,
+    price_band_percent = null,
+    status = 'active',
+    created_at,
+    updated_at,
+  }) {
+    this.instrument = instrument; // e.g. 'BTC-USD'
+    this.base_asset = base_asset;
+    this.quote_asset = quote_asset;
+
+    // Fixed-point BigInts (see utils/decimal.js)
+    this.tick_size = parseDecimal(tick_size); // price step
+    this.lot_size = parseDecimal(lot_size); // quantity step
+    this.min_quantity = parseDecimal(min_quantity);
+    this.max_quantity = parseDecimal(max_quantity); // null = no maximum
+    this.min_notional = parseDecimal(min_notional); // price * quantity, in the quote asset
+    this.price_band_percent = parseDecimal(price_band_percent); // null = no band
+    this.status = status; // 'active', 'halted', 'post_only' or 'closed'
+    this.created_at = created_at || new Date();
+    this.updated_at = updated_at || new Date();
+  }
+
+  /**
+   * Throw if an order does not fit this instrument
+   * referencePrice is the last trade price (null before the first trade)
+   */
+  checkOrder({
+    type,
+    price = null,
+    stop_price = null,
+    protection_price = null,
+    quantity,
+    quote_quantity = null,
+    display_quantity = null,
+    post_only = false,
+  }, referencePrice = null) {
+    if (this.status === 'closed') {
+      throw new Error(`Instrument ${this.instrument} is closed`);
+    }
+    if (this.status === 'halted') {
+      throw new Error(`Trading is halted on ${this.instrument}`);
+    }
+    if (this.status === 'post_only' && !post_only) {
+      throw new Error(`${this.instrument} is in post-only mode: only post_only limit orders are accepted`);
+    }
+
+    for (const [field, value] of [['price', price], ['stop_price', stop_price], ['protection_price', protection_price]]) {
+      if (value !== null && value % this.tick_size !== 0n) {
+        throw new Error(`${field} must be a multiple of tick size ${formatDecimal(this.tick_size)}`);
+      }
+    }
+    for (const [field, value] of [['quantity', quantity], ['display_quantity', display_quantity]]) {
+      if (value !== null && value % this.lot_size !== 0n) {
+        throw new Error(`${field} must be a multiple of lot size ${formatDecimal(this.lot_size)}`);
+      }
+    }
+
+    // A quote_quantity order is sized by the engine, so only its value is checked here
+    if (quote_quantity === null && quantity < this.min_quantity) {
+      throw new Error(`quantity must be at least ${formatDecimal(this.min_quantity)}`);
+    }
+    if (quote_quantity === null && this.max_quantity !== null && quantity > this.max_quantity) {
+      throw new Error(`quantity must be at most ${formatDecimal(this.max_quantity)}`);
+    }
+
+    // Market orders are checked against the last trade price, when there is one
+    const notionalPrice = price ?? stop_price ?? referencePrice;
+    const notional = quote_quantity ?? (notionalPrice !== null ? mulDecimal(notionalPrice, quantity) : null);
+    if (notional !== null && notional < this.min_notional) {
+      throw new Error(`order value must be at least ${formatDecimal(this.min_notional)} ${this.quote_asset}`);
+    }
+
+    if (['limit', 'stop_limit'].includes(type) && price !== null && !this.isWithinPriceBand(price, referencePrice)) {
+      throw new Error(`price must be within ${formatDecimal(this.price_band_percent)}% of the last trade price`);
+    }
+  }
+
+  isWithinPriceBand(price, referencePrice) {
+    if (this.price_band_percent === null || referencePrice === null) return true;
+    return absDecimal(price - referencePrice) * 100n <= mulDecimal(referencePrice, this.price_band_percent);
+  }
+
+  setStatus(status) {
+    if (!INSTRUMENT_STATUSES.includes(status)) {
+      throw new Error(`status must be one of ${INSTRUMENT_STATUSES.join(', ')}`);
+    }
+    this.status = status;
+    this.updated_at = new Date();
+  }
+
+  toJSON() {
+    return {
+      instrument: this.instrument,
+      base_asset: this.base_asset,
+      quote_asset: this.quote_asset,
+      tick_size: formatDecimal(this.tick_size),
+      lot_size: formatDecimal(this.lot_size),
+      min_quantity: formatDecimal(this.min_quantity),
+      max_quantity: formatDecimal(this.max_quantity),
+      min_notional: formatDecimal(this.min_notional),
+      price_band_percent: formatDecimal(this.price_band_percent),
+      status: this.status,
+      created_at: this.created_at,
+      updated_at: this.updated_at,
+    };
+  }
+
+  static fromDB(row) {
+    // DECIMAL columns come back from pg as strings, parsed exactly
+    return new Instrument({
+      instrument: row.instrument,
+      base_asset: row.base_asset,
+      quote_asset: row.quote_asset,
+      tick_size: row.tick_size,
+      lot_size: row.lot_size,
+      min_quantity: row.min_quantity,
+      max_quantity: row.max_quantity,
+      min_notional: row.min_notional,
+      price_band_percent: row.price_band_percent,
+      status: row.status,
+      created_at: row.created_at,
+      updated_at: row.updated_at,
+    });
+  }
+}
@@ -1,3 +1,13 @@
+import { parseDecimal, formatDecimal, minDecimal } from '../utils/decimal.js';
+
+export const ORDER_TYPES = ['limit', 'market', 'stop_market', 'stop_limit'];
+export const STOP_TYPES = ['stop_market', 'stop_limit'];
+export const TIME_IN_FORCE = ['GTC', 'IOC', 'FOK', 'GTD', 'DAY'];
+// What the incoming order does when it would trade with its own client or STP group
+export const STP_MODES = ['none', 'cancel_newest', 'cancel_oldest', 'cancel_both', 'decrement_and_cancel'];
+// What a market order does with quantity it could not fill within its protection price
+export const MARKET_REMAINDERS = ['cancel', 'rest'];
+
 export class Order {
   constructor({
     order_id,
@@ -6,10 +16,26 @@ export class Order {
     side,
     type,
     price,
+    stop_price = null,
     quantity,
+    quote_quantity = null,
+    protection_price = null,
+    max_slippage_percent = null,
+    market_remainder = 'cancel',
     filled_quantity = 0,
-    status = 'open',
+    display_quantity = null,
+    hidden_filled_quantity = 0,
+    status = STOP_TYPES.includes(type) ? 'untriggered' : 'open',
+    time_in_force = 'GTC',
+    expire_at = null,
+    post_only = false,
+    reduce_only = false,
+    stp_mode = null,
+    stp_group = null,
+    reject_reason = null,
+    cancel_reason = null,
     idempotency_key,
+    triggered_at = null,
     created_at,
     updated_at,
   }) {
@@ -17,50 +43,174 @@ export class Order {
     this.client_id = client_id;
     this.instrument = instrument;
     this.side = side; // 'buy' or 'sell'
-    this.type = type; // 'limit' or 'market'
-    this.price = price;
-    this.quantity = quantity;
-    this.filled_quantity = filled_quantity;
+    this.type = type; // 'limit', 'market', 'stop_market' or 'stop_limit'
+
+    // Prices and quantities are fixed-point BigInts (see utils/decimal.js)
+    this.price = parseDecimal(price);
+    this.stop_price = parseDecimal(stop_price); // trigger price for stop orders
+    this.quantity = parseDecimal(quantity ?? 0); // 0 on a quote_quantity order until it is estimated
+    this.quote_quantity = parseDecimal(quote_quantity); // market buys: quote amount to spend, quantity set by the engine
+    this.protection_price = parseDecimal(protection_price); // market orders: worst price to trade at
+    this.max_slippage_percent = parseDecimal(max_slippage_percent); // market orders: worst price as a % from the best opposite price
+    this.market_remainder = market_remainder; // 'cancel' or 'rest' (at the protection price)
+    this.filled_quantity = parseDecimal(filled_quantity);
+    this.display_quantity = parseDecimal(display_quantity); // iceberg slice size, null when fully displayed
+    this.hidden_filled_quantity = parseDecimal(hidden_filled_quantity); // fills against undisplayed reserve
+    this.slice_remaining = this.is_iceberg ? minDecimal(this.display_quantity, this.remaining_quantity) : null;
+    this.slice_displayed = true;
     this.status = status;
+    this.time_in_force = time_in_force;
+    this.expire_at = expire_at ? new Date(expire_at) : null; // GTD and DAY orders only
+    this.post_only = post_only; // never take liquidity
+    this.reduce_only = reduce_only; // never increase the client's absolute position
+    this.stp_mode = stp_mode; // self-trade prevention, applied when this order is the aggressor
+    this.stp_group = stp_group; // also prevents trades with other clients' orders in the same group
+    this.reject_reason = reject_reason;
+    this.cancel_reason = cancel_reason;
     this.idempotency_key = idempotency_key;
-    this.created_at = created_at || new Date();
-    this.updated_at = updated_at || new Date();
+    this.triggered_at = triggered_at ? new Date(triggered_at) : null;
+    // Logged commands and snapshots are JSON, so timestamps may arrive as strings
+    this.created_at = created_at ? new Date(created_at) : new Date();
+    this.updated_at = updated_at ? new Date(updated_at) : new Date();
+
+    // Intrusive price-level links, managed by OrderBook
+    this.book_level = null;
+    this.book_prev = null;
+    this.book_next = null;
   }
 
   get remaining_quantity() {
     return this.quantity - this.filled_quantity;
   }
 
+  get is_iceberg() {
+    return this.display_quantity !== null && this.display_quantity > 0n;
+  }
+
+  // Quantity shown in the book: the current iceberg slice, or everything left
+  get visible_quantity() {
+    if (!this.is_iceberg) return this.remaining_quantity;
+    return minDecimal(this.slice_remaining, this.remaining_quantity);
+  }
+
+  get hidden_quantity() {
+    return this.remaining_quantity - this.visible_quantity;
+  }
+
+  get visible_filled_quantity() {
+    return this.filled_quantity - this.hidden_filled_quantity;
+  }
+
   get is_filled() {
     return this.filled_quantity >= this.quantity;
   }
 
   get is_open() {
-    return this.status === 'open' || this.status === 'partially_filled';
+    return ['open', 'partially_filled', 'untriggered', 'triggered'].includes(this.status);
+  }
+
+  get is_stop() {
+    return STOP_TYPES.includes(this.type);
+  }
+
+  get is_triggered() {
+    return this.is_stop && this.status !== 'untriggered';
+  }
+
+  get is_immediate() {
+    return this.time_in_force === 'IOC' || this.time_in_force === 'FOK';
+  }
+
+  get is_market() {
+    return this.type === 'market' || this.type === 'stop_market';
+  }
+
+  amend({ price, quantity }) {
+    if (!this.is_open) {
+      throw new Error(`Cannot amend order ${this.order_id}: status is ${this.status}`);
+    }
+    this.price = price;
+    this.quantity = quantity;
+
+    if (this.is_iceberg) {
+      this.slice_remaining = minDecimal(this.slice_remaining, this.remaining_quantity);
+    }
+    this.updated_at = new Date();
   }
 
-  fill(quantity) {
+  refillSlice() {
+    this.slice_remaining = minDecimal(this.display_quantity, this.remaining_quantity);
+  }
+
+  trigger() {
+    if (this.status !== 'untriggered') {
+      throw new Error(`Cannot trigger order ${this.order_id}: status is ${this.status}`);
+    }
+    this.status = 'triggered';
+    this.triggered_at = new Date();
+    this.updated_at = new Date();
+  }
+
+  fill(quantity, hidden = false) {
     this.filled_quantity += quantity;
+
+    if (hidden) {
+      this.hidden_filled_quantity += quantity;
+    }
+    if (this.is_iceberg) {
+      this.slice_remaining = this.slice_remaining > quantity ? this.slice_remaining - quantity : 0n;
+    }
     
     if (this.is_filled) {
       this.status = 'filled';
-    } else if (this.filled_quantity > 0) {
+    } else if (this.filled_quantity > 0n) {
       this.status = 'partially_filled';
     }
     
     this.updated_at = new Date();
   }
 
-  cancel() {
+  cancel(reason = null) {
     if (!this.is_open) {
       throw new Error(`Cannot cancel order ${this.order_id}: status is ${this.status}`);
     }
     this.status = 'cancelled';
+    this.cancel_reason = reason;
+    this.updated_at = new Date();
+  }
+
+  /**
+   * Take quantity off the order without trading it (self-trade prevention)
+   */
+  decrement(quantity) {
+    this.quantity -= quantity;
+
+    if (this.is_iceberg) {
+      this.slice_remaining = minDecimal(this.slice_remaining, this.remaining_quantity);
+    }
+    this.updated_at = new Date();
+  }
+
+  /**
+   * Rest a market order's unfilled remainder as a limit order at price
+   */
+  restAt(price) {
+    this.type = this.type === 'stop_market' ? 'stop_limit' : 'limit';
+    this.price = price;
+    this.updated_at = new Date();
+  }
+
+  expire() {
+    if (!this.is_open) {
+      throw new Error(`Cannot expire order ${this.order_id}: status is ${this.status}`);
+    }
+    this.status = 'expired';
     this.updated_at = new Date();
   }
 
   reject(reason) {
     this.status = 'rejected';
+    this.reject_reason = reason || null;
     this.updated_at = new Date();
   }
 
@@ -71,15 +221,52 @@ export class Order {
       instrument: this.instrument,
       side: this.side,
       type: this.type,
-      price: this.price,
-      quantity: this.quantity,
-      filled_quantity: this.filled_quantity,
+      price: formatDecimal(this.price),
+      stop_price: formatDecimal(this.stop_price),
+      quantity: formatDecimal(this.quantity),
+      quote_quantity: formatDecimal(this.quote_quantity),
+      protection_price: formatDecimal(this.protection_price),
+      max_slippage_percent: formatDecimal(this.max_slippage_percent),
+      market_remainder: this.market_remainder,
+      filled_quantity: formatDecimal(this.filled_quantity),
+      display_quantity: formatDecimal(this.display_quantity),
+      visible_quantity: formatDecimal(this.visible_quantity),
+      hidden_quantity: formatDecimal(this.hidden_quantity),
+      visible_filled_quantity: formatDecimal(this.visible_filled_quantity),
+      hidden_filled_quantity: formatDecimal(this.hidden_filled_quantity),
       status: this.status,
+      time_in_force: this.time_in_force,
+      expire_at: this.expire_at,
+      post_only: this.post_only,
+      reduce_only: this.reduce_only,
+      stp_mode: this.stp_mode,
+      stp_group: this.stp_group,
+      reject_reason: this.reject_reason,
+      cancel_reason: this.cancel_reason,
+      triggered_at: this.triggered_at,
       created_at: this.created_at,
       updated_at: this.updated_at,
     };
   }
 
+  /**
+   * Engine state of a resting order for order-level snapshots: toJSON plus the current iceberg slice
+   */
+  toSnapshot() {
+    return {
+      ...this.toJSON(),
+      slice_remaining: formatDecimal(this.slice_remaining),
+    };
+  }
+
+  static fromSnapshot(entry) {
+    const order = new Order(entry);
+    if (order.is_iceberg) {
+      order.slice_remaining = parseDecimal(entry.slice_remaining);
+    }
+    return order;
+  }
+
   static fromDB(row) {
     return new Order({
       order_id: row.order_id,
@@ -87,11 +274,28 @@ export class Order {
       instrument: row.instrument,
       side: row.side,
       type: row.type,
-      price: row.price ? parseFloat(row.price) : null,
-      quantity: parseFloat(row.quantity),
-      filled_quantity: parseFloat(row.filled_quantity),
+      // DECIMAL columns come back from pg as strings, parsed exactly
+      price: row.price,
+      stop_price: row.stop_price,
+      quantity: row.quantity,
+      quote_quantity: row.quote_quantity,
+      protection_price: row.protection_price,
+      max_slippage_percent: row.max_slippage_percent,
+      market_remainder: row.market_remainder || 'cancel',
+      filled_quantity: row.filled_quantity,
+      display_quantity: row.display_quantity,
+      hidden_filled_quantity: row.hidden_filled_quantity || 0,
       status: row.status,
+      time_in_force: row.time_in_force || 'GTC',
+      expire_at: row.expire_at,
+      post_only: row.post_only || false,
+      reduce_only: row.reduce_only || false,
+      stp_mode: row.stp_mode || null,
+      stp_group: row.stp_group || null,
+      reject_reason: row.reject_reason || null,
+      cancel_reason: row.cancel_reason || null,
       idempotency_key: row.idempotency_key,
+      triggered_at: row.triggered_at,
       created_at: row.created_at,
       updated_at: row.updated_at,
     });
@@ -0,0 +1,142 @@
+import { parseDecimal, formatDecimal, mulDecimal, divDecimal, minDecimal, absDecimal } from '../utils/decimal.js';
+
+export const PNL_METHODS = ['fifo', 'average'];
+
+const sign = (value) => (value < 0n ? -1n : 1n);
+
+/**
+ * One client's net position in an instrument, with its cost basis and realized PnL
+ * Quantities and costs are signed: positive long, negative short. Both cost bases are
+ * kept up to date, so a client's PnL method can change between fills:
+ *   - total_cost: average cost; closing fills remove cost pro rata, keeping the average price
+ *   - lots: open fills oldest first; closing fills consume them first in, first out
+ */
+export class Position {
+  constructor({
+    client_id,
+    instrument,
+    net_quantity = 0,
+    total_cost = 0,
+    realized_pnl = 0,
+    lots = [],
+    last_updated = null,
+  }) {
+    this.client_id = client_id;
+    this.instrument = instrument;
+    this.net_quantity = parseDecimal(net_quantity);
+    this.total_cost = parseDecimal(total_cost);
+    this.realized_pnl = parseDecimal(realized_pnl); // cumulative, in the quote asset, before fees
+    this.lots = lots.map(lot => ({ quantity: parseDecimal(lot.quantity), price: parseDecimal(lot.price) }));
+    this.last_updated = last_updated;
+  }
+
+  /**
+   * Apply a fill of signed quantity at price; returns the PnL it realized under method
+   * A fill larger than the position closes it and opens the rest in the other direction
+   */
+  applyFill(quantity, price, method = 'average') {
+    if (!PNL_METHODS.includes(method)) {
+      throw new Error(`PnL method must be one of ${PNL_METHODS.join(', ')}`);
+    }
+
+    let realized = 0n;
+    let opening = quantity;
+
+    if (this.net_quantity !== 0n && sign(quantity) !== sign(this.net_quantity)) {
+      const direction = sign(this.net_quantity);
+      const closed = minDecimal(absDecimal(quantity), absDecimal(this.net_quantity));
+
+      // Average cost: the closed share of total_cost
+      const removedCost = closed === absDecimal(this.net_quantity)
+        ? this.total_cost
+        : divDecimal(mulDecimal(this.total_cost, closed), absDecimal(this.net_quantity));
+      const averageRealized = direction * mulDecimal(price, closed) - removedCost;
+
+      // FIFO: the oldest lots' cost
+      let fifoRealized = 0n;
+      let remaining = closed;
+      while (remaining > 0n && this.lots.length > 0) {
+        const lot = this.lots[0];
+        const taken = minDecimal(remaining, absDecimal(lot.quantity));
+        fifoRealized += direction * mulDecimal(price - lot.price, taken);
+        lot.quantity -= direction * taken;
+        remaining -= taken;
+        if (lot.quantity === 0n) this.lots.shift();
+      }
+
+      realized = method === 'fifo' ? fifoRealized : averageRealized;
+      this.net_quantity -= direction * closed;
+      this.total_cost -= removedCost;
+      opening = quantity + direction * closed;
+    }
+
+    if (opening !== 0n) {
+      this.net_quantity += opening;
+      this.total_cost += mulDecimal(opening, price);
+      this.lots.push({ quantity: opening, price });
+    }
+    if (this.net_quantity === 0n) {
+      this.total_cost = 0n;
+      this.lots = [];
+    }
+
+    this.realized_pnl += realized;
+    this.last_updated = new Date();
+    return realized;
+  }
+
+  /**
+   * Signed cost of the open quantity under method
+   */
+  costBasis(method = 'average') {
+    return method === 'fifo'
+      ? this.lots.reduce((sum, lot) => sum + mulDecimal(lot.quantity, lot.price), 0n)
+      : this.total_cost;
+  }
+
+  avgPrice(method = 'average') {
+    return this.net_quantity !== 0n ? divDecimal(this.costBasis(method), this.net_quantity) : null;
+  }
+
+  /**
+   * PnL of the open quantity if it were closed at markPrice; null without a mark
+   */
+  unrealizedPnl(markPrice, method = 'average') {
+    if (this.net_quantity === 0n) return 0n;
+    return markPrice === null ? null : mulDecimal(this.net_quantity, markPrice) - this.costBasis(method);
+  }
+
+  toJSON(markPrice = null, method = 'average') {
+    return {
+      client_id: this.client_id,
+      instrument: this.instrument,
+      net_quantity: formatDecimal(this.net_quantity),
+      total_cost: formatDecimal(this.costBasis(method)),
+      avg_price: formatDecimal(this.avgPrice(method)),
+      pnl_method: method,
+      realized_pnl: formatDecimal(this.realized_pnl),
+      mark_price: formatDecimal(markPrice),
+      unrealized_pnl: formatDecimal(this.unrealizedPnl(markPrice, method)),
+      last_updated: this.last_updated,
+    };
+  }
+
+  /**
+   * Lots as stored in client_positions.lots (JSONB)
+   */
+  lotsToDB() {
+    return this.lots.map(lot => ({ quantity: formatDecimal(lot.quantity), price: formatDecimal(lot.price) }));
+  }
+
+  static fromDB(row) {
+    return new Position({
+      client_id: row.client_id,
+      instrument: row.instrument,
+      net_quantity: row.net_quantity || 0,
+      total_cost: row.total_cost || 0,
+      realized_pnl: row.realized_pnl || 0,
+      lots: row.lots || [],
+      last_updated: row.last_updated,
+    });
+  }
+}
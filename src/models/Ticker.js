@@ -0,0 +1,105 @@
+import { Candle, RESOLUTIONS, candleOpenTime } from './Candle.js';
+import { formatDecimal, divDecimal } from '../utils/decimal.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Rolling 24-hour trade statistics for one instrument
+ * Trades are folded into 1-minute buckets, so the window moves a minute at a time
+ */
+export class Ticker {
+  constructor(instrument) {
+    this.instrument = instrument;
+    this.buckets = []; // 1m Candles, oldest first
+    this.lastTrade = null;
+  }
+
+  /**
+   * Start from persisted 1m candles (oldest first)
+   */
+  seed(candles) {
+    this.buckets = candles.filter(candle => candle.resolution === '1m');
+  }
+
+  addTrade(trade) {
+    const openTime = candleOpenTime(trade.timestamp, '1m').getTime();
+
+    // Trades arrive in time order per instrument, so only the newest bucket is ever searched far
+    let index = this.buckets.length - 1;
+    while (index >= 0 && this.buckets[index].open_time.getTime() > openTime) {
+      index--;
+    }
+
+    if (index >= 0 && this.buckets[index].open_time.getTime() === openTime) {
+      this.buckets[index].addTrade(trade);
+    } else {
+      this.buckets.splice(index + 1, 0, Candle.fromTrade(trade, '1m'));
+    }
+
+    if (!this.lastTrade || new Date(trade.timestamp) >= new Date(this.lastTrade.timestamp)) {
+      this.lastTrade = trade;
+    }
+  }
+
+  /**
+   * Open/high/low/volume over the buckets that end after now - 24h
+   * Prices and quantities are scaled BigInts; null fields mean no trades in the window
+   */
+  getStats(now = new Date()) {
+    const windowStart = now.getTime() - DAY;
+    while (this.buckets.length > 0 && this.buckets[0].open_time.getTime() + RESOLUTIONS['1m'] <= windowStart) {
+      this.buckets.shift();
+    }
+
+    const stats = {
+      open: null,
+      high: null,
+      low: null,
+      close: null,
+      volume: 0n,
+      quote_volume: 0n,
+      trade_count: 0,
+    };
+
+    for (const bucket of this.buckets) {
+      if (stats.open === null) stats.open = bucket.open;
+      if (stats.high === null || bucket.high > stats.high) stats.high = bucket.high;
+      if (stats.low === null || bucket.low < stats.low) stats.low = bucket.low;
+      stats.close = bucket.close;
+      stats.volume += bucket.volume;
+      stats.quote_volume += bucket.quote_volume;
+      stats.trade_count += bucket.trade_count;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Ticker view combining the 24h window with the current top of book
+   * lastPrice falls back to the engine's last trade price when the window is empty
+   */
+  toJSON({ bestBid = null, bestAsk = null, lastPrice = null, now = new Date() } = {}) {
+    const stats = this.getStats(now);
+    const last = stats.close ?? lastPrice;
+    const change = stats.open !== null && last !== null ? last - stats.open : null;
+
+    return {
+      instrument: this.instrument,
+      best_bid: formatDecimal(bestBid?.price ?? null),
+      best_bid_size: formatDecimal(bestBid?.quantity ?? null),
+      best_ask: formatDecimal(bestAsk?.price ?? null),
+      best_ask_size: formatDecimal(bestAsk?.quantity ?? null),
+      last_price: formatDecimal(last),
+      last_quantity: formatDecimal(this.lastTrade?.quantity ?? null),
+      open_24h: formatDecimal(stats.open),
+      high_24h: formatDecimal(stats.high),
+      low_24h: formatDecimal(stats.low),
+      volume_24h: formatDecimal(stats.volume),
+      quote_volume_24h: formatDecimal(stats.quote_volume),
+      trade_count_24h: stats.trade_count,
+      change_24h: formatDecimal(change),
+      change_percent_24h: change !== null && stats.open !== 0n ? formatDecimal(divDecimal(change * 100n, stats.open)) : null,
+      timestamp: now,
+    };
+  }
+}
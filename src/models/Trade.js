@@ -1,3 +1,5 @@
+import { parseDecimal, formatDecimal } from '../utils/decimal.js';
+
 export class Trade {
   constructor({
     trade_id,
@@ -6,14 +8,28 @@ export class Trade {
     instrument,
     price,
     quantity,
+    hidden_quantity = 0,
+    aggressor_side = null,
+    buy_client_id = null,
+    sell_client_id = null,
+    maker_fee = 0,
+    taker_fee = 0,
     timestamp,
   }) {
     this.trade_id = trade_id;
     this.buy_order_id = buy_order_id;
     this.sell_order_id = sell_order_id;
     this.instrument = instrument;
-    this.price = price;
-    this.quantity = quantity;
+    this.price = parseDecimal(price); // fixed-point BigInt (see utils/decimal.js)
+    this.quantity = parseDecimal(quantity);
+    this.hidden_quantity = parseDecimal(hidden_quantity); // part filled against an undisplayed iceberg slice
+    this.aggressor_side = aggressor_side; // side of the incoming order; the other side provided the liquidity
+    // Owners of the two orders, for private fill messages; kept off the public trade JSON
+    this.buy_client_id = buy_client_id;
+    this.sell_client_id = sell_client_id;
+    // Fees in the quote asset charged to the maker and the taker; negative is a rebate
+    this.maker_fee = parseDecimal(maker_fee);
+    this.taker_fee = parseDecimal(taker_fee);
     this.timestamp = timestamp || new Date();
   }
 
@@ -23,20 +39,61 @@ export class Trade {
       buy_order_id: this.buy_order_id,
       sell_order_id: this.sell_order_id,
       instrument: this.instrument,
-      price: this.price,
-      quantity: this.quantity,
+      price: formatDecimal(this.price),
+      quantity: formatDecimal(this.quantity),
+      visible_quantity: formatDecimal(this.quantity - this.hidden_quantity),
+      hidden_quantity: formatDecimal(this.hidden_quantity),
+      aggressor_side: this.aggressor_side,
+      maker_fee: formatDecimal(this.maker_fee),
+      taker_fee: formatDecimal(this.taker_fee),
       timestamp: this.timestamp,
     };
   }
 
+  /**
+   * Trade JSON for public market data, without the fees
+   */
+  toPublicJSON() {
+    const { maker_fee, taker_fee, ...trade } = this.toJSON();
+    return trade;
+  }
+
+  /**
+   * Trade JSON for the owner of orderId: the public fields, plus that order's liquidity and fee
+   * when it is one of the two; the counterparty's fee is never shown
+   */
+  toOrderJSON(orderId) {
+    const side = orderId === this.buy_order_id ? 'buy' : orderId === this.sell_order_id ? 'sell' : null;
+    if (!side) return this.toPublicJSON();
+
+    return {
+      ...this.toPublicJSON(),
+      liquidity: side === this.aggressor_side ? 'taker' : 'maker',
+      fee: formatDecimal(this.feeFor(side)),
+    };
+  }
+
+  /**
+   * Fee charged to one side of the trade
+   */
+  feeFor(side) {
+    return side === this.aggressor_side ? this.taker_fee : this.maker_fee;
+  }
+
   static fromDB(row) {
     return new Trade({
       trade_id: row.trade_id,
       buy_order_id: row.buy_order_id,
       sell_order_id: row.sell_order_id,
       instrument: row.instrument,
-      price: parseFloat(row.price),
-      quantity: parseFloat(row.quantity),
+      price: row.price,
+      quantity: row.quantity,
+      hidden_quantity: row.hidden_quantity || 0,
+      aggressor_side: row.aggressor_side,
+      buy_client_id: row.buy_client_id,
+      sell_client_id: row.sell_client_id,
+      maker_fee: row.maker_fee || 0,
+      taker_fee: row.taker_fee || 0,
       timestamp: row.timestamp,
     });
   }
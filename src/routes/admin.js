@@ -1,13 +1,35 @@
 import express from 'express';
 import client from 'prom-client';
+import { body, param, query, validationResult } from 'express-validator';
 import { register } from '../middleware/metrics.js';
 import logger from '../utils/logger.js';
 import postgres from '../db/postgres.js';
 import redis from '../db/redis.js';
 import kafkaProducer from '../kafka/producer.js';
+import exchangeService from '../services/ExchangeService.js';
+import instrumentRegistry from '../services/InstrumentRegistry.js';
+import apiKeyService, { API_KEY_SCOPES } from '../services/ApiKeyService.js';
+import riskEngine from '../services/RiskEngine.js';
+import accountService from '../services/AccountService.js';
+import feeService, { DEFAULT_SCHEDULE } from '../services/FeeService.js';
+import positionService from '../services/PositionService.js';
+import stpService from '../services/StpService.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import { INSTRUMENT_STATUSES } from '../models/Instrument.js';
+import { STP_MODES } from '../models/Order.js';
+import { PNL_METHODS } from '../models/Position.js';
+import { formatDecimal } from '../utils/decimal.js';
 
 const router = express.Router();
 
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
 // Welcome/API info endpoint
 router.get('/', (req, res) => {
   res.json({
@@ -21,6 +43,10 @@ router.get('/', (req, res) => {
       orders: '/orders (POST)',
       orderbook: '/market/orderbook?instrument=BTC-USD',
       trades: '/market/trades?instrument=BTC-USD',
+      ticker: '/market/ticker?instrument=BTC-USD',
+      tickers: '/market/tickers',
+      candles: '/market/candles?instrument=BTC-USD&resolution=1m',
+      instruments: '/admin/instruments',
       websocket: 'ws://localhost:3000/stream'
     },
     documentation: {
@@ -69,6 +95,21 @@ router.get('/healthz', async (req, res) => {
     health.status = 'unhealthy';
   }
 
+  // Startup order book recovery, per instrument
+  health.recovery = exchangeService.getRecoveryStatus();
+  const failed = Object.values(health.recovery).some(r => r.status === 'failed');
+  health.checks.recovery = failed ? 'unhealthy' : 'healthy';
+  if (failed) {
+    health.status = 'unhealthy';
+  }
+
+  // Trades executed but not yet settled: balances and positions lag until a retry settles them
+  health.unsettled_trades = exchangeService.getUnsettledTrades();
+  health.checks.settlement = health.unsettled_trades.length > 0 ? 'unhealthy' : 'healthy';
+  if (health.unsettled_trades.length > 0) {
+    health.status = 'unhealthy';
+  }
+
   const statusCode = health.status === 'healthy' ? 200 : 503;
   res.status(statusCode).json(health);
 });
@@ -84,5 +125,403 @@ router.get('/metrics', async (req, res) => {
   }
 });
 
+// /healthz, /metrics and / stay open for probes; everything under /admin needs an admin key
+router.use('/admin', authenticate, requireScope('admin'));
+
+// GET /admin/instruments
+router.get('/admin/instruments', (req, res) => {
+  res.json({
+    instruments: instrumentRegistry.list().map(i => i.toJSON()),
+  });
+});
+
+// POST /admin/instruments
+router.post(
+  '/admin/instruments',
+  [
+    body('instrument').matches(/^[A-Z0-9]+-[A-Z0-9]+$/).withMessage('instrument must look like BASE-QUOTE, e.g. BTC-USD'),
+    body('base_asset').optional().isString(),
+    body('quote_asset').optional().isString(),
+    body('tick_size').isFloat({ gt: 0 }).withMessage('tick_size must be positive'),
+    body('lot_size').isFloat({ gt: 0 }).withMessage('lot_size must be positive'),
+    body('min_quantity').optional().isFloat({ min: 0 }).withMessage('min_quantity must not be negative'),
+    body('max_quantity').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('max_quantity must be positive'),
+    body('min_notional').optional().isFloat({ min: 0 }).withMessage('min_notional must not be negative'),
+    body('price_band_percent').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('price_band_percent must be positive'),
+    body('status').optional().isIn(INSTRUMENT_STATUSES).withMessage(`status must be one of ${INSTRUMENT_STATUSES.join(', ')}`),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const instrument = await instrumentRegistry.create(req.body);
+      res.status(201).json({ instrument: instrument.toJSON() });
+    } catch (error) {
+      logger.error('Error creating instrument', { error: error.message });
+      const status = error.message.includes('already exists') ? 409 : 400;
+      res.status(status).json({ error: error.message });
+    }
+  }
+);
+
+// PATCH /admin/instruments/:instrument/status
+router.patch(
+  '/admin/instruments/:instrument/status',
+  [
+    param('instrument').notEmpty().withMessage('instrument is required'),
+    body('status').isIn(INSTRUMENT_STATUSES).withMessage(`status must be one of ${INSTRUMENT_STATUSES.join(', ')}`),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const instrument = await instrumentRegistry.setStatus(req.params.instrument, req.body.status);
+      res.json({ instrument: instrument.toJSON() });
+    } catch (error) {
+      logger.error('Error changing instrument status', { error: error.message });
+      const status = error.message.includes('Unknown instrument') ? 404 : 400;
+      res.status(status).json({ error: error.message });
+    }
+  }
+);
+
+// GET /admin/circuit-breakers
+router.get('/admin/circuit-breakers', (req, res) => {
+  res.json({ circuit_breakers: exchangeService.getCircuitBreakers() });
+});
+
+// PUT /admin/circuit-breakers/:instrument
+router.put(
+  '/admin/circuit-breakers/:instrument',
+  [
+    param('instrument').notEmpty().withMessage('instrument is required'),
+    body('move_percent').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('move_percent must be positive'),
+    body('window_seconds').optional().isInt({ gt: 0 }).withMessage('window_seconds must be a positive integer'),
+    body('band_percent').optional({ values: 'null' }).isFloat({ gt: 0, lt: 100 }).withMessage('band_percent must be between 0 and 100'),
+    body('reference_price').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('reference_price must be positive'),
+    body('cooldown_seconds').optional().isInt({ min: 0 }).withMessage('cooldown_seconds must be a non-negative integer'),
+    body('auction_seconds').optional().isInt({ min: 0 }).withMessage('auction_seconds must be a non-negative integer'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const fields = ['move_percent', 'window_seconds', 'band_percent', 'reference_price', 'cooldown_seconds', 'auction_seconds'];
+    const changes = Object.fromEntries(fields.filter(field => field in req.body).map(field => [field, req.body[field]]));
+    try {
+      const circuitBreaker = await exchangeService.setCircuitBreaker(req.params.instrument, changes);
+      res.json({ circuit_breaker: circuitBreaker });
+    } catch (error) {
+      logger.error('Error updating circuit breaker', { error: error.message });
+      const status = error.message.includes('Unknown instrument') ? 404 : 400;
+      res.status(status).json({ error: error.message });
+    }
+  }
+);
+
+// POST /admin/circuit-breakers/:instrument/resume
+// Starts a halted instrument's reopening auction now, or uncrosses a running auction now
+router.post(
+  '/admin/circuit-breakers/:instrument/resume',
+  [
+    param('instrument').notEmpty().withMessage('instrument is required'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const circuitBreaker = await exchangeService.resumeTrading(req.params.instrument);
+      res.json({ circuit_breaker: circuitBreaker });
+    } catch (error) {
+      logger.error('Error resuming trading', { error: error.message });
+      const status = error.message.includes('Unknown instrument') ? 404 : 409;
+      res.status(status).json({ error: error.message });
+    }
+  }
+);
+
+// POST /admin/api-keys
+router.post(
+  '/admin/api-keys',
+  [
+    body('client_id').isString().notEmpty().withMessage('client_id is required'),
+    body('scopes').isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+    body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`scopes must be among ${API_KEY_SCOPES.join(', ')}`),
+    body('label').optional().isString(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const created = await apiKeyService.create(req.body);
+      // The key and secret are not stored and cannot be shown again
+      res.status(201).json(created);
+    } catch (error) {
+      logger.error('Error creating API key', { error: error.message });
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// GET /admin/api-keys
+router.get('/admin/api-keys', async (req, res) => {
+  try {
+    const keys = await apiKeyService.list(req.query.client_id || null);
+    res.json({ keys });
+  } catch (error) {
+    logger.error('Error listing API keys', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /admin/api-keys/:key_id
+router.delete(
+  '/admin/api-keys/:key_id',
+  [
+    param('key_id').notEmpty().withMessage('key_id is required'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const key = await apiKeyService.revoke(req.params.key_id);
+      res.json({ key });
+    } catch (error) {
+      logger.error('Error revoking API key', { error: error.message });
+      res.status(error.message.includes('not found') ? 404 : 500).json({ error: error.message });
+    }
+  }
+);
+
+// GET /admin/accounts/:client_id
+router.get(
+  '/admin/accounts/:client_id',
+  [
+    param('client_id').notEmpty().withMessage('client_id is required'),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { client_id } = req.params;
+      const limit = parseInt(req.query.limit || '100', 10);
+
+      res.json({
+        client_id,
+        balances: await accountService.getBalances(client_id),
+        ledger: await accountService.getLedger(client_id, limit),
+      });
+    } catch (error) {
+      logger.error('Error getting account', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// POST /admin/accounts/:client_id/deposit and /withdraw
+for (const action of ['deposit', 'withdraw']) {
+  router.post(
+    `/admin/accounts/:client_id/${action}`,
+    [
+      param('client_id').notEmpty().withMessage('client_id is required'),
+      body('asset').matches(/^[A-Z0-9]+$/).withMessage('asset must be an asset code, e.g. USD'),
+      body('amount').isFloat({ gt: 0 }).withMessage('amount must be positive'),
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { client_id } = req.params;
+        const { asset, amount } = req.body;
+
+        const balance = await accountService[action](client_id, asset, amount);
+        res.json({ client_id, balance });
+      } catch (error) {
+        logger.error(`Error processing ${action}`, { error: error.message });
+        res.status(error.status || 400).json({ error: error.message });
+      }
+    }
+  );
+}
+
+// GET /admin/risk-limits/:client_id
+router.get(
+  '/admin/risk-limits/:client_id',
+  [
+    param('client_id').notEmpty().withMessage('client_id is required'),
+  ],
+  handleValidationErrors,
+  (req, res) => {
+    res.json({
+      client_id: req.params.client_id,
+      limits: riskEngine.formatLimits(riskEngine.getLimits(req.params.client_id)),
+      defaults: riskEngine.formatLimits(riskEngine.defaults),
+    });
+  }
+);
+
+// PUT /admin/risk-limits/:client_id
+router.put(
+  '/admin/risk-limits/:client_id',
+  [
+    param('client_id').notEmpty().withMessage('client_id is required'),
+    body('max_order_quantity').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('max_order_quantity must be positive'),
+    body('max_order_notional').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('max_order_notional must be positive'),
+    body('max_open_orders').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('max_open_orders must be a non-negative integer').toInt(),
+    body('max_position').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('max_position must not be negative'),
+    body('price_collar_percent').optional({ values: 'null' }).isFloat({ gt: 0 }).withMessage('price_collar_percent must be positive'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const limits = await riskEngine.setLimits(req.params.client_id, req.body);
+      res.json({
+        client_id: req.params.client_id,
+        limits: riskEngine.formatLimits(limits),
+      });
+    } catch (error) {
+      logger.error('Error updating risk limits', { error: error.message });
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// GET /admin/fee-schedules
+router.get('/admin/fee-schedules', (req, res) => {
+  res.json({
+    schedules: feeService.getSchedules().map(schedule => feeService.formatSchedule(schedule)),
+  });
+});
+
+// PUT /admin/fee-schedules/:instrument/:tier
+router.put(
+  '/admin/fee-schedules/:instrument/:tier',
+  [
+    param('instrument').custom(value => value === DEFAULT_SCHEDULE || instrumentRegistry.has(value)).withMessage(`instrument must be a known instrument or ${DEFAULT_SCHEDULE}`),
+    param('tier').matches(/^[a-z0-9_]{1,50}$/).withMessage('tier must be lowercase letters, digits and underscores'),
+    body('min_volume_30d').optional().isFloat({ min: 0 }).withMessage('min_volume_30d must not be negative'),
+    body('maker_rate').isFloat({ min: -1, max: 1 }).withMessage('maker_rate must be between -1 and 1'),
+    body('taker_rate').isFloat({ min: -1, max: 1 }).withMessage('taker_rate must be between -1 and 1'),
+    body('maker_rate').custom((value, { req }) => Number(value) + Number(req.body.taker_rate) >= 0)
+      .withMessage('a maker rebate must not exceed the taker fee'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const schedule = await feeService.setSchedule({
+        instrument: req.params.instrument,
+        tier: req.params.tier,
+        min_volume_30d: String(req.body.min_volume_30d ?? 0),
+        maker_rate: String(req.body.maker_rate),
+        taker_rate: String(req.body.taker_rate),
+      });
+      res.json({ schedule: feeService.formatSchedule(schedule) });
+    } catch (error) {
+      logger.error('Error updating fee schedule', { error: error.message });
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// DELETE /admin/fee-schedules/:instrument/:tier
+router.delete(
+  '/admin/fee-schedules/:instrument/:tier',
+  [
+    param('instrument').notEmpty().withMessage('instrument is required'),
+    param('tier').notEmpty().withMessage('tier is required'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const deleted = await feeService.deleteSchedule(req.params.instrument, req.params.tier);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Fee schedule not found' });
+      }
+      res.json({ deleted: true });
+    } catch (error) {
+      logger.error('Error deleting fee schedule', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// PUT /admin/fee-tiers/:client_id
+router.put(
+  '/admin/fee-tiers/:client_id',
+  [
+    param('client_id').notEmpty().withMessage('client_id is required'),
+    body('tier').optional({ values: 'null' }).matches(/^[a-z0-9_]{1,50}$/).withMessage('tier must be lowercase letters, digits and underscores'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { client_id } = req.params;
+      await feeService.setClientTier(client_id, req.body.tier ?? null);
+      res.json({
+        client_id,
+        assigned_tier: req.body.tier ?? null,
+        volume_30d: formatDecimal(feeService.getVolume(client_id)),
+      });
+    } catch (error) {
+      logger.error('Error updating client fee tier', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// PUT /admin/pnl-method/:client_id
+router.put(
+  '/admin/pnl-method/:client_id',
+  [
+    param('client_id').notEmpty().withMessage('client_id is required'),
+    body('method').isIn(PNL_METHODS).withMessage(`method must be one of ${PNL_METHODS.join(', ')}`),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await positionService.setMethod(req.params.client_id, req.body.method);
+      res.json({ client_id: req.params.client_id, method: req.body.method });
+    } catch (error) {
+      logger.error('Error updating PnL method', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// GET /admin/stp/:client_id
+router.get(
+  '/admin/stp/:client_id',
+  [
+    param('client_id').notEmpty().withMessage('client_id is required'),
+  ],
+  handleValidationErrors,
+  (req, res) => {
+    res.json({
+      client_id: req.params.client_id,
+      settings: stpService.getSettings(req.params.client_id),
+      effective: stpService.resolve(req.params.client_id),
+    });
+  }
+);
+
+// PUT /admin/stp/:client_id
+router.put(
+  '/admin/stp/:client_id',
+  [
+    param('client_id').notEmpty().withMessage('client_id is required'),
+    body('stp_mode').optional({ values: 'null' }).isIn(STP_MODES).withMessage(`stp_mode must be one of ${STP_MODES.join(', ')}`),
+    body('stp_group').optional({ values: 'null' }).isString().isLength({ min: 1, max: 255 }).withMessage('stp_group must be a non-empty string'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const effective = await stpService.setSettings(req.params.client_id, {
+        stp_mode: req.body.stp_mode ?? null,
+        stp_group: req.body.stp_group ?? null,
+      });
+      res.json({
+        client_id: req.params.client_id,
+        settings: stpService.getSettings(req.params.client_id),
+        effective,
+      });
+    } catch (error) {
+      logger.error('Error updating self-trade prevention settings', { error: error.message });
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
 export default router;
 
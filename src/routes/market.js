@@ -1,7 +1,14 @@
 import express from 'express';
+import rateLimit from 'express-rate-limit';
 import { query, param, validationResult } from 'express-validator';
 import exchangeService from '../services/ExchangeService.js';
+import instrumentRegistry from '../services/InstrumentRegistry.js';
+import candleService from '../services/CandleService.js';
+import { RESOLUTIONS } from '../models/Candle.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
+import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import { formatDecimal } from '../utils/decimal.js';
 
 const router = express.Router();
 
@@ -13,11 +20,51 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Snapshots write to the database, so they take an admin key and their own, tighter limit;
+// declared ahead of the read scope below so admin-only keys can use it
+const snapshotLimiter = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.snapshotMax,
+  message: 'Too many snapshot requests, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// POST /orderbook/snapshot
+router.post(
+  '/orderbook/snapshot',
+  authenticate,
+  requireScope('admin'),
+  snapshotLimiter,
+  [
+    query('instrument').optional().custom(value => instrumentRegistry.has(value)).withMessage('unknown instrument'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const instrument = req.query.instrument || 'BTC-USD';
+
+      const snapshot = await exchangeService.requestSnapshot(instrument);
+
+      res.json({
+        instrument,
+        snapshot,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error('Error creating snapshot', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+router.use(authenticate, requireScope('read'));
+
 // GET /orderbook
 router.get(
   '/orderbook',
   [
-    query('instrument').optional().isString(),
+    query('instrument').optional().custom(value => instrumentRegistry.has(value)).withMessage('unknown instrument'),
     query('levels').optional().isInt({ min: 1, max: 100 }).withMessage('levels must be between 1 and 100'),
   ],
   handleValidationErrors,
@@ -41,11 +88,44 @@ router.get(
   }
 );
 
+// GET /ticker
+router.get(
+  '/ticker',
+  [
+    query('instrument').optional().custom(value => instrumentRegistry.has(value)).withMessage('unknown instrument'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const instrument = req.query.instrument || 'BTC-USD';
+      res.json(exchangeService.getTicker(instrument));
+    } catch (error) {
+      logger.error('Error getting ticker', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// GET /tickers
+router.get('/tickers', async (req, res) => {
+  try {
+    const tickers = exchangeService.getTickers();
+    res.json({
+      tickers,
+      count: tickers.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error('Error getting tickers', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // GET /trades
 router.get(
   '/trades',
   [
-    query('instrument').optional().isString(),
+    query('instrument').optional().custom(value => instrumentRegistry.has(value)).withMessage('unknown instrument'),
     query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000'),
   ],
   handleValidationErrors,
@@ -62,8 +142,11 @@ router.get(
           trade_id: t.trade_id,
           buy_order_id: t.buy_order_id,
           sell_order_id: t.sell_order_id,
-          price: t.price,
-          quantity: t.quantity,
+          price: formatDecimal(t.price),
+          quantity: formatDecimal(t.quantity),
+          visible_quantity: formatDecimal(t.quantity - t.hidden_quantity),
+          hidden_quantity: formatDecimal(t.hidden_quantity),
+          aggressor_side: t.aggressor_side,
           timestamp: t.timestamp,
         })),
         count: trades.length,
@@ -79,7 +162,7 @@ router.get(
 router.get(
   '/analytics',
   [
-    query('instrument').optional().isString(),
+    query('instrument').optional().custom(value => instrumentRegistry.has(value)).withMessage('unknown instrument'),
     query('start_time').optional().isISO8601(),
     query('end_time').optional().isISO8601(),
     query('interval').optional().isInt({ min: 1, max: 60 }),
@@ -123,59 +206,152 @@ router.get(
   }
 );
 
-// POST /orderbook/snapshot
-router.post(
-  '/orderbook/snapshot',
+// GET /candles
+router.get(
+  '/candles',
   [
-    query('instrument').optional().isString(),
+    query('instrument').optional().custom(value => instrumentRegistry.has(value)).withMessage('unknown instrument'),
+    query('resolution').optional().isIn(Object.keys(RESOLUTIONS)).withMessage(`resolution must be one of ${Object.keys(RESOLUTIONS).join(', ')}`),
+    query('start_time').optional().isISO8601(),
+    query('end_time').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000'),
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
       const instrument = req.query.instrument || 'BTC-USD';
+      const resolution = req.query.resolution || '1m';
+      const limit = parseInt(req.query.limit || '500', 10);
+      const endTime = req.query.end_time ? new Date(req.query.end_time) : new Date();
+      // Default to the last `limit` bars
+      const startTime = req.query.start_time
+        ? new Date(req.query.start_time)
+        : new Date(endTime.getTime() - limit * RESOLUTIONS[resolution]);
 
-      const snapshot = await exchangeService.requestSnapshot(instrument);
+      const candles = await candleService.getCandles(instrument, resolution, startTime, endTime, limit);
 
       res.json({
         instrument,
-        snapshot,
-        timestamp: new Date().toISOString(),
+        resolution,
+        start_time: startTime.toISOString(),
+        end_time: endTime.toISOString(),
+        candles: candles.map(c => c.toJSON()),
+        count: candles.length,
       });
     } catch (error) {
-      logger.error('Error creating snapshot', { error: error.message });
+      logger.error('Error getting candles', { error: error.message });
       res.status(500).json({ error: error.message });
     }
   }
 );
 
+
+// GET /balances/:client_id
+router.get(
+  '/balances/:client_id',
+  [
+    param('client_id').notEmpty().withMessage('client_id is required'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { client_id } = req.params;
+      const balances = await exchangeService.getClientBalances(client_id, req.auth);
+
+      res.json({ client_id, balances });
+    } catch (error) {
+      logger.error('Error getting balances', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
 // GET /positions/:client_id
 router.get(
   '/positions/:client_id',
   [
     param('client_id').notEmpty().withMessage('client_id is required'),
+    query('mark').optional().isIn(['last', 'mid']).withMessage('mark must be last or mid'),
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
       const { client_id } = req.params;
-      const positions = await exchangeService.getClientPositions(client_id);
+      const mark = req.query.mark || 'last';
+      const positions = await exchangeService.getClientPositions(client_id, req.auth);
 
       res.json({
         client_id,
-        positions: positions.map(p => ({
-          instrument: p.instrument,
-          net_quantity: parseFloat(p.net_quantity),
-          total_cost: parseFloat(p.total_cost),
-          avg_price: parseFloat(p.net_quantity) !== 0 ? parseFloat(p.total_cost) / parseFloat(p.net_quantity) : 0,
-          last_updated: p.last_updated,
-        })),
+        mark,
+        positions: positions.map(p => exchangeService.formatPosition(p, mark)),
       });
     } catch (error) {
       logger.error('Error getting positions', { error: error.message });
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 );
 
-export default router;
+// GET /pnl/:client_id
+router.get(
+  '/pnl/:client_id',
+  [
+    param('client_id').notEmpty().withMessage('client_id is required'),
+    query('instrument').optional().custom(value => instrumentRegistry.has(value)).withMessage('unknown instrument'),
+    query('start_time').optional().isISO8601(),
+    query('end_time').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { client_id } = req.params;
+      const endTime = req.query.end_time ? new Date(req.query.end_time) : new Date();
+      const startTime = req.query.start_time ? new Date(req.query.start_time) : new Date(endTime.getTime() - 30 * 24 * 60 * 60 * 1000);
+      const limit = parseInt(req.query.limit || '100', 10);
+
+      const history = await exchangeService.getPnlHistory(client_id, {
+        instrument: req.query.instrument || null,
+        startTime,
+        endTime,
+        limit,
+      }, req.auth);
 
+      res.json({
+        client_id,
+        start_time: startTime.toISOString(),
+        end_time: endTime.toISOString(),
+        history,
+        count: history.length,
+      });
+    } catch (error) {
+      logger.error('Error getting PnL history', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+// GET /fees/:client_id
+router.get(
+  '/fees/:client_id',
+  [
+    param('client_id').notEmpty().withMessage('client_id is required'),
+    query('start_time').optional().isISO8601(),
+    query('end_time').optional().isISO8601(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { client_id } = req.params;
+      const endTime = req.query.end_time ? new Date(req.query.end_time) : new Date();
+      const startTime = req.query.start_time ? new Date(req.query.start_time) : new Date(endTime.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+      res.json(await exchangeService.getFeeReport(client_id, startTime, endTime, req.auth));
+    } catch (error) {
+      logger.error('Error getting fee report', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+);
+
+export default router;
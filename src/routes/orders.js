@@ -1,7 +1,10 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import exchangeService from '../services/ExchangeService.js';
+import instrumentRegistry from '../services/InstrumentRegistry.js';
+import { STP_MODES, MARKET_REMAINDERS } from '../models/Order.js';
 import logger from '../utils/logger.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
 import { v4 as uuidv4 } from 'uuid';
 
 const router = express.Router();
@@ -15,16 +18,31 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Every order route needs a signed request; client_id always comes from the API key
+router.use(authenticate);
+
 // POST /orders
 router.post(
   '/',
+  requireScope('trade'),
   [
-    body('client_id').notEmpty().withMessage('client_id is required'),
-    body('instrument').optional().isString(),
+    body('instrument').optional().custom(value => instrumentRegistry.has(value)).withMessage('unknown instrument'),
     body('side').isIn(['buy', 'sell']).withMessage('side must be buy or sell'),
-    body('type').isIn(['limit', 'market']).withMessage('type must be limit or market'),
-    body('price').if(body('type').equals('limit')).isFloat({ min: 0 }).withMessage('price must be positive for limit orders'),
-    body('quantity').isFloat({ min: 0.00000001 }).withMessage('quantity must be positive'),
+    body('type').isIn(['limit', 'market', 'stop_market', 'stop_limit']).withMessage('type must be limit, market, stop_market or stop_limit'),
+    body('price').if(body('type').isIn(['limit', 'stop_limit'])).isFloat({ min: 0 }).withMessage('price must be positive for limit orders'),
+    body('stop_price').if(body('type').isIn(['stop_market', 'stop_limit'])).isFloat({ gt: 0 }).withMessage('stop_price must be positive for stop orders'),
+    body('quantity').if(body('quote_quantity').not().exists()).isFloat({ min: 0.00000001 }).withMessage('quantity must be positive'),
+    body('quote_quantity').optional().isFloat({ gt: 0 }).withMessage('quote_quantity must be positive'),
+    body('protection_price').optional().isFloat({ gt: 0 }).withMessage('protection_price must be positive'),
+    body('max_slippage_percent').optional().isFloat({ gt: 0, lt: 100 }).withMessage('max_slippage_percent must be greater than 0 and less than 100'),
+    body('market_remainder').optional().isIn(MARKET_REMAINDERS).withMessage(`market_remainder must be one of ${MARKET_REMAINDERS.join(', ')}`),
+    body('time_in_force').optional().isIn(['GTC', 'IOC', 'FOK', 'GTD', 'DAY']).withMessage('time_in_force must be GTC, IOC, FOK, GTD or DAY'),
+    body('post_only').optional().isBoolean().withMessage('post_only must be a boolean'),
+    body('reduce_only').optional().isBoolean().withMessage('reduce_only must be a boolean'),
+    body('display_quantity').optional().isFloat({ gt: 0 }).withMessage('display_quantity must be positive'),
+    body('stp_mode').optional().isIn(STP_MODES).withMessage(`stp_mode must be one of ${STP_MODES.join(', ')}`),
+    body('stp_group').optional().isString().isLength({ min: 1, max: 255 }).withMessage('stp_group must be a non-empty string'),
+    body('expire_at').if(body('time_in_force').equals('GTD')).isISO8601().withMessage('expire_at is required for GTD orders'),
     body('order_id').optional().isString(),
     body('idempotency_key').optional().isString(),
   ],
@@ -35,22 +53,45 @@ router.post(
       const {
         idempotency_key,
         order_id,
-        client_id,
         instrument,
         side,
         type,
         price,
+        stop_price,
         quantity,
+        quote_quantity,
+        protection_price,
+        max_slippage_percent,
+        market_remainder,
+        time_in_force,
+        expire_at,
+        post_only,
+        reduce_only,
+        display_quantity,
+        stp_mode,
+        stp_group,
       } = req.body;
 
       const orderData = {
         order_id: order_id || uuidv4(),
-        client_id,
+        client_id: req.auth.client_id,
         instrument: instrument || 'BTC-USD',
         side,
         type,
-        price: price ? parseFloat(price) : null,
-        quantity: parseFloat(quantity),
+        price: price ?? null,
+        stop_price: stop_price ?? null,
+        quantity,
+        quote_quantity: quote_quantity ?? null,
+        protection_price: protection_price ?? null,
+        max_slippage_percent: max_slippage_percent ?? null,
+        market_remainder: market_remainder ?? null,
+        time_in_force,
+        expire_at,
+        post_only: post_only === true || post_only === 'true',
+        reduce_only: reduce_only === true || reduce_only === 'true',
+        display_quantity: display_quantity ?? null,
+        stp_mode: stp_mode ?? null,
+        stp_group: stp_group ?? null,
       };
 
       const result = await exchangeService.submitOrder(orderData, idempotency_key);
@@ -63,7 +104,7 @@ router.post(
 
       res.status(201).json({
         order: result.order.toJSON(),
-        trades: result.trades.map(t => t.toJSON()),
+        trades: result.trades.map(t => t.toOrderJSON(result.order.order_id)),
         orderbook: result.orderbook,
       });
     } catch (error) {
@@ -76,9 +117,10 @@ router.post(
 // POST /orders/:order_id/cancel
 router.post(
   '/:order_id/cancel',
+  requireScope('trade'),
   [
     param('order_id').notEmpty().withMessage('order_id is required'),
-    query('instrument').optional().isString(),
+    query('instrument').optional().custom(value => instrumentRegistry.has(value)).withMessage('unknown instrument'),
   ],
   handleValidationErrors,
   async (req, res) => {
@@ -86,12 +128,46 @@ router.post(
       const { order_id } = req.params;
       const { instrument } = req.query;
 
-      const order = await exchangeService.cancelOrder(order_id, instrument);
+      const order = await exchangeService.cancelOrder(order_id, instrument, req.auth);
 
       res.json({ order: order.toJSON() });
     } catch (error) {
       logger.error('Error cancelling order', { error: error.message });
-      res.status(404).json({ error: error.message });
+      res.status(error.status || 404).json({ error: error.message });
+    }
+  }
+);
+
+// PATCH /orders/:order_id
+router.patch(
+  '/:order_id',
+  requireScope('trade'),
+  [
+    param('order_id').notEmpty().withMessage('order_id is required'),
+    query('instrument').optional().custom(value => instrumentRegistry.has(value)).withMessage('unknown instrument'),
+    body('price').optional().isFloat({ gt: 0 }).withMessage('price must be positive'),
+    body('quantity').optional().isFloat({ min: 0.00000001 }).withMessage('quantity must be positive'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { order_id } = req.params;
+      const { instrument } = req.query;
+      const { price, quantity } = req.body;
+
+      const result = await exchangeService.amendOrder(order_id, {
+        price,
+        quantity,
+      }, instrument, req.auth);
+
+      res.json({
+        order: result.order.toJSON(),
+        trades: result.trades.map(t => t.toOrderJSON(result.order.order_id)),
+        orderbook: result.orderbook,
+      });
+    } catch (error) {
+      logger.error('Error amending order', { error: error.message });
+      res.status(error.status || (error.message.includes('not found') ? 404 : 400)).json({ error: error.message });
     }
   }
 );
@@ -99,6 +175,7 @@ router.post(
 // GET /orders/:order_id
 router.get(
   '/:order_id',
+  requireScope('read'),
   [
     param('order_id').notEmpty().withMessage('order_id is required'),
   ],
@@ -106,7 +183,7 @@ router.get(
   async (req, res) => {
     try {
       const { order_id } = req.params;
-      const order = await exchangeService.getOrder(order_id);
+      const order = await exchangeService.getOrder(order_id, req.auth);
 
       if (!order) {
         return res.status(404).json({ error: 'Order not found' });
@@ -115,7 +192,7 @@ router.get(
       res.json({ order: order.toJSON() });
     } catch (error) {
       logger.error('Error getting order', { error: error.message });
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     }
   }
 );
@@ -0,0 +1,212 @@
+import { v4 as uuidv4 } from 'uuid';
+import instrumentRegistry from './InstrumentRegistry.js';
+import positionService from './PositionService.js';
+import postgres from '../db/postgres.js';
+import logger from '../utils/logger.js';
+import { parseDecimal, formatDecimal, mulDecimal, minDecimal } from '../utils/decimal.js';
+
+// Counterparty for deposits and withdrawals, so every journal balances
+export const EXTERNAL_ACCOUNT = '@external';
+// Collects trading fees and pays maker rebates
+export const FEE_ACCOUNT = '@fees';
+
+function insufficientBalance(asset) {
+  const error = new Error(`Insufficient ${asset} balance`);
+  error.status = 400;
+  error.reason = 'insufficient_balance';
+  return error;
+}
+
+/**
+ * Per-asset client balances, order holds and trade settlement
+ * Every balance change is a journal of ledger entries that sums to zero per asset,
+ * written in the same transaction as the change itself
+ */
+export class AccountService {
+  async getBalances(clientId) {
+    const rows = await postgres.getAccounts(clientId);
+    return rows.map(row => this._toBalance(row));
+  }
+
+  async getAvailable(clientId, asset) {
+    const row = await postgres.getAccount(clientId, asset);
+    return row ? parseDecimal(row.available) : 0n;
+  }
+
+  async getLedger(clientId, limit = 100) {
+    const rows = await postgres.getLedgerEntries(clientId, limit);
+    return rows.map(row => ({
+      entry_id: row.entry_id,
+      journal_id: row.journal_id,
+      entry_type: row.entry_type,
+      reference_id: row.reference_id,
+      asset: row.asset,
+      bucket: row.bucket,
+      amount: formatDecimal(parseDecimal(row.amount)),
+      created_at: row.created_at,
+    }));
+  }
+
+  async deposit(clientId, asset, amount) {
+    return this._transfer('deposit', clientId, asset, parseDecimal(amount));
+  }
+
+  async withdraw(clientId, asset, amount) {
+    return this._transfer('withdrawal', clientId, asset, -parseDecimal(amount));
+  }
+
+  async _transfer(entryType, clientId, asset, amount) {
+    if (amount === 0n) {
+      throw new Error('amount must be positive');
+    }
+
+    const accounts = await postgres.transaction(db => this._post(db, entryType, null, [
+      { client_id: clientId, asset, bucket: 'available', amount },
+      { client_id: EXTERNAL_ACCOUNT, asset, bucket: 'available', amount: -amount },
+    ], { requireFunds: amount < 0n }));
+
+    logger.info(`Account ${entryType}`, { client_id: clientId, asset, amount: formatDecimal(amount) });
+    return this._toBalance(accounts[0]);
+  }
+
+  /**
+   * Set the funds held for an order to exactly { asset, amount }, moving the difference
+   * between available and held; throws (status 400) if available cannot cover an increase
+   */
+  async holdFunds(order, { asset, amount }) {
+    await postgres.transaction(async (db) => {
+      const hold = await postgres.getOrderHoldForUpdate(order.order_id, db);
+      const delta = amount - (hold ? parseDecimal(hold.amount) : 0n);
+      if (delta === 0n) return;
+
+      await this._post(db, delta > 0n ? 'hold' : 'release', order.order_id, [
+        { client_id: order.client_id, asset, bucket: 'available', amount: -delta },
+        { client_id: order.client_id, asset, bucket: 'held', amount: delta },
+      ], { requireFunds: delta > 0n });
+      await postgres.saveOrderHold({ order_id: order.order_id, client_id: order.client_id, asset, amount }, db);
+    });
+  }
+
+  /**
+   * Return whatever is still held for a closed order to available
+   */
+  async releaseHold(order) {
+    await postgres.transaction(async (db) => {
+      const hold = await postgres.getOrderHoldForUpdate(order.order_id, db);
+      if (!hold) return;
+
+      const amount = parseDecimal(hold.amount);
+      if (amount > 0n) {
+        await this._post(db, 'release', order.order_id, [
+          { client_id: hold.client_id, asset: hold.asset, bucket: 'held', amount: -amount },
+          { client_id: hold.client_id, asset: hold.asset, bucket: 'available', amount },
+        ]);
+      }
+      await postgres.deleteOrderHold(order.order_id, db);
+    });
+  }
+
+  /**
+   * Save a trade and, in the same transaction, move the quote asset from buyer to seller
+   * and the base asset from seller to buyer, drawing on each order's hold first, charge
+   * both sides' fees (in the quote asset) to the fee account, and update both positions
+   * Returns null if the trade was already saved, otherwise { positions: [buyer, seller] } (Positions)
+   */
+  async settleTrade(trade) {
+    const { base_asset, quote_asset } = instrumentRegistry.require(trade.instrument);
+    const cost = mulDecimal(trade.price, trade.quantity);
+    const buyer = trade.buy_client_id;
+    const seller = trade.sell_client_id;
+    const buyerFee = trade.feeFor('buy');
+    const sellerFee = trade.feeFor('sell');
+
+    return postgres.transaction(async (db) => {
+      if (!await postgres.saveTrade(trade, db)) {
+        return null;
+      }
+
+      // A buy order's hold covers its fee too; a rebate is paid to available
+      const buyerHeld = await this._consumeHold(db, trade.buy_order_id, cost + (buyerFee > 0n ? buyerFee : 0n));
+      const sellerHeld = await this._consumeHold(db, trade.sell_order_id, trade.quantity);
+
+      await this._post(db, 'trade', trade.trade_id, [
+        { client_id: buyer, asset: quote_asset, bucket: 'held', amount: -buyerHeld },
+        { client_id: buyer, asset: quote_asset, bucket: 'available', amount: buyerHeld - cost - buyerFee },
+        { client_id: seller, asset: quote_asset, bucket: 'available', amount: cost - sellerFee },
+        { client_id: FEE_ACCOUNT, asset: quote_asset, bucket: 'available', amount: buyerFee + sellerFee },
+        { client_id: seller, asset: base_asset, bucket: 'held', amount: -sellerHeld },
+        { client_id: seller, asset: base_asset, bucket: 'available', amount: sellerHeld - trade.quantity },
+        { client_id: buyer, asset: base_asset, bucket: 'available', amount: trade.quantity },
+      ].filter(entry => entry.amount !== 0n));
+
+      return {
+        positions: [
+          await positionService.applyFill(db, buyer, trade, trade.quantity),
+          await positionService.applyFill(db, seller, trade, -trade.quantity),
+        ],
+      };
+    });
+  }
+
+  /**
+   * Take up to wanted from an order's hold; returns how much was taken
+   * A fill beyond the hold (e.g. a market buy that slipped) comes out of available
+   */
+  async _consumeHold(db, orderId, wanted) {
+    const hold = await postgres.getOrderHoldForUpdate(orderId, db);
+    if (!hold) return 0n;
+
+    const amount = parseDecimal(hold.amount);
+    const taken = minDecimal(amount, wanted);
+    await postgres.saveOrderHold({ ...hold, amount: amount - taken }, db);
+    return taken;
+  }
+
+  /**
+   * Write a balanced journal; with requireFunds, throw if a client's available balance goes negative
+   */
+  async _post(db, entryType, referenceId, entries, { requireFunds = false } = {}) {
+    const totals = new Map();
+    for (const entry of entries) {
+      totals.set(entry.asset, (totals.get(entry.asset) || 0n) + entry.amount);
+    }
+    for (const [asset, total] of totals) {
+      if (total !== 0n) {
+        throw new Error(`Unbalanced ${entryType} journal: ${asset} entries sum to ${formatDecimal(total)}`);
+      }
+    }
+
+    const accounts = await postgres.postLedgerEntries({
+      journal_id: uuidv4(),
+      entry_type: entryType,
+      reference_id: referenceId,
+      entries,
+    }, db);
+
+    if (requireFunds) {
+      entries.forEach((entry, index) => {
+        const overdrawn = entry.client_id !== EXTERNAL_ACCOUNT && entry.bucket === 'available' && entry.amount < 0n &&
+          parseDecimal(accounts[index].available) < 0n;
+        if (overdrawn) {
+          throw insufficientBalance(entry.asset);
+        }
+      });
+    }
+
+    return accounts;
+  }
+
+  _toBalance(row) {
+    const available = parseDecimal(row.available);
+    const held = parseDecimal(row.held);
+    return {
+      asset: row.asset,
+      available: formatDecimal(available),
+      held: formatDecimal(held),
+      total: formatDecimal(available + held),
+      updated_at: row.updated_at,
+    };
+  }
+}
+
+export default new AccountService();
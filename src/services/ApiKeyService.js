@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import postgres from '../db/postgres.js';
+import redis from '../db/redis.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+
+export const API_KEY_SCOPES = ['read', 'trade', 'admin'];
+
+const DEV_MASTER_SECRET = 'dev-only-master-secret';
+const KEY_CACHE_TTL_MS = 30000;
+
+export function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * The signing secret for a key: HMAC of the key under the master secret,
+ * so secrets never need to be stored
+ */
+export function deriveSecret(masterSecret, apiKey) {
+  return crypto.createHmac('sha256', masterSecret).update(apiKey).digest('hex');
+}
+
+/**
+ * Hex HMAC-SHA256 over timestamp, nonce, method, path (with query string) and raw body, newline-separated
+ */
+export function signRequest(secret, { timestamp, nonce, method, path, body = '' }) {
+  const payload = [timestamp, nonce, method.toUpperCase(), path, body].join('\n');
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function unauthorized(message) {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+}
+
+/**
+ * API keys with scopes, and HMAC request authentication with timestamp and nonce replay protection
+ */
+export class ApiKeyService {
+  constructor() {
+    this.cache = new Map(); // key_hash -> { key, expires }
+  }
+
+  get masterSecret() {
+    if (config.auth.masterSecret) return config.auth.masterSecret;
+    if (config.server.env === 'production') {
+      throw new Error('AUTH_MASTER_SECRET must be set in production');
+    }
+    return DEV_MASTER_SECRET;
+  }
+
+  /**
+   * Issue a key; the api_key and api_secret are only ever returned here
+   */
+  async create({ client_id, scopes, label = null }) {
+    if (!client_id) {
+      throw new Error('client_id is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      throw new Error(`scopes must be a non-empty list of ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    const apiKey = `ak_${crypto.randomBytes(24).toString('hex')}`;
+    const row = await postgres.createApiKey({
+      key_id: uuidv4(),
+      key_hash: hashApiKey(apiKey),
+      client_id,
+      scopes: [...new Set(scopes)],
+      label,
+    });
+
+    logger.info('API key created', { key_id: row.key_id, client_id, scopes: row.scopes });
+    return {
+      key: this._toKey(row),
+      api_key: apiKey,
+      api_secret: deriveSecret(this.masterSecret, apiKey),
+    };
+  }
+
+  async revoke(keyId) {
+    const row = await postgres.revokeApiKey(keyId);
+    if (!row) {
+      throw new Error(`API key ${keyId} not found`);
+    }
+
+    for (const [hash, entry] of this.cache) {
+      if (entry.key?.key_id === keyId) this.cache.delete(hash);
+    }
+
+    logger.info('API key revoked', { key_id: keyId, client_id: row.client_id });
+    return this._toKey(row);
+  }
+
+  async list(clientId = null) {
+    const rows = await postgres.getApiKeys(clientId);
+    return rows.map(row => this._toKey(row));
+  }
+
+  /**
+   * Verify a signed request and return the key it was signed with
+   * Throws an error with status 401 when it does not verify
+   */
+  async authenticate({ apiKey, timestamp, nonce, signature, method, path, body = '' }) {
+    if (!apiKey || !timestamp || !nonce || !signature) {
+      throw unauthorized('API key, timestamp, nonce and signature are required');
+    }
+
+    const time = Number(timestamp);
+    if (!Number.isFinite(time) || Math.abs(Date.now() - time) > config.auth.maxClockSkewMs) {
+      throw unauthorized('Request timestamp is outside the allowed window');
+    }
+
+    const key = await this._findKey(apiKey);
+    if (!key || key.revoked_at) {
+      throw unauthorized('Invalid API key');
+    }
+
+    const expected = Buffer.from(signRequest(deriveSecret(this.masterSecret, apiKey), { timestamp, nonce, method, path, body }), 'hex');
+    const given = Buffer.from(String(signature), 'hex');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw unauthorized('Invalid signature');
+    }
+
+    // A nonce only has to stay unique while its timestamp is still accepted
+    const ttlSeconds = Math.ceil((2 * config.auth.maxClockSkewMs) / 1000);
+    if (!await redis.setIfNotExists(`auth:nonce:${key.key_id}:${nonce}`, time, ttlSeconds)) {
+      throw unauthorized('Nonce has already been used');
+    }
+
+    return { key_id: key.key_id, client_id: key.client_id, scopes: key.scopes };
+  }
+
+  async _findKey(apiKey) {
+    const hash = hashApiKey(apiKey);
+    const cached = this.cache.get(hash);
+    if (cached && cached.expires > Date.now()) {
+      return cached.key;
+    }
+
+    const row = await postgres.getApiKeyByHash(hash);
+    const key = row ? this._toKey(row) : null;
+    this.cache.set(hash, { key, expires: Date.now() + KEY_CACHE_TTL_MS });
+    return key;
+  }
+
+  _toKey(row) {
+    return {
+      key_id: row.key_id,
+      client_id: row.client_id,
+      scopes: row.scopes,
+      label: row.label,
+      created_at: row.created_at,
+      revoked_at: row.revoked_at,
+    };
+  }
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,34 @@
+import { Candle, RESOLUTIONS } from '../models/Candle.js';
+import postgres from '../db/postgres.js';
+import redis from '../db/redis.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Maintains OHLCV candles for every resolution as trades are persisted
+ * and pushes the in-progress bar to candles:<instrument>:<resolution>
+ */
+export class CandleService {
+  /**
+   * Fold a persisted trade into its bar at every resolution
+   * Call once per trade, after the trade row is saved, so a failed or retried save is never counted twice
+   */
+  async recordTrade(trade) {
+    const rows = await postgres.upsertCandles(Object.keys(RESOLUTIONS).map(resolution => Candle.fromTrade(trade, resolution)));
+
+    for (const row of rows) {
+      const candle = Candle.fromDB(row);
+      redis.publish(`candles:${candle.instrument}:${candle.resolution}`, candle.toJSON())
+        .catch(err => logger.error('Error publishing candle', { error: err.message }));
+    }
+  }
+
+  /**
+   * Bars opening in [startTime, endTime], oldest first; buckets without trades are omitted
+   */
+  async getCandles(instrument, resolution, startTime, endTime, limit = 500) {
+    const rows = await postgres.getCandles(instrument, resolution, startTime, endTime, limit);
+    return rows.map(row => Candle.fromDB(row));
+  }
+}
+
+export default new CandleService();
@@ -0,0 +1,96 @@
+import postgres from '../db/postgres.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+import { UNIT, parseDecimal, formatDecimal } from '../utils/decimal.js';
+
+// Settings the matching engine's CircuitBreaker runs with; the rest time the reopening
+const ENGINE_SETTINGS = ['move_percent', 'window_seconds', 'band_percent', 'reference_price'];
+
+function normalize(value) {
+  return formatDecimal(parseDecimal(value));
+}
+
+function parseSettings(row) {
+  return {
+    move_percent: normalize(row.move_percent),
+    window_seconds: Number(row.window_seconds),
+    band_percent: normalize(row.band_percent),
+    reference_price: normalize(row.reference_price),
+    cooldown_seconds: Number(row.cooldown_seconds),
+    auction_seconds: Number(row.auction_seconds),
+  };
+}
+
+/**
+ * Per-instrument circuit breaker settings, with percentages and prices as decimal strings
+ * Instruments without a row use the CIRCUIT_BREAKER_* defaults
+ */
+export class CircuitBreakerService {
+  constructor() {
+    this.settings = new Map(); // instrument -> settings
+  }
+
+  async load() {
+    const rows = await postgres.getCircuitBreakers();
+    this.settings = new Map(rows.map(row => [row.instrument, parseSettings(row)]));
+    logger.info(`Loaded circuit breakers for ${this.settings.size} instruments`);
+  }
+
+  get defaults() {
+    return {
+      move_percent: normalize(config.circuitBreaker.movePercent),
+      window_seconds: config.circuitBreaker.windowSeconds,
+      band_percent: normalize(config.circuitBreaker.bandPercent),
+      reference_price: null,
+      cooldown_seconds: config.circuitBreaker.cooldownSeconds,
+      auction_seconds: config.circuitBreaker.auctionSeconds,
+    };
+  }
+
+  getSettings(instrument) {
+    return this.settings.get(instrument) || this.defaults;
+  }
+
+  /**
+   * The part of an instrument's settings its matching engine needs
+   */
+  getEngineSettings(instrument) {
+    const settings = this.getSettings(instrument);
+    return Object.fromEntries(ENGINE_SETTINGS.map(field => [field, settings[field]]));
+  }
+
+  /**
+   * Change some of an instrument's settings; fields left out keep their current values
+   */
+  async setSettings(instrument, changes) {
+    const settings = parseSettings({ ...this.getSettings(instrument), ...changes });
+
+    const move = parseDecimal(settings.move_percent);
+    const band = parseDecimal(settings.band_percent);
+    const reference = parseDecimal(settings.reference_price);
+    if (move !== null && move <= 0n) {
+      throw new Error('move_percent must be positive');
+    }
+    if (band !== null && (band <= 0n || band >= 100n * UNIT)) {
+      throw new Error('band_percent must be between 0 and 100');
+    }
+    if (reference !== null && reference <= 0n) {
+      throw new Error('reference_price must be positive');
+    }
+    if (!Number.isInteger(settings.window_seconds) || settings.window_seconds <= 0) {
+      throw new Error('window_seconds must be a positive integer');
+    }
+    for (const field of ['cooldown_seconds', 'auction_seconds']) {
+      if (!Number.isInteger(settings[field]) || settings[field] < 0) {
+        throw new Error(`${field} must be a non-negative integer`);
+      }
+    }
+
+    await postgres.upsertCircuitBreaker(instrument, settings);
+    this.settings.set(instrument, settings);
+    logger.info('Circuit breaker settings updated', { instrument, ...settings });
+    return settings;
+  }
+}
+
+export default new CircuitBreakerService();
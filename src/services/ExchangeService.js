@@ -1,11 +1,32 @@
 import { MatchingEngine } from '../matching/MatchingEngine.js';
-import { Order } from '../models/Order.js';
+import { Order, STOP_TYPES, TIME_IN_FORCE, STP_MODES, MARKET_REMAINDERS } from '../models/Order.js';
+import { Trade } from '../models/Trade.js';
+import { Ticker } from '../models/Ticker.js';
 import { v4 as uuidv4 } from 'uuid';
+import instrumentRegistry from './InstrumentRegistry.js';
+import { applyCommands } from './ReplayService.js';
+import candleService from './CandleService.js';
+import riskEngine from './RiskEngine.js';
+import accountService from './AccountService.js';
+import feeService from './FeeService.js';
+import positionService from './PositionService.js';
+import stpService from './StpService.js';
+import circuitBreakerService from './CircuitBreakerService.js';
 import postgres from '../db/postgres.js';
 import redis from '../db/redis.js';
 import kafkaProducer from '../kafka/producer.js';
 import logger from '../utils/logger.js';
 import config from '../config/index.js';
+import {
+  SCALE,
+  UNIT,
+  parseDecimal,
+  formatDecimal,
+  decimalPlaces,
+  mulDecimal,
+  minDecimal,
+  toNumber,
+} from '../utils/decimal.js';
 import {
   ordersReceivedTotal,
   ordersMatchedTotal,
@@ -13,6 +34,8 @@ import {
   orderLatency,
   tradesTotal,
   tradeVolume,
+  tradeSettlementFailuresTotal,
+  orderbookDepth,
 } from '../middleware/metrics.js';
 
 /**
@@ -23,58 +46,228 @@ export class ExchangeService {
   constructor() {
     this.engines = new Map(); // instrument -> MatchingEngine
     this.snapshotInterval = null;
+    this.expiryInterval = null;
+    this.feeVolumeInterval = null;
+    this.circuitBreakerInterval = null;
+    this.settlementInterval = null;
+    this.unsettledTrades = new Map(); // trade_id -> { trade, attempts, error } for settlements still to retry
+    this.recovering = false; // replaying logged commands at startup
+    this.recovery = new Map(); // instrument -> startup recovery result
+    this.commandSequences = new Map(); // instrument -> last logged command sequence at startup
+    this.snapshotSequences = new Map(); // instrument -> sequence of the last persisted snapshot
+    this.tickers = new Map(); // instrument -> Ticker (rolling 24h trade stats)
   }
 
   getEngine(instrument) {
     if (!this.engines.has(instrument)) {
-      const engine = new MatchingEngine(instrument);
+      const spec = instrumentRegistry.require(instrument);
+      const engine = new MatchingEngine(instrument, {
+        tickSize: spec.tick_size,
+        lotSize: spec.lot_size,
+        postOnlyMode: config.matching.postOnlyMode,
+        sequence: this.commandSequences.get(instrument) || 0,
+        journal: (command) => postgres.saveCommand(command),
+        onBookDelta: (delta) => this._publishBookDelta(delta),
+        onL3Events: (batch) => this._publishL3Events(batch),
+        circuitBreaker: circuitBreakerService.getEngineSettings(instrument),
+        onPhaseChange: (event) => this._handlePhaseChange(event),
+      });
       this.engines.set(instrument, engine);
       logger.info(`Created matching engine for ${instrument}`);
+
+      // Recovery logs the settings once the book is rebuilt; a new engine logs them as its first command
+      if (!this.recovering) {
+        this._logCircuitBreaker(engine);
+      }
     }
     return this.engines.get(instrument);
   }
 
+  /**
+   * Log the circuit breaker settings an engine runs with, so a replay of the log
+   * uses the settings in force at the time rather than the current ones (non-blocking)
+   * A recovered engine keeps the reference price it rebuilt unless the settings fix one
+   */
+  _logCircuitBreaker(engine, { recovered = false } = {}) {
+    const { reference_price, ...settings } = circuitBreakerService.getEngineSettings(engine.instrument);
+    const logged = recovered && reference_price === null ? settings : { ...settings, reference_price };
+    return engine.configureCircuitBreaker(logged)
+      .catch(err => logger.error('Error logging circuit breaker settings', { instrument: engine.instrument, error: err.message }));
+  }
+
   async initialize() {
-    // Load existing open orders from database
-    const instruments = await this._loadOpenOrders();
+    // Instruments, and where each command log left off, must be known before any engine is created
+    await instrumentRegistry.load();
+    await riskEngine.load();
+    riskEngine.setBalanceSource((clientId, asset) => accountService.getAvailable(clientId, asset));
+    await feeService.load();
+    await positionService.load();
+    await stpService.load();
+    await circuitBreakerService.load();
+    this.commandSequences = await postgres.getCommandSequences();
+
+    // Rebuild books from snapshots + command log, or from open orders in the database
+    this.recovering = true;
+    const instruments = await this._recoverBooks();
+    this.recovering = false;
+
+    // Seed 24h ticker stats from the 1m candles
+    await this._loadTickers();
     
     // Start snapshot interval
     this._startSnapshotInterval();
+
+    // Start GTD/DAY expiry sweep
+    this._startExpiryInterval();
+
+    // Keep fee tiers' 30-day volumes current
+    this._startFeeVolumeInterval();
+
+    // Reopen books halted by their circuit breakers
+    this._startCircuitBreakerInterval();
+
+    // Retry trades whose settlement failed
+    this._startSettlementInterval();
     
     logger.info('Exchange service initialized', { instruments });
   }
 
-  async _loadOpenOrders() {
+  /**
+   * Rebuild every instrument's books: from its latest order-level snapshot plus the
+   * commands logged after it, or, with no snapshot yet, from the open orders in Postgres
+   */
+  async _recoverBooks() {
+    let instruments;
     try {
-      // For now, just load default instrument
-      const instrument = config.matching.defaultInstrument;
-      const openOrders = await postgres.getOpenOrders(instrument);
-      
-      const engine = this.getEngine(instrument);
-      
-      // Rebuild order book from open orders
-      for (const orderRow of openOrders) {
-        const order = Order.fromDB(orderRow);
-        if (order.is_open) {
-          engine.orderBook.addOrder(order);
-        }
-      }
-      
-      logger.info(`Loaded ${openOrders.length} open orders for ${instrument}`);
-      return [instrument];
+      const [withSnapshots, withOpenOrders] = await Promise.all([
+        postgres.getSnapshotInstruments(),
+        postgres.getInstrumentsWithOpenOrders(),
+      ]);
+      instruments = [...new Set([...withSnapshots, ...withOpenOrders])].sort();
     } catch (error) {
-      logger.error('Error loading open orders', { error: error.message });
+      logger.error('Error finding instruments to recover', { error: error.message });
+      this.recovery.set('*', { status: 'failed', error: error.message });
       return [];
     }
+
+    const recovered = [];
+    for (const instrument of instruments) {
+      try {
+        const engine = this.getEngine(instrument);
+        const snapshot = await postgres.getLatestOrderBookSnapshot(instrument);
+        const result = snapshot
+          ? await this._restoreFromSnapshot(engine, snapshot)
+          : await this._loadOpenOrders(engine);
+
+        this.recovery.set(instrument, {
+          status: 'recovered',
+          ...result,
+          sequence: engine.sequence,
+          resting: engine.orderBook.orders.size,
+          stops: engine.stopBook.orders.size,
+        });
+        recovered.push(instrument);
+        await this._logCircuitBreaker(engine, { recovered: true });
+
+        // Next startup begins from here rather than replaying the same tail again
+        await this._saveSnapshot(instrument, engine);
+      } catch (error) {
+        this.recovery.set(instrument, { status: 'failed', error: error.message });
+        logger.error('Error recovering order book', { instrument, error: error.message });
+      }
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Restore a snapshot and replay the commands logged after it, without side effects:
+   * their trades and order updates were persisted when they first ran
+   */
+  async _restoreFromSnapshot(engine, row) {
+    const logged = engine.sequence;
+    engine.restoreSnapshot(row.snapshot_data);
+
+    const snapshotSequence = engine.sequence;
+    this.snapshotSequences.set(engine.instrument, snapshotSequence);
+
+    const commands = await postgres.getCommands(engine.instrument, { afterSequence: snapshotSequence });
+    const { applied, failed } = await applyCommands(engine, commands);
+
+    if (engine.sequence !== logged) {
+      throw new Error(`Recovered ${engine.instrument} to sequence ${engine.sequence} but the command log ends at ${logged}`);
+    }
+
+    logger.info(`Restored ${engine.instrument} from snapshot at sequence ${snapshotSequence} and replayed ${applied} commands`);
+
+    return {
+      source: 'snapshot',
+      snapshot_sequence: snapshotSequence,
+      replayed_commands: applied,
+      failed_commands: failed,
+    };
+  }
+
+  /**
+   * Rebuild an instrument's books from the open orders in Postgres,
+   * in original price-time order (created_at, then insertion sequence)
+   */
+  async _loadOpenOrders(engine) {
+    const openOrders = await postgres.getOpenOrders(engine.instrument);
+
+    let restored = 0;
+    for (const orderRow of openOrders) {
+      if (engine.restoreOrder(Order.fromDB(orderRow))) restored++;
+    }
+
+    // Stop triggers and price bands need the last trade price
+    const [lastTrade] = await postgres.getRecentTrades(engine.instrument, 1);
+    if (lastTrade) {
+      engine.lastTradePrice = Trade.fromDB(lastTrade).price;
+    }
+
+    logger.info(`Loaded ${restored} of ${openOrders.length} open orders for ${engine.instrument}`);
+
+    return {
+      source: 'orders',
+      open_orders: openOrders.length,
+      restored,
+      skipped: openOrders.length - restored,
+    };
+  }
+
+  async _loadTickers() {
+    const now = new Date();
+    for (const { instrument } of instrumentRegistry.list()) {
+      try {
+        const candles = await candleService.getCandles(instrument, '1m', new Date(now.getTime() - 24 * 60 * 60 * 1000), now, 1440);
+        this._getTicker(instrument).seed(candles);
+      } catch (error) {
+        logger.error('Error loading ticker', { instrument, error: error.message });
+      }
+    }
+  }
+
+  _getTicker(instrument) {
+    if (!this.tickers.has(instrument)) {
+      this.tickers.set(instrument, new Ticker(instrument));
+    }
+    return this.tickers.get(instrument);
+  }
+
+  /**
+   * Per-instrument results of the startup recovery
+   */
+  getRecoveryStatus() {
+    return Object.fromEntries(this.recovery);
   }
 
   _startSnapshotInterval() {
     this.snapshotInterval = setInterval(async () => {
       for (const [instrument, engine] of this.engines.entries()) {
         try {
-          const snapshot = engine.getOrderBookSnapshot(20);
-          await postgres.saveOrderBookSnapshot(instrument, snapshot);
-          await kafkaProducer.sendOrderBookUpdate(instrument, snapshot);
+          await this._saveSnapshot(instrument, engine);
+          await kafkaProducer.sendOrderBookUpdate(instrument, engine.getOrderBookSnapshot(20));
         } catch (error) {
           logger.error('Error saving snapshot', { instrument, error: error.message });
         }
@@ -82,6 +275,291 @@ export class ExchangeService {
     }, config.matching.snapshotIntervalMs);
   }
 
+  /**
+   * Persist an order-level snapshot tagged with the engine's command sequence;
+   * skipped when no command has run since the last one unless forced
+   */
+  async _saveSnapshot(instrument, engine, { force = false } = {}) {
+    if (!force && this.snapshotSequences.get(instrument) === engine.sequence) {
+      return null;
+    }
+
+    const snapshot = await engine.snapshot();
+    await postgres.saveOrderBookSnapshot(instrument, snapshot, snapshot.sequence);
+    this.snapshotSequences.set(instrument, snapshot.sequence);
+    return snapshot;
+  }
+
+  _startFeeVolumeInterval() {
+    this.feeVolumeInterval = setInterval(() => {
+      feeService.refreshVolumes().catch(err => logger.error('Error refreshing fee volumes', { error: err.message }));
+    }, config.fees.volumeRefreshMs);
+  }
+
+  _startExpiryInterval() {
+    this.expiryInterval = setInterval(() => {
+      this.expireOrders().catch(err => logger.error('Error expiring orders', { error: err.message }));
+    }, config.matching.expirySweepIntervalMs);
+  }
+
+  /**
+   * Expire every book's GTD/DAY orders whose expire_at has passed; closing them releases their holds
+   */
+  async expireOrders(now = new Date()) {
+    for (const [instrument, engine] of this.engines.entries()) {
+      try {
+        if (!engine.hasExpiredOrders(now)) continue;
+
+        const expired = await engine.expireOrders(now);
+
+        for (const order of expired) {
+          await this._handleOrderUpdate(order);
+        }
+        this._publishOrderBook(instrument, engine);
+
+        logger.info('Expired orders', { instrument, count: expired.length });
+      } catch (error) {
+        logger.error('Error expiring orders', { instrument, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Move each halted book on once its time is up: to the reopening auction after the
+   * cooldown, then back to continuous matching when the auction uncrosses
+   */
+  _startCircuitBreakerInterval() {
+    this.circuitBreakerInterval = setInterval(async () => {
+      for (const [instrument, engine] of this.engines.entries()) {
+        if (engine.phase === 'continuous' || this._phaseEndsAt(instrument, engine.phase, engine.phaseChangedAt) > new Date()) {
+          continue;
+        }
+        try {
+          await this.resumeTrading(instrument);
+        } catch (error) {
+          logger.error('Error reopening after circuit breaker', { instrument, phase: engine.phase, error: error.message });
+        }
+      }
+    }, config.circuitBreaker.checkIntervalMs);
+  }
+
+  _startSettlementInterval() {
+    this.settlementInterval = setInterval(() => {
+      this.retrySettlements().catch(err => logger.error('Error retrying settlements', { error: err.message }));
+    }, config.matching.settlementRetryMs);
+  }
+
+  /**
+   * Settle the trades whose settlement failed, oldest first, stopping at the first that fails again
+   * Resolves with the number still unsettled
+   */
+  async retrySettlements() {
+    for (const { trade } of [...this.unsettledTrades.values()]) {
+      if (!await this._settleTrade(trade)) break;
+    }
+    return this.unsettledTrades.size;
+  }
+
+  /**
+   * Trades executed but not yet settled, for the health check
+   */
+  getUnsettledTrades() {
+    return [...this.unsettledTrades.values()].map(({ trade, attempts, error }) => ({
+      trade_id: trade.trade_id,
+      instrument: trade.instrument,
+      attempts,
+      error,
+    }));
+  }
+
+  /**
+   * When a halted book's auction starts, or an auction uncrosses (null while continuous)
+   */
+  _phaseEndsAt(instrument, phase, since) {
+    const { cooldown_seconds, auction_seconds } = circuitBreakerService.getSettings(instrument);
+    const seconds = { halted: cooldown_seconds, auction: auction_seconds }[phase];
+    return seconds === undefined ? null : new Date(new Date(since).getTime() + seconds * 1000);
+  }
+
+  /**
+   * Next session end (config.matching.sessionEnd, HH:MM UTC) after the given time
+   */
+  _nextSessionEnd(from = new Date()) {
+    const [hours, minutes] = config.matching.sessionEnd.split(':').map(Number);
+    const sessionEnd = new Date(from);
+    sessionEnd.setUTCHours(hours, minutes, 0, 0);
+
+    if (sessionEnd <= from) {
+      sessionEnd.setUTCDate(sessionEnd.getUTCDate() + 1);
+    }
+    return sessionEnd;
+  }
+
+  /**
+   * Charge fees on, record metrics for, persist and publish an executed trade
+   * Resolves once the trade is settled, or is queued for retry if settlement failed
+   */
+  _handleTrade(trade) {
+    // Before anything reads the trade, so responses, settlement and fills all carry the fees
+    feeService.applyFees(trade);
+
+    this._getTicker(trade.instrument).addTrade(trade);
+
+    // Track metrics (synchronous)
+    tradesTotal.inc({ instrument: trade.instrument });
+    tradeVolume.inc({ instrument: trade.instrument }, toNumber(mulDecimal(trade.quantity, trade.price)));
+    ordersMatchedTotal.inc({ instrument: trade.instrument });
+
+    const settled = this._settleTrade(trade);
+
+    this._publishFills(trade);
+
+    // Publish to Kafka (non-blocking)
+    kafkaProducer.sendTrade(trade).catch(err => logger.error('Error sending trade to Kafka', { error: err.message }));
+
+    // Publish to Redis pub/sub (non-blocking)
+    redis.publish(`trades:${trade.instrument}`, trade.toPublicJSON()).catch(err => logger.error('Error publishing trade', { error: err.message }));
+
+    return settled;
+  }
+
+  /**
+   * Save the trade with its balance settlement and both position updates in one transaction,
+   * then publish the positions and fold the trade into the candles
+   * A trade that fails to settle stays in unsettledTrades, and the health check unhealthy,
+   * until retrySettlements settles it; resolves with whether it is settled
+   */
+  async _settleTrade(trade) {
+    let settlement;
+    try {
+      settlement = await accountService.settleTrade(trade);
+    } catch (error) {
+      const attempts = (this.unsettledTrades.get(trade.trade_id)?.attempts || 0) + 1;
+      this.unsettledTrades.set(trade.trade_id, { trade, attempts, error: error.message });
+      tradeSettlementFailuresTotal.inc({ instrument: trade.instrument });
+      logger.error('Error settling trade, will retry', { trade_id: trade.trade_id, attempts, error: error.message });
+      return false;
+    }
+
+    this.unsettledTrades.delete(trade.trade_id);
+    // Null when an earlier attempt already saved it
+    if (settlement) {
+      for (const position of settlement.positions) {
+        this._publishPrivate(position.client_id, 'my_positions', this.formatPosition(position));
+      }
+      candleService.recordTrade(trade).catch(err => logger.error('Error recording trade in candles', { trade_id: trade.trade_id, error: err.message }));
+    }
+    return true;
+  }
+
+  /**
+   * Publish a circuit breaker halt, auction start or reopening (non-blocking)
+   * Phase changes replayed during startup recovery went out when they first happened
+   */
+  _handlePhaseChange(event) {
+    if (this.recovering) return;
+
+    const message = { ...event, ends_at: this._phaseEndsAt(event.instrument, event.phase, event.timestamp) };
+    logger.info('Trading phase changed', message);
+
+    kafkaProducer.sendTradingStatus(message).catch(err => logger.error('Error sending trading status to Kafka', { error: err.message }));
+    redis.publish(`trading_status:${event.instrument}`, message).catch(err => logger.error('Error publishing trading status', { error: err.message }));
+  }
+
+  /**
+   * Persist and publish an order state change
+   */
+  async _handleOrderUpdate(order, eventType = `order_${order.status}`) {
+    // Update order in database (critical - must wait for persistence)
+    await postgres.saveOrder(order);
+
+    // A closed order no longer needs its held funds
+    if (!order.is_open) {
+      accountService.releaseHold(order).catch(err => logger.error('Error releasing hold', { order_id: order.order_id, error: err.message }));
+    }
+
+    // Save order event (can be async)
+    postgres.saveOrderEvent({
+      order_id: order.order_id,
+      event_type: eventType,
+      event_data: order.toJSON(),
+      timestamp: new Date(),
+    }).catch(err => logger.error('Error saving order event', { error: err.message }));
+
+    // Publish to Kafka (non-blocking)
+    kafkaProducer.sendOrder(order).catch(err => logger.error('Error sending order to Kafka', { error: err.message }));
+
+    // Publish to Redis pub/sub (non-blocking)
+    redis.publish(`orders:${order.instrument}`, order.toJSON()).catch(err => logger.error('Error publishing order', { error: err.message }));
+    this._publishPrivate(order.client_id, 'my_orders', order.toJSON());
+  }
+
+  /**
+   * Publish to one client's private WebSocket channel (my_orders, my_fills or my_positions) on
+   * Redis channel private:<channel>:<client_id>, so it reaches the client's connections on any server
+   */
+  _publishPrivate(clientId, channel, data) {
+    redis.publish(`private:${channel}:${clientId}`, data).catch(err => logger.error('Error publishing private message', { channel, error: err.message }));
+  }
+
+  /**
+   * Publish each side of a trade to its owner's my_fills channel
+   */
+  _publishFills(trade) {
+    const { quote_asset } = instrumentRegistry.require(trade.instrument);
+
+    for (const side of ['buy', 'sell']) {
+      const clientId = side === 'buy' ? trade.buy_client_id : trade.sell_client_id;
+      if (!clientId) continue;
+
+      this._publishPrivate(clientId, 'my_fills', {
+        trade_id: trade.trade_id,
+        order_id: side === 'buy' ? trade.buy_order_id : trade.sell_order_id,
+        instrument: trade.instrument,
+        side,
+        price: formatDecimal(trade.price),
+        quantity: formatDecimal(trade.quantity),
+        liquidity: trade.aggressor_side === side ? 'taker' : 'maker',
+        fee: formatDecimal(trade.feeFor(side)),
+        fee_asset: quote_asset,
+        timestamp: trade.timestamp,
+      });
+    }
+  }
+
+  /**
+   * Publish an L2 delta (non-blocking); called inside the engine queue, so deltas go out in sequence order
+   */
+  _publishBookDelta(delta) {
+    redis.publish(`l2_delta:${delta.instrument}`, delta).catch(err => logger.error('Error publishing L2 delta', { error: err.message }));
+  }
+
+  /**
+   * Publish a batch of order-level events (non-blocking), like _publishBookDelta
+   */
+  _publishL3Events(batch) {
+    redis.publish(`l3:${batch.instrument}`, batch).catch(err => logger.error('Error publishing L3 events', { error: err.message }));
+    kafkaProducer.sendL3Events(batch).catch(err => logger.error('Error sending L3 events to Kafka', { error: err.message }));
+  }
+
+  /**
+   * Publish the current top-of-book snapshot (non-blocking)
+   */
+  _publishOrderBook(instrument, engine) {
+    orderbookDepth.set({ instrument, side: 'buy' }, engine.orderBook.getDepth('buy'));
+    orderbookDepth.set({ instrument, side: 'sell' }, engine.orderBook.getDepth('sell'));
+
+    const snapshot = engine.getOrderBookSnapshot(20);
+    kafkaProducer.sendOrderBookUpdate(instrument, snapshot).catch(err => logger.error('Error sending orderbook update', { error: err.message }));
+    redis.publish(`orderbook:${instrument}`, snapshot).catch(err => logger.error('Error publishing orderbook', { error: err.message }));
+    this._publishTicker(instrument);
+    return snapshot;
+  }
+
+  _publishTicker(instrument) {
+    redis.publish(`ticker:${instrument}`, this.getTicker(instrument)).catch(err => logger.error('Error publishing ticker', { error: err.message }));
+  }
+
   async submitOrder(orderData, idempotencyKey = null) {
     const startTime = Date.now();
 
@@ -101,24 +579,69 @@ export class ExchangeService {
     try {
       this._validateOrder(orderData);
     } catch (error) {
-      ordersRejectedTotal.inc({ reason: error.message });
+      ordersRejectedTotal.inc({ reason: error.reason || error.message });
       throw error;
     }
 
+    const timeInForce = orderData.time_in_force || 'GTC';
+    const instrument = orderData.instrument || config.matching.defaultInstrument;
+
+    // Reduce-only orders are capped at what is left of the client's position
+    let quantity = orderData.quantity;
+    if (orderData.reduce_only) {
+      try {
+        quantity = await this._reduceOnlyQuantity(orderData.client_id, instrument, orderData.side, quantity);
+      } catch (error) {
+        ordersRejectedTotal.inc({ reason: error.message });
+        throw error;
+      }
+    }
+
+    // A quote_quantity order is estimated at what it buys from the book now, for risk checks
+    // and holds; the engine sizes it again when it matches
+    const quoteQuantity = this._parseAmount(orderData.quote_quantity, 'quote_quantity');
+    if (quoteQuantity !== null) {
+      const { lot_size } = instrumentRegistry.require(instrument);
+      const protectionPrice = this._parseAmount(orderData.protection_price, 'protection_price');
+      quantity = this.getEngine(instrument).orderBook.getQuoteQuantity('buy', quoteQuantity, protectionPrice, lot_size);
+    }
+
     // Create order
     const order = new Order({
       order_id: orderData.order_id || uuidv4(),
       client_id: orderData.client_id,
-      instrument: orderData.instrument || config.matching.defaultInstrument,
+      instrument,
       side: orderData.side,
       type: orderData.type,
       price: orderData.price,
-      quantity: orderData.quantity,
+      stop_price: orderData.stop_price,
+      quantity,
+      quote_quantity: quoteQuantity,
+      protection_price: orderData.protection_price,
+      max_slippage_percent: orderData.max_slippage_percent,
+      market_remainder: orderData.market_remainder || 'cancel',
       filled_quantity: 0,
-      status: 'open',
+      display_quantity: orderData.display_quantity || null,
+      time_in_force: timeInForce,
+      expire_at: timeInForce === 'DAY' ? this._nextSessionEnd() : orderData.expire_at,
+      post_only: Boolean(orderData.post_only),
+      reduce_only: Boolean(orderData.reduce_only),
+      // The order's own self-trade prevention settings, else its account's, else the server default
+      ...stpService.resolve(orderData.client_id, orderData),
       idempotency_key: idempotencyKey,
     });
 
+    // Pre-trade risk checks, before anything is persisted
+    await this._checkRisk(order);
+
+    // Hold what the order can spend; released once it closes
+    try {
+      await accountService.holdFunds(order, this._requiredHold(order, order.quantity));
+    } catch (error) {
+      ordersRejectedTotal.inc({ reason: error.reason || error.message });
+      throw error;
+    }
+
     // Track metrics
     ordersReceivedTotal.inc({
       type: order.type,
@@ -126,88 +649,64 @@ export class ExchangeService {
       instrument: order.instrument,
     });
 
-    // Save order to database (critical - must wait)
-    await postgres.saveOrder(order);
+    const engine = this.getEngine(order.instrument);
+    const trades = [];
+    const settlements = [];
+    const orderUpdates = [];
 
-    // Save idempotency key (critical - must wait)
-    if (idempotencyKey) {
-      await redis.setIdempotencyKey(idempotencyKey, order.order_id);
-    }
+    try {
+      // Save order to database (critical - must wait)
+      await postgres.saveOrder(order);
 
-    // Save order event (can be async)
-    postgres.saveOrderEvent({
-      order_id: order.order_id,
-      event_type: 'order_created',
-      event_data: order.toJSON(),
-      timestamp: new Date(),
-    }).catch(err => logger.error('Error saving order event', { error: err.message }));
+      // Save idempotency key (critical - must wait)
+      if (idempotencyKey) {
+        await redis.setIdempotencyKey(idempotencyKey, order.order_id);
+      }
 
-    // Publish to Kafka (non-blocking)
-    kafkaProducer.sendOrder(order).catch(err => logger.error('Error sending order to Kafka', { error: err.message }));
-    kafkaProducer.sendOrderEvent({
-      order_id: order.order_id,
-      event_type: 'order_created',
-      event_data: order.toJSON(),
-    }).catch(err => logger.error('Error sending order event to Kafka', { error: err.message }));
+      // Save order event (can be async)
+      postgres.saveOrderEvent({
+        order_id: order.order_id,
+        event_type: 'order_created',
+        event_data: order.toJSON(),
+        timestamp: new Date(),
+      }).catch(err => logger.error('Error saving order event', { error: err.message }));
 
-    // Process order through matching engine
-    const engine = this.getEngine(order.instrument);
-    
-    const trades = [];
-    const orderUpdates = [];
+      // Publish to Kafka (non-blocking)
+      kafkaProducer.sendOrder(order).catch(err => logger.error('Error sending order to Kafka', { error: err.message }));
+      kafkaProducer.sendOrderEvent({
+        order_id: order.order_id,
+        event_type: 'order_created',
+        event_data: order.toJSON(),
+      }).catch(err => logger.error('Error sending order event to Kafka', { error: err.message }));
 
-    await engine.processOrder(
-      order,
-      async (trade) => {
-        trades.push(trade);
-        
-        // Track metrics (synchronous)
-        tradesTotal.inc({ instrument: trade.instrument });
-        tradeVolume.inc({ instrument: trade.instrument }, trade.quantity * trade.price);
-        ordersMatchedTotal.inc({ instrument: trade.instrument });
-        
-        // Save trade (critical - must wait for persistence)
-        postgres.saveTrade(trade).catch(err => logger.error('Error saving trade', { error: err.message }));
-        
-        // Update client positions (can be async)
-        this._updatePositions(trade).catch(err => logger.error('Error updating positions', { error: err.message }));
-        
-        // Publish to Kafka (non-blocking)
-        kafkaProducer.sendTrade(trade).catch(err => logger.error('Error sending trade to Kafka', { error: err.message }));
-        
-        // Publish to Redis pub/sub (non-blocking)
-        redis.publish(`trades:${trade.instrument}`, trade.toJSON()).catch(err => logger.error('Error publishing trade', { error: err.message }));
-      },
-      async (updatedOrder) => {
-        orderUpdates.push(updatedOrder);
-        
-        // Update order in database (critical - must wait for persistence)
-        await postgres.saveOrder(updatedOrder);
-        
-        // Save order event (can be async)
-        postgres.saveOrderEvent({
-          order_id: updatedOrder.order_id,
-          event_type: `order_${updatedOrder.status}`,
-          event_data: updatedOrder.toJSON(),
-          timestamp: new Date(),
-        }).catch(err => logger.error('Error saving order event', { error: err.message }));
-        
-        // Publish to Kafka (non-blocking)
-        kafkaProducer.sendOrder(updatedOrder).catch(err => logger.error('Error sending order to Kafka', { error: err.message }));
-        
-        // Publish to Redis pub/sub (non-blocking)
-        redis.publish(`orders:${updatedOrder.instrument}`, updatedOrder.toJSON()).catch(err => logger.error('Error publishing order', { error: err.message }));
+      // Process order through matching engine
+      await engine.processOrder(
+        order,
+        async (trade) => {
+          trades.push(trade);
+          settlements.push(this._handleTrade(trade));
+        },
+        async (updatedOrder, eventType) => {
+          orderUpdates.push(updatedOrder);
+          await this._handleOrderUpdate(updatedOrder, eventType);
+        }
+      );
+      // Respond with the balances and positions already updated
+      await Promise.all(settlements);
+    } catch (error) {
+      // An order that never reached the book and traded nothing has nothing else to release its hold
+      if (trades.length === 0 && !engine.getOrder(order.order_id)) {
+        await accountService.releaseHold(order).catch(err => logger.error('Error releasing hold', { order_id: order.order_id, error: err.message }));
       }
-    );
+      throw error;
+    }
 
     // Track latency
     const latency = (Date.now() - startTime) / 1000;
     orderLatency.observe({ type: order.type, side: order.side }, latency);
 
     // Publish orderbook update (non-blocking)
-    const snapshot = engine.getOrderBookSnapshot(20);
-    kafkaProducer.sendOrderBookUpdate(order.instrument, snapshot).catch(err => logger.error('Error sending orderbook update', { error: err.message }));
-    redis.publish(`orderbook:${order.instrument}`, snapshot).catch(err => logger.error('Error publishing orderbook', { error: err.message }));
+    const snapshot = this._publishOrderBook(order.instrument, engine);
 
     logger.info('Order submitted', {
       order_id: order.order_id,
@@ -221,29 +720,24 @@ export class ExchangeService {
     return { order, trades, orderbook: snapshot };
   }
 
-  async cancelOrder(orderId, instrument = null) {
-    // Find instrument if not provided
-    if (!instrument) {
-      instrument = config.matching.defaultInstrument;
-    }
-
-    const engine = this.getEngine(instrument);
-    const order = engine.cancelOrder(orderId);
+  /**
+   * caller is the authenticated { key_id, client_id, scopes }; null for internal calls
+   */
+  async cancelOrder(orderId, instrument = null, caller = null) {
+    const engine = instrument ? this.getEngine(instrument) : this._findEngine(orderId);
+    const resting = engine?.getOrder(orderId);
 
-    if (!order) {
-      // Try to load from database
-      const orderRow = await postgres.getOrder(orderId);
-      if (!orderRow) {
-        throw new Error(`Order ${orderId} not found`);
-      }
-      const dbOrder = Order.fromDB(orderRow);
-      dbOrder.cancel();
-      await postgres.saveOrder(dbOrder);
-      return dbOrder;
+    if (!resting) {
+      return this._cancelStoredOrder(orderId, caller);
     }
+    instrument = engine.instrument;
+
+    this._authorize(caller, resting.client_id, 'cancel', 'order', orderId);
+    const order = await engine.cancelOrder(orderId);
 
     // Update in database
     await postgres.saveOrder(order);
+    await accountService.releaseHold(order);
 
     // Save order event
     await postgres.saveOrderEvent({
@@ -255,29 +749,199 @@ export class ExchangeService {
 
     // Publish to Kafka
     await kafkaProducer.sendOrder(order);
+    this._publishPrivate(order.client_id, 'my_orders', order.toJSON());
     
     // Publish orderbook update
     const snapshot = engine.getOrderBookSnapshot(20);
     await kafkaProducer.sendOrderBookUpdate(instrument, snapshot);
     await redis.publish(`orderbook:${instrument}`, snapshot);
+    this._publishTicker(instrument);
 
     logger.info('Order cancelled', { order_id: orderId, instrument });
 
     return order;
   }
 
-  async getOrder(orderId) {
-    // Try in-memory first
+  /**
+   * Cancel an order that is open in Postgres but in no engine's books (e.g. one that did not
+   * restore at startup); an order resting in another instrument's engine is not found here
+   */
+  async _cancelStoredOrder(orderId, caller) {
+    const orderRow = this._findEngine(orderId) ? null : await postgres.getOrder(orderId);
+    if (!orderRow) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+
+    const dbOrder = Order.fromDB(orderRow);
+    this._authorize(caller, dbOrder.client_id, 'cancel', 'order', orderId);
+    if (!dbOrder.is_open) {
+      const error = new Error(`Order ${orderId} is already ${dbOrder.status}`);
+      error.status = 409;
+      throw error;
+    }
+
+    dbOrder.cancel();
+    await postgres.saveOrder(dbOrder);
+    await accountService.releaseHold(dbOrder);
+    this._publishPrivate(dbOrder.client_id, 'my_orders', dbOrder.toJSON());
+    return dbOrder;
+  }
+
+  async amendOrder(orderId, changes, instrument = null, caller = null) {
+    const engine = instrument ? this.getEngine(instrument) : this._findEngine(orderId);
+    if (!engine) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+
+    const existing = engine.getOrder(orderId);
+    if (!existing) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+    this._authorize(caller, existing.client_id, 'amend', 'order', orderId);
+    const amendment = this._validateAmend(existing, changes);
+    const amended = {
+      order_id: existing.order_id,
+      client_id: existing.client_id,
+      instrument: existing.instrument,
+      side: existing.side,
+      type: existing.type,
+      price: amendment.price ?? existing.price,
+      stop_price: existing.stop_price,
+      protection_price: existing.protection_price,
+      quantity: amendment.quantity ?? existing.quantity,
+      quote_quantity: existing.quote_quantity,
+      reduce_only: existing.reduce_only,
+    };
+    await this._checkRisk(amended, existing);
+
+    // Resize the hold before amending, and put it back if the amendment fails
+    const previousHold = this._requiredHold(existing, existing.remaining_quantity);
+    await accountService.holdFunds(amended, this._requiredHold(amended, amended.quantity - existing.filled_quantity));
+
+    const trades = [];
+    const settlements = [];
+    let order;
+    try {
+      order = await engine.amendOrder(
+        orderId,
+        amendment,
+        async (trade) => {
+          trades.push(trade);
+          settlements.push(this._handleTrade(trade));
+        },
+        async (updatedOrder, eventType) => {
+          await this._handleOrderUpdate(updatedOrder, eventType);
+        }
+      );
+    } catch (error) {
+      await accountService.holdFunds(existing, previousHold);
+      throw error;
+    }
+    await Promise.all(settlements);
+
+    const snapshot = this._publishOrderBook(engine.instrument, engine);
+
+    logger.info('Order amended', {
+      order_id: orderId,
+      instrument: engine.instrument,
+      price: formatDecimal(order.price),
+      quantity: formatDecimal(order.quantity),
+      trades_count: trades.length,
+    });
+
+    return { order, trades, orderbook: snapshot };
+  }
+
+  _findEngine(orderId) {
     for (const engine of this.engines.values()) {
-      const order = engine.getOrder(orderId);
-      if (order) {
-        return order;
+      if (engine.getOrder(orderId)) {
+        return engine;
       }
     }
+    return null;
+  }
+
+  /**
+   * Let a caller act on a resource only if it belongs to the caller's client, or the caller has the admin scope
+   * Denied attempts are audit-logged and throw an error with status 403
+   */
+  _authorize(caller, ownerClientId, action, resourceType, resourceId) {
+    if (!caller || caller.client_id === ownerClientId) {
+      return;
+    }
+
+    const entry = {
+      key_id: caller.key_id,
+      client_id: caller.client_id,
+      action,
+      resource_type: resourceType,
+      resource_id: resourceId,
+      owner_client_id: ownerClientId,
+    };
+
+    if (caller.scopes?.includes('admin')) {
+      logger.info('Admin override of ownership check', entry);
+      return;
+    }
+
+    logger.warn('Access denied', entry);
+    postgres.saveAccessDenial({ ...entry, timestamp: new Date() }).catch(err =>
+      logger.error('Error saving access denial', { error: err.message })
+    );
 
-    // Fallback to database
-    const orderRow = await postgres.getOrder(orderId);
-    return orderRow ? Order.fromDB(orderRow) : null;
+    const error = new Error(`Not authorized to ${action} ${resourceType} ${resourceId}`);
+    error.status = 403;
+    throw error;
+  }
+
+  _validateAmend(order, { price, quantity }) {
+    if (price === undefined && quantity === undefined) {
+      throw new Error('price or quantity is required');
+    }
+    if (price !== undefined && !['limit', 'stop_limit'].includes(order.type)) {
+      throw new Error('price can only be amended on limit orders');
+    }
+
+    const newPrice = this._parseAmount(price, 'price');
+    const newQuantity = this._parseAmount(quantity, 'quantity');
+
+    if (price !== undefined && (newPrice === null || newPrice <= 0n)) {
+      throw new Error('price must be positive');
+    }
+    if (quantity !== undefined && (newQuantity === null || newQuantity <= 0n)) {
+      throw new Error('quantity must be positive');
+    }
+
+    // Only a price change is checked against the price band
+    instrumentRegistry.require(order.instrument).checkOrder({
+      type: order.type,
+      price: newPrice ?? order.price,
+      stop_price: order.stop_price,
+      quantity: newQuantity ?? order.quantity,
+      display_quantity: order.display_quantity,
+      post_only: order.post_only,
+    }, newPrice !== null ? this._lastTradePrice(order.instrument) : null);
+
+    return { price: newPrice ?? undefined, quantity: newQuantity ?? undefined };
+  }
+
+
+  async getOrder(orderId, caller = null) {
+    // Try in-memory first, then fall back to the database
+    let order = null;
+    for (const engine of this.engines.values()) {
+      order = engine.getOrder(orderId);
+      if (order) break;
+    }
+    if (!order) {
+      const orderRow = await postgres.getOrder(orderId);
+      order = orderRow ? Order.fromDB(orderRow) : null;
+    }
+
+    if (order) {
+      this._authorize(caller, order.client_id, 'read', 'order', orderId);
+    }
+    return order;
   }
 
   async getOrderBook(instrument, levels = 20) {
@@ -285,6 +949,38 @@ export class ExchangeService {
     return engine.getOrderBookSnapshot(levels);
   }
 
+  /**
+   * Full-depth aggregated book with the L2 delta sequence it reflects
+   */
+  async getL2Snapshot(instrument) {
+    const engine = this.getEngine(instrument);
+    return engine.l2Snapshot();
+  }
+
+  /**
+   * Every resting order in queue order with the L3 sequence it reflects
+   */
+  async getL3Snapshot(instrument) {
+    const engine = this.getEngine(instrument);
+    return engine.l3Snapshot();
+  }
+
+  /**
+   * Best bid/ask with sizes, last price and rolling 24h stats
+   */
+  getTicker(instrument) {
+    const engine = this.getEngine(instrument);
+    return this._getTicker(instrument).toJSON({
+      bestBid: engine.orderBook.getTopLevel('buy'),
+      bestAsk: engine.orderBook.getTopLevel('sell'),
+      lastPrice: engine.lastTradePrice,
+    });
+  }
+
+  getTickers() {
+    return instrumentRegistry.list().map(({ instrument }) => this.getTicker(instrument));
+  }
+
   async getRecentTrades(instrument, limit = 50) {
     const engine = this.getEngine(instrument);
     const inMemoryTrades = engine.getRecentTrades(limit);
@@ -300,15 +996,7 @@ export class ExchangeService {
     }
     
     for (const tradeRow of dbTrades) {
-      const trade = {
-        trade_id: tradeRow.trade_id,
-        buy_order_id: tradeRow.buy_order_id,
-        sell_order_id: tradeRow.sell_order_id,
-        instrument: tradeRow.instrument,
-        price: parseFloat(tradeRow.price),
-        quantity: parseFloat(tradeRow.quantity),
-        timestamp: tradeRow.timestamp,
-      };
+      const trade = Trade.fromDB(tradeRow);
       tradeMap.set(trade.trade_id, trade);
     }
     
@@ -317,67 +1005,369 @@ export class ExchangeService {
       .slice(0, limit);
   }
 
+  /**
+   * Every instrument's circuit breaker settings and trading phase
+   */
+  getCircuitBreakers() {
+    return instrumentRegistry.list().map(({ instrument }) => this.getCircuitBreaker(instrument));
+  }
+
+  getCircuitBreaker(instrument) {
+    const engine = this.engines.get(instrument);
+    const phase = engine?.phase ?? 'continuous';
+    return {
+      instrument,
+      settings: circuitBreakerService.getSettings(instrument),
+      phase,
+      phase_changed_at: engine?.phaseChangedAt ?? null,
+      phase_ends_at: engine ? this._phaseEndsAt(instrument, phase, engine.phaseChangedAt) : null,
+      reference_price: formatDecimal(engine?.circuitBreaker.reference_price ?? null),
+    };
+  }
+
+  /**
+   * Persist new settings, then hand the engine's part to the matching engine as a logged command
+   */
+  async setCircuitBreaker(instrument, changes) {
+    instrumentRegistry.require(instrument);
+    await circuitBreakerService.setSettings(instrument, changes);
+
+    // The reference moves only when the request sets it: null in the table also stands for
+    // "from the trades", and must not wipe the one the engine took from them
+    const { reference_price, ...settings } = circuitBreakerService.getEngineSettings(instrument);
+    await this.getEngine(instrument).configureCircuitBreaker('reference_price' in changes ? { ...settings, reference_price } : settings);
+    return this.getCircuitBreaker(instrument);
+  }
+
+  /**
+   * Move a halted book on without waiting for its time: start the reopening auction,
+   * or uncross a running one
+   */
+  async resumeTrading(instrument) {
+    const engine = this.getEngine(instrument);
+
+    if (engine.phase === 'halted') {
+      await engine.startAuction();
+    } else {
+      const settlements = [];
+      const auction = await engine.uncross(
+        (trade) => settlements.push(this._handleTrade(trade)),
+        (order, eventType) => this._handleOrderUpdate(order, eventType)
+      );
+      await Promise.all(settlements);
+      this._publishOrderBook(instrument, engine);
+      logger.info('Trading resumed', { instrument, auction_price: formatDecimal(auction?.price ?? null) });
+    }
+
+    return this.getCircuitBreaker(instrument);
+  }
+
   async requestSnapshot(instrument) {
     const engine = this.getEngine(instrument);
-    const snapshot = engine.getOrderBookSnapshot(20);
-    await postgres.saveOrderBookSnapshot(instrument, snapshot);
-    return snapshot;
+    const snapshot = await this._saveSnapshot(instrument, engine, { force: true });
+    return {
+      ...engine.getOrderBookSnapshot(20),
+      sequence: snapshot.sequence,
+      orders: snapshot.orders.length,
+      stops: snapshot.stops.length,
+    };
   }
 
-  async _validateOrder(orderData) {
+  _validateOrder(orderData) {
     if (!orderData.client_id) {
       throw new Error('client_id is required');
     }
     if (!orderData.side || !['buy', 'sell'].includes(orderData.side)) {
       throw new Error('side must be "buy" or "sell"');
     }
-    if (!orderData.type || !['limit', 'market'].includes(orderData.type)) {
-      throw new Error('type must be "limit" or "market"');
+    if (!orderData.type || !['limit', 'market', ...STOP_TYPES].includes(orderData.type)) {
+      throw new Error('type must be "limit", "market", "stop_market" or "stop_limit"');
     }
-    if (!orderData.quantity || orderData.quantity <= 0) {
+
+    const price = this._parseAmount(orderData.price, 'price');
+    const stopPrice = this._parseAmount(orderData.stop_price, 'stop_price');
+    const quantity = this._parseAmount(orderData.quantity, 'quantity');
+    const quoteQuantity = this._parseAmount(orderData.quote_quantity, 'quote_quantity');
+    const displayQuantity = this._parseAmount(orderData.display_quantity, 'display_quantity');
+    const protectionPrice = this._parseAmount(orderData.protection_price, 'protection_price');
+    const maxSlippage = this._parseAmount(orderData.max_slippage_percent, 'max_slippage_percent');
+    const isMarket = ['market', 'stop_market'].includes(orderData.type);
+
+    if (quoteQuantity !== null) {
+      if (orderData.type !== 'market' || orderData.side !== 'buy') {
+        throw new Error('quote_quantity is only allowed on market buy orders');
+      }
+      if (quantity !== null) {
+        throw new Error('quantity and quote_quantity cannot both be set');
+      }
+      if (quoteQuantity <= 0n) {
+        throw new Error('quote_quantity must be positive');
+      }
+      if (orderData.time_in_force === 'FOK' || orderData.reduce_only) {
+        throw new Error('quote_quantity cannot be combined with FOK or reduce_only');
+      }
+    } else if (quantity === null || quantity <= 0n) {
       throw new Error('quantity must be positive');
     }
-    if (orderData.type === 'limit' && (!orderData.price || orderData.price <= 0)) {
+    if (['limit', 'stop_limit'].includes(orderData.type) && (price === null || price <= 0n)) {
       throw new Error('price must be positive for limit orders');
     }
-    if (orderData.price && orderData.price.toString().split('.')[1]?.length > 8) {
-      throw new Error('price precision cannot exceed 8 decimal places');
+    if (STOP_TYPES.includes(orderData.type) && (stopPrice === null || stopPrice <= 0n)) {
+      throw new Error('stop_price must be positive for stop orders');
+    }
+    if (orderData.time_in_force && !TIME_IN_FORCE.includes(orderData.time_in_force)) {
+      throw new Error(`time_in_force must be one of ${TIME_IN_FORCE.join(', ')}`);
+    }
+    if (['market', 'stop_market'].includes(orderData.type) && ['GTD', 'DAY'].includes(orderData.time_in_force)) {
+      throw new Error('market orders cannot be GTD or DAY');
+    }
+    if (orderData.post_only && ['market', 'stop_market'].includes(orderData.type)) {
+      throw new Error('post_only is only allowed on limit orders');
+    }
+    if (orderData.post_only && ['IOC', 'FOK'].includes(orderData.time_in_force)) {
+      throw new Error('post_only cannot be combined with IOC or FOK');
+    }
+    if (!isMarket && (protectionPrice !== null || maxSlippage !== null || orderData.market_remainder)) {
+      throw new Error('protection_price, max_slippage_percent and market_remainder are only allowed on market orders');
+    }
+    if (protectionPrice !== null && protectionPrice <= 0n) {
+      throw new Error('protection_price must be positive');
+    }
+    if (maxSlippage !== null && (maxSlippage <= 0n || maxSlippage >= 100n * UNIT)) {
+      throw new Error('max_slippage_percent must be greater than 0 and less than 100');
+    }
+    if (orderData.market_remainder && !MARKET_REMAINDERS.includes(orderData.market_remainder)) {
+      throw new Error(`market_remainder must be one of ${MARKET_REMAINDERS.join(', ')}`);
+    }
+    if (orderData.market_remainder === 'rest') {
+      if (protectionPrice === null && maxSlippage === null) {
+        throw new Error('market_remainder "rest" requires protection_price or max_slippage_percent');
+      }
+      if (['IOC', 'FOK'].includes(orderData.time_in_force) || quoteQuantity !== null) {
+        throw new Error('market_remainder "rest" cannot be combined with IOC, FOK or quote_quantity');
+      }
+    }
+    if (orderData.stp_mode && !STP_MODES.includes(orderData.stp_mode)) {
+      throw new Error(`stp_mode must be one of ${STP_MODES.join(', ')}`);
+    }
+    if (orderData.stp_group !== undefined && orderData.stp_group !== null &&
+      (typeof orderData.stp_group !== 'string' || orderData.stp_group.length === 0 || orderData.stp_group.length > 255)) {
+      throw new Error('stp_group must be a non-empty string of at most 255 characters');
+    }
+    if (displayQuantity !== null) {
+      if (!['limit', 'stop_limit'].includes(orderData.type)) {
+        throw new Error('display_quantity is only allowed on limit orders');
+      }
+      if (displayQuantity <= 0n || displayQuantity > quantity) {
+        throw new Error('display_quantity must be positive and no larger than quantity');
+      }
+      if (['IOC', 'FOK'].includes(orderData.time_in_force)) {
+        throw new Error('display_quantity cannot be combined with IOC or FOK');
+      }
+    }
+    if (orderData.time_in_force === 'GTD') {
+      const expireAt = new Date(orderData.expire_at);
+      if (!orderData.expire_at || isNaN(expireAt.getTime())) {
+        throw new Error('expire_at is required for GTD orders');
+      }
+      if (expireAt <= new Date()) {
+        throw new Error('expire_at must be in the future');
+      }
+    }
+
+    // Tick size, lot size, quantity limits, min notional, price band and trading status
+    const instrument = orderData.instrument || config.matching.defaultInstrument;
+    instrumentRegistry.require(instrument).checkOrder({
+      type: orderData.type,
+      price,
+      stop_price: stopPrice,
+      protection_price: protectionPrice,
+      quantity,
+      quote_quantity: quoteQuantity,
+      display_quantity: displayQuantity,
+      post_only: Boolean(orderData.post_only),
+    }, this._lastTradePrice(instrument));
+
+    this._checkTradingPhase(instrument, orderData);
+  }
+
+  /**
+   * Throw if the instrument's circuit breaker is holding the order up: nothing is accepted
+   * while halted, and during the reopening auction only orders that can wait in the book
+   * The error's reason is fixed, for the rejection metric; its message says when the phase ends
+   */
+  _checkTradingPhase(instrument, orderData) {
+    const engine = this.engines.get(instrument);
+    if (!engine || engine.phase === 'continuous') return;
+
+    const endsAt = this._phaseEndsAt(instrument, engine.phase, engine.phaseChangedAt).toISOString();
+    if (engine.phase === 'halted') {
+      const error = new Error(`Trading on ${instrument} is halted by its circuit breaker; the reopening auction starts at ${endsAt}`);
+      error.reason = 'circuit_breaker_halted';
+      throw error;
+    }
+    if (orderData.type === 'market' || ['IOC', 'FOK'].includes(orderData.time_in_force)) {
+      const error = new Error(`${instrument} is in its reopening auction until ${endsAt}: market, IOC and FOK orders are not accepted`);
+      error.reason = 'auction_order_type';
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a raw price or quantity from a request into a fixed-point BigInt
+   */
+  _parseAmount(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (decimalPlaces(value) > SCALE) {
+      throw new Error(`${field} precision cannot exceed ${SCALE} decimal places`);
     }
-    if (orderData.quantity.toString().split('.')[1]?.length > 8) {
-      throw new Error('quantity precision cannot exceed 8 decimal places');
+    try {
+      return parseDecimal(value);
+    } catch (error) {
+      throw new Error(`${field} must be a decimal number`);
     }
   }
 
-  async _updatePositions(trade) {
+  _lastTradePrice(instrument) {
+    return this.engines.get(instrument)?.lastTradePrice ?? null;
+  }
+
+  _midPrice(instrument) {
+    const engine = this.getEngine(instrument);
+    const bestBid = engine.orderBook.getBestBid();
+    const bestAsk = engine.orderBook.getBestAsk();
+    return bestBid && bestAsk ? (bestBid.price + bestAsk.price) / 2n : null;
+  }
+
+  /**
+   * Last trade price, or the mid price when nothing has traded yet
+   */
+  _referencePrice(instrument) {
+    return this._lastTradePrice(instrument) ?? this._midPrice(instrument);
+  }
+
+  /**
+   * Price open positions are marked at: the last trade ('last') or the mid ('mid'),
+   * each falling back to the other
+   */
+  _markPrice(instrument, mark = 'last') {
+    return mark === 'mid'
+      ? this._midPrice(instrument) ?? this._lastTradePrice(instrument)
+      : this._referencePrice(instrument);
+  }
+
+  /**
+   * Run the pre-trade risk checks on a new order, or on an amendment of the resting order it replaces
+   * Rejections are counted in ordersRejectedTotal by reason
+   */
+  async _checkRisk(order, replaces = null) {
+    const engine = this.getEngine(order.instrument);
+    const opposite = engine.orderBook[order.side === 'buy' ? 'getBestAsk' : 'getBestBid']();
+
     try {
-      // Get buy and sell orders to determine client IDs
-      const buyOrder = await postgres.getOrder(trade.buy_order_id);
-      const sellOrder = await postgres.getOrder(trade.sell_order_id);
-
-      if (buyOrder) {
-        await postgres.updateClientPosition(
-          buyOrder.client_id,
-          trade.instrument,
-          trade.quantity,
-          trade.price
-        );
-      }
+      await riskEngine.check(order, {
+        instrument: instrumentRegistry.require(order.instrument),
+        referencePrice: this._referencePrice(order.instrument),
+        bestOppositePrice: opposite?.price ?? null,
+        replaces,
+        getExposure: () => this._clientExposure(order.client_id, order.instrument),
+        getPosition: async () => {
+          const position = await postgres.getClientPosition(order.client_id, order.instrument);
+          return position ? parseDecimal(position.net_quantity) : 0n;
+        },
+      });
+    } catch (error) {
+      ordersRejectedTotal.inc({ reason: `risk_${error.reason}` });
+      logger.info('Order rejected by risk checks', { client_id: order.client_id, instrument: order.instrument, reason: error.reason });
+      throw error;
+    }
+  }
+
+  /**
+   * Funds an order must hold for its remaining quantity: the base asset for sells, the quote
+   * asset for buys at the limit, protection (or stop) price, or at the current cost of sweeping
+   * the asks, or a quote_quantity buy's whole amount, plus the largest fee the buy could pay
+   * (sellers' fees come out of the proceeds)
+   */
+  _requiredHold(order, remaining) {
+    const { base_asset, quote_asset } = instrumentRegistry.require(order.instrument);
+    if (order.side === 'sell') {
+      return { asset: base_asset, amount: remaining };
+    }
 
-      if (sellOrder) {
-        await postgres.updateClientPosition(
-          sellOrder.client_id,
-          trade.instrument,
-          -trade.quantity,
-          trade.price
-        );
+    const price = order.price ?? order.protection_price ?? order.stop_price;
+    let cost;
+    if (order.quote_quantity !== null) {
+      cost = order.quote_quantity;
+    } else if (price !== null) {
+      cost = mulDecimal(price, remaining);
+    } else {
+      cost = this.getEngine(order.instrument).orderBook.getMarketCost('buy', remaining).cost;
+    }
+    return { asset: quote_asset, amount: cost + mulDecimal(cost, feeService.getMaxRate(order.client_id, order.instrument)) };
+  }
+
+  /**
+   * Open orders across every instrument, and resting quantity per side on this one
+   */
+  _clientExposure(clientId, instrument) {
+    const exposure = { open_orders: 0, buy_quantity: 0n, sell_quantity: 0n };
+    for (const engine of this.engines.values()) {
+      const engineExposure = engine.getClientExposure(clientId);
+      exposure.open_orders += engineExposure.open_orders;
+      if (engine.instrument === instrument) {
+        exposure.buy_quantity = engineExposure.buy_quantity;
+        exposure.sell_quantity = engineExposure.sell_quantity;
       }
-    } catch (error) {
-      logger.error('Error updating positions', { error: error.message });
     }
+    return exposure;
+  }
+
+  /**
+   * Largest quantity a reduce-only order may have without increasing the
+   * client's absolute net position, counting reduce-only orders already resting
+   */
+  async _reduceOnlyQuantity(clientId, instrument, side, quantity) {
+    const position = await postgres.getClientPosition(clientId, instrument);
+    const netQuantity = position ? parseDecimal(position.net_quantity) : 0n;
+
+    // A buy only reduces a short position, a sell only reduces a long one
+    const reducible = side === 'buy' ? -netQuantity : netQuantity;
+    const resting = this.getEngine(instrument).getReduceOnlyExposure(clientId, side);
+    const allowed = reducible - resting;
+
+    if (allowed <= 0n) {
+      throw new Error('reduce_only order would increase position');
+    }
+    return minDecimal(parseDecimal(quantity), allowed);
+  }
+
+  /**
+   * API view of a Position under its owner's PnL method, marked to the live book
+   */
+  formatPosition(position, mark = 'last') {
+    return position.toJSON(this._markPrice(position.instrument, mark), positionService.getMethod(position.client_id));
+  }
+
+  async getClientBalances(clientId, caller = null) {
+    this._authorize(caller, clientId, 'read', 'balances', clientId);
+    return await accountService.getBalances(clientId);
   }
 
-  async getClientPositions(clientId) {
-    return await postgres.getClientPositions(clientId);
+  async getClientPositions(clientId, caller = null) {
+    this._authorize(caller, clientId, 'read', 'positions', clientId);
+    return await positionService.getPositions(clientId);
+  }
+
+  async getPnlHistory(clientId, options, caller = null) {
+    this._authorize(caller, clientId, 'read', 'pnl', clientId);
+    return await positionService.getHistory(clientId, options);
+  }
+
+  async getFeeReport(clientId, startTime, endTime, caller = null) {
+    this._authorize(caller, clientId, 'read', 'fees', clientId);
+    return await feeService.getFeeReport(clientId, startTime, endTime);
   }
 
   async getTradeAnalytics(instrument, startTime, endTime, intervalMinutes = 1) {
@@ -388,12 +1378,23 @@ export class ExchangeService {
     if (this.snapshotInterval) {
       clearInterval(this.snapshotInterval);
     }
+    if (this.expiryInterval) {
+      clearInterval(this.expiryInterval);
+    }
+    if (this.feeVolumeInterval) {
+      clearInterval(this.feeVolumeInterval);
+    }
+    if (this.circuitBreakerInterval) {
+      clearInterval(this.circuitBreakerInterval);
+    }
+    if (this.settlementInterval) {
+      clearInterval(this.settlementInterval);
+    }
     
     // Save final snapshots
     for (const [instrument, engine] of this.engines.entries()) {
       try {
-        const snapshot = engine.getOrderBookSnapshot(20);
-        await postgres.saveOrderBookSnapshot(instrument, snapshot);
+        await this._saveSnapshot(instrument, engine);
       } catch (error) {
         logger.error('Error saving final snapshot', { instrument, error: error.message });
       }
@@ -0,0 +1,204 @@
+import instrumentRegistry from './InstrumentRegistry.js';
+import postgres from '../db/postgres.js';
+import logger from '../utils/logger.js';
+import { parseDecimal, formatDecimal, mulDecimal } from '../utils/decimal.js';
+
+// Schedule rows for this instrument apply to instruments without their own schedule
+export const DEFAULT_SCHEDULE = '*';
+
+const VOLUME_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+function parseSchedule(row) {
+  return {
+    instrument: row.instrument,
+    tier: row.tier,
+    min_volume_30d: parseDecimal(row.min_volume_30d),
+    maker_rate: parseDecimal(row.maker_rate),
+    taker_rate: parseDecimal(row.taker_rate),
+  };
+}
+
+/**
+ * Maker/taker fee schedules with 30-day volume tiers
+ * A client's tier is the highest one its 30-day traded notional reaches, or the tier
+ * assigned to it in client_fee_tiers if that is higher; with no schedule, trading is free
+ */
+export class FeeService {
+  constructor() {
+    this.schedules = new Map(); // instrument (or '*') -> tiers sorted by min_volume_30d
+    this.clientTiers = new Map(); // client_id -> assigned tier
+    this.volumes = new Map(); // client_id -> 30-day traded notional
+  }
+
+  async load() {
+    this._setSchedules((await postgres.getFeeSchedules()).map(parseSchedule));
+    this.clientTiers = new Map((await postgres.getClientFeeTiers()).map(row => [row.client_id, row.tier]));
+    await this.refreshVolumes();
+    logger.info(`Loaded fee schedules for ${this.schedules.size} instruments`);
+  }
+
+  /**
+   * Recompute every client's 30-day volume, dropping trades that have aged out of the window
+   */
+  async refreshVolumes(now = new Date()) {
+    const rows = await postgres.getClientVolumes(new Date(now.getTime() - VOLUME_WINDOW_MS));
+    this.volumes = new Map(rows.map(row => [row.client_id, parseDecimal(row.volume)]));
+  }
+
+  getVolume(clientId) {
+    return this.volumes.get(clientId) || 0n;
+  }
+
+  /**
+   * The client's tier and rates on an instrument
+   */
+  getRates(clientId, instrument) {
+    const tiers = this.schedules.get(instrument) || this.schedules.get(DEFAULT_SCHEDULE) || [];
+    const volume = this.getVolume(clientId);
+
+    let tier = null;
+    for (const candidate of tiers) {
+      if (candidate.min_volume_30d <= volume) tier = candidate;
+    }
+    const assigned = tiers.find(candidate => candidate.tier === this.clientTiers.get(clientId));
+    if (assigned && (!tier || assigned.min_volume_30d > tier.min_volume_30d)) {
+      tier = assigned;
+    }
+
+    return tier
+      ? { tier: tier.tier, maker_rate: tier.maker_rate, taker_rate: tier.taker_rate }
+      : { tier: null, maker_rate: 0n, taker_rate: 0n };
+  }
+
+  /**
+   * Highest rate an order could pay, for sizing its hold; a rebate holds nothing
+   */
+  getMaxRate(clientId, instrument) {
+    const { maker_rate, taker_rate } = this.getRates(clientId, instrument);
+    const rate = maker_rate > taker_rate ? maker_rate : taker_rate;
+    return rate > 0n ? rate : 0n;
+  }
+
+  /**
+   * Set a trade's maker_fee and taker_fee from each side's current rates, then count its
+   * notional toward both clients' volume; the fill that crosses a tier threshold pays the old rate
+   */
+  applyFees(trade) {
+    const notional = mulDecimal(trade.price, trade.quantity);
+    const takerClient = trade.aggressor_side === 'sell' ? trade.sell_client_id : trade.buy_client_id;
+    const makerClient = trade.aggressor_side === 'sell' ? trade.buy_client_id : trade.sell_client_id;
+
+    trade.maker_fee = mulDecimal(notional, this.getRates(makerClient, trade.instrument).maker_rate);
+    trade.taker_fee = mulDecimal(notional, this.getRates(takerClient, trade.instrument).taker_rate);
+
+    for (const clientId of [trade.buy_client_id, trade.sell_client_id]) {
+      if (clientId) this.volumes.set(clientId, this.getVolume(clientId) + notional);
+    }
+    return trade;
+  }
+
+  getSchedules() {
+    return [...this.schedules.values()].flat();
+  }
+
+  async setSchedule(schedule) {
+    const row = parseSchedule(await postgres.upsertFeeSchedule(schedule));
+    this._setSchedules([
+      ...this.getSchedules().filter(schedule => schedule.instrument !== row.instrument || schedule.tier !== row.tier),
+      row,
+    ]);
+    logger.info('Fee schedule updated', { instrument: row.instrument, tier: row.tier });
+    return row;
+  }
+
+  async deleteSchedule(instrument, tier) {
+    const row = await postgres.deleteFeeSchedule(instrument, tier);
+    if (!row) return false;
+
+    this._setSchedules(this.getSchedules().filter(schedule => schedule.instrument !== instrument || schedule.tier !== tier));
+    logger.info('Fee schedule deleted', { instrument, tier });
+    return true;
+  }
+
+  /**
+   * Assign a client a tier (a floor under its volume tier), or clear it with null
+   */
+  async setClientTier(clientId, tier) {
+    if (tier === null) {
+      await postgres.deleteClientFeeTier(clientId);
+      this.clientTiers.delete(clientId);
+    } else {
+      await postgres.upsertClientFeeTier(clientId, tier);
+      this.clientTiers.set(clientId, tier);
+    }
+    logger.info('Client fee tier updated', { client_id: clientId, tier });
+  }
+
+  /**
+   * A client's current tier and 30-day volume, and its fills and fees between two times per instrument
+   */
+  async getFeeReport(clientId, startTime, endTime) {
+    const rows = await postgres.getClientFeeTotals(clientId, startTime, endTime);
+
+    const instruments = new Map();
+    for (const row of rows) {
+      if (!instruments.has(row.instrument)) {
+        const rates = this.getRates(clientId, row.instrument);
+        instruments.set(row.instrument, {
+          instrument: row.instrument,
+          fee_asset: instrumentRegistry.require(row.instrument).quote_asset,
+          tier: rates.tier,
+          maker_rate: formatDecimal(rates.maker_rate),
+          taker_rate: formatDecimal(rates.taker_rate),
+          trade_count: 0,
+          maker_volume: 0n,
+          taker_volume: 0n,
+          maker_fees: 0n,
+          taker_fees: 0n,
+        });
+      }
+      const entry = instruments.get(row.instrument);
+      entry.trade_count += parseInt(row.trade_count, 10);
+      entry[`${row.liquidity}_volume`] += parseDecimal(row.volume);
+      entry[`${row.liquidity}_fees`] += parseDecimal(row.fees);
+    }
+
+    return {
+      client_id: clientId,
+      volume_30d: formatDecimal(this.getVolume(clientId)),
+      start_time: startTime.toISOString(),
+      end_time: endTime.toISOString(),
+      instruments: [...instruments.values()].map(entry => ({
+        ...entry,
+        maker_volume: formatDecimal(entry.maker_volume),
+        taker_volume: formatDecimal(entry.taker_volume),
+        maker_fees: formatDecimal(entry.maker_fees),
+        taker_fees: formatDecimal(entry.taker_fees),
+        net_fees: formatDecimal(entry.maker_fees + entry.taker_fees),
+      })),
+    };
+  }
+
+  formatSchedule(schedule) {
+    return {
+      instrument: schedule.instrument,
+      tier: schedule.tier,
+      min_volume_30d: formatDecimal(schedule.min_volume_30d),
+      maker_rate: formatDecimal(schedule.maker_rate),
+      taker_rate: formatDecimal(schedule.taker_rate),
+    };
+  }
+
+  _setSchedules(schedules) {
+    this.schedules = new Map();
+    for (const schedule of schedules) {
+      if (!this.schedules.has(schedule.instrument)) this.schedules.set(schedule.instrument, []);
+      this.schedules.get(schedule.instrument).push(schedule);
+    }
+    for (const tiers of this.schedules.values()) {
+      tiers.sort((a, b) => (a.min_volume_30d < b.min_volume_30d ? -1 : a.min_volume_30d > b.min_volume_30d ? 1 : 0));
+    }
+  }
+}
+
+export default new FeeService();
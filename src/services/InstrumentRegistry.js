@@ -0,0 +1,102 @@
+import { Instrument, INSTRUMENT_STATUSES } from '../models/Instrument.js';
+import postgres from '../db/postgres.js';
+import logger from '../utils/logger.js';
+
+const INSTRUMENT_PATTERN = /^[A-Z0-9]+-[A-Z0-9]+$/;
+
+/**
+ * Instrument Registry
+ * In-memory view of the instruments table; the only source of which
+ * instruments exist and what orders they accept
+ */
+export class InstrumentRegistry {
+  constructor() {
+    this.instruments = new Map(); // instrument -> Instrument
+  }
+
+  async load() {
+    const rows = await postgres.getInstruments();
+
+    this.instruments.clear();
+    for (const row of rows) {
+      const instrument = Instrument.fromDB(row);
+      this.instruments.set(instrument.instrument, instrument);
+    }
+
+    logger.info(`Loaded ${this.instruments.size} instruments`);
+    return this.list();
+  }
+
+  has(instrument) {
+    return this.instruments.has(instrument);
+  }
+
+  get(instrument) {
+    return this.instruments.get(instrument) || null;
+  }
+
+  /**
+   * Like get, but throws for an instrument that is not registered
+   */
+  require(instrument) {
+    const found = this.get(instrument);
+    if (!found) {
+      throw new Error(`Unknown instrument ${instrument}`);
+    }
+    return found;
+  }
+
+  list() {
+    return Array.from(this.instruments.values());
+  }
+
+  async create(data) {
+    if (!INSTRUMENT_PATTERN.test(data.instrument || '')) {
+      throw new Error('instrument must look like BASE-QUOTE, e.g. BTC-USD');
+    }
+    if (this.has(data.instrument)) {
+      throw new Error(`Instrument ${data.instrument} already exists`);
+    }
+    if (data.status && !INSTRUMENT_STATUSES.includes(data.status)) {
+      throw new Error(`status must be one of ${INSTRUMENT_STATUSES.join(', ')}`);
+    }
+
+    const [base, quote] = data.instrument.split('-');
+    const instrument = new Instrument({
+      base_asset: base,
+      quote_asset: quote,
+      ...data,
+    });
+
+    if (instrument.tick_size <= 0n || instrument.lot_size <= 0n) {
+      throw new Error('tick_size and lot_size must be positive');
+    }
+    if (instrument.max_quantity !== null && instrument.max_quantity < instrument.min_quantity) {
+      throw new Error('max_quantity must not be below min_quantity');
+    }
+
+    await postgres.createInstrument(instrument);
+    this.instruments.set(instrument.instrument, instrument);
+
+    logger.info('Instrument created', instrument.toJSON());
+    return instrument;
+  }
+
+  async setStatus(instrumentId, status) {
+    const instrument = this.require(instrumentId);
+    const previous = instrument.status;
+
+    if (!INSTRUMENT_STATUSES.includes(status)) {
+      throw new Error(`status must be one of ${INSTRUMENT_STATUSES.join(', ')}`);
+    }
+
+    // Persist first so memory never runs ahead of the table
+    await postgres.updateInstrumentStatus(instrument.instrument, status);
+    instrument.setStatus(status);
+
+    logger.info('Instrument status changed', { instrument: instrumentId, from: previous, to: status });
+    return instrument;
+  }
+}
+
+export default new InstrumentRegistry();
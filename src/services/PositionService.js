@@ -0,0 +1,94 @@
+import { Position, PNL_METHODS } from '../models/Position.js';
+import postgres from '../db/postgres.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+import { parseDecimal, formatDecimal, mulDecimal } from '../utils/decimal.js';
+
+/**
+ * Client positions with realized PnL under each client's accounting method (FIFO or
+ * average cost), and a history row for every fill
+ */
+export class PositionService {
+  constructor() {
+    this.methods = new Map(); // client_id -> method, for clients not on the default
+  }
+
+  async load() {
+    const rows = await postgres.getPnlMethods();
+    this.methods = new Map(rows.map(row => [row.client_id, row.method]));
+    logger.info(`Loaded PnL methods for ${this.methods.size} clients`);
+  }
+
+  get defaultMethod() {
+    return config.positions.pnlMethod;
+  }
+
+  getMethod(clientId) {
+    return this.methods.get(clientId) || this.defaultMethod;
+  }
+
+  async setMethod(clientId, method) {
+    if (!PNL_METHODS.includes(method)) {
+      throw new Error(`method must be one of ${PNL_METHODS.join(', ')}`);
+    }
+    await postgres.upsertPnlMethod(clientId, method);
+    this.methods.set(clientId, method);
+    logger.info('PnL method updated', { client_id: clientId, method });
+  }
+
+  /**
+   * Apply one side of a trade to the client's position and record it in the PnL history;
+   * runs inside the trade's settlement transaction
+   */
+  async applyFill(db, clientId, trade, quantity) {
+    const method = this.getMethod(clientId);
+    const position = Position.fromDB(await postgres.getClientPositionForUpdate(clientId, trade.instrument, db));
+    const realized = position.applyFill(quantity, trade.price, method);
+
+    await postgres.saveClientPosition(position, db);
+    await postgres.savePnlHistory({
+      client_id: clientId,
+      instrument: trade.instrument,
+      trade_id: trade.trade_id,
+      method,
+      quantity,
+      price: trade.price,
+      realized_pnl: realized,
+      cumulative_realized_pnl: position.realized_pnl,
+      net_quantity: position.net_quantity,
+      cost_basis: position.costBasis(method),
+      created_at: trade.timestamp,
+    }, db);
+
+    return position;
+  }
+
+  async getPositions(clientId) {
+    const rows = await postgres.getClientPositions(clientId);
+    return rows.map(row => Position.fromDB(row));
+  }
+
+  async getHistory(clientId, options) {
+    const rows = await postgres.getPnlHistory(clientId, options);
+    return rows.map((row) => {
+      const netQuantity = parseDecimal(row.net_quantity);
+      const costBasis = parseDecimal(row.cost_basis);
+      return {
+        instrument: row.instrument,
+        trade_id: row.trade_id,
+        method: row.method,
+        quantity: formatDecimal(parseDecimal(row.quantity)),
+        price: formatDecimal(parseDecimal(row.price)),
+        realized_pnl: formatDecimal(parseDecimal(row.realized_pnl)),
+        cumulative_realized_pnl: formatDecimal(parseDecimal(row.cumulative_realized_pnl)),
+        net_quantity: formatDecimal(netQuantity),
+        cost_basis: formatDecimal(costBasis),
+        // Marked at the fill's own price
+        unrealized_pnl: formatDecimal(mulDecimal(netQuantity, parseDecimal(row.price)) - costBasis),
+        created_at: row.created_at,
+      };
+    });
+  }
+}
+
+export default new PositionService();
@@ -0,0 +1,221 @@
+import postgres from '../db/postgres.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+import { parseDecimal, formatDecimal, mulDecimal } from '../utils/decimal.js';
+
+export const RISK_LIMIT_FIELDS = [
+  'max_order_quantity',
+  'max_order_notional',
+  'max_open_orders',
+  'max_position',
+  'price_collar_percent',
+];
+
+function rejection(reason, message) {
+  const error = new Error(message);
+  error.reason = reason; // metric label, e.g. risk_max_position
+  return error;
+}
+
+function parseLimits(row) {
+  return {
+    max_order_quantity: parseDecimal(row.max_order_quantity),
+    max_order_notional: parseDecimal(row.max_order_notional),
+    max_open_orders: row.max_open_orders ?? null,
+    max_position: parseDecimal(row.max_position),
+    price_collar_percent: parseDecimal(row.price_collar_percent),
+  };
+}
+
+/**
+ * Price an order is valued at: its limit price, or for market orders the
+ * reference price, falling back to the best opposite price
+ */
+function valuationPrice(order, context) {
+  return order.type === 'limit' || order.type === 'stop_limit'
+    ? order.price
+    : order.stop_price ?? context.referencePrice ?? context.bestOppositePrice;
+}
+
+/**
+ * Quote value of the order: a quote_quantity buy's amount, else its quantity at the
+ * valuation price (null when there is no price to value it at)
+ */
+function orderValue(order, context) {
+  const price = valuationPrice(order, context);
+  return order.quote_quantity ?? (price !== null ? mulDecimal(price, order.quantity) : null);
+}
+
+/**
+ * Quantity the order can still fill, after an amendment if it replaces a resting order
+ */
+function remainingQuantity(order, context) {
+  return order.quantity - (context.replaces?.filled_quantity ?? 0n);
+}
+
+const DEFAULT_CHECKS = [
+  ['max_order_quantity', (order, { limits }) => {
+    if (limits.max_order_quantity !== null && order.quantity > limits.max_order_quantity) {
+      throw rejection('max_order_quantity', `quantity exceeds the maximum of ${formatDecimal(limits.max_order_quantity)}`);
+    }
+  }],
+
+  ['max_order_notional', (order, context) => {
+    const { limits, instrument } = context;
+    const value = orderValue(order, context);
+    if (limits.max_order_notional !== null && value !== null && value > limits.max_order_notional) {
+      throw rejection('max_order_notional', `order value exceeds the maximum of ${formatDecimal(limits.max_order_notional)} ${instrument.quote_asset}`);
+    }
+  }],
+
+  // Only the aggressive direction is collared: a buy far above or a sell far below the market
+  ['price_collar', (order, { limits, referencePrice }) => {
+    if (order.type !== 'limit' || limits.price_collar_percent === null || referencePrice === null) return;
+
+    const band = mulDecimal(referencePrice, limits.price_collar_percent) / 100n;
+    if (order.side === 'buy' && order.price > referencePrice + band) {
+      throw rejection('price_collar', `buy price must be at most ${formatDecimal(referencePrice + band)} (${formatDecimal(limits.price_collar_percent)}% above the reference price)`);
+    }
+    if (order.side === 'sell' && order.price < referencePrice - band) {
+      throw rejection('price_collar', `sell price must be at least ${formatDecimal(referencePrice - band)} (${formatDecimal(limits.price_collar_percent)}% below the reference price)`);
+    }
+  }],
+
+  ['max_open_orders', async (order, { limits, replaces, getExposure }) => {
+    if (limits.max_open_orders === null || replaces) return;
+
+    const { open_orders } = await getExposure();
+    if (open_orders >= limits.max_open_orders) {
+      throw rejection('max_open_orders', `client already has the maximum of ${limits.max_open_orders} open orders`);
+    }
+  }],
+
+  // Worst case: every resting order on the same side fills, and this one too
+  ['max_position', async (order, context) => {
+    const { limits, replaces, getExposure, getPosition } = context;
+    if (limits.max_position === null || order.reduce_only) return;
+
+    const exposure = await getExposure();
+    const resting = exposure[`${order.side}_quantity`] - (replaces?.remaining_quantity ?? 0n);
+    const netQuantity = await getPosition();
+    const worstCase = order.side === 'buy'
+      ? netQuantity + resting + remainingQuantity(order, context)
+      : -(netQuantity - resting - remainingQuantity(order, context));
+
+    if (worstCase > limits.max_position) {
+      throw rejection('max_position', `order could take the position beyond the maximum of ${formatDecimal(limits.max_position)}`);
+    }
+  }],
+
+  // Buys need the quote asset, sells the base asset; skipped until a balance source is set
+  ['balance', async (order, context) => {
+    const { instrument, replaces, getAvailableBalance } = context;
+    if (!getAvailableBalance) return;
+
+    const price = valuationPrice(order, context);
+    if (order.side === 'buy' && price === null && !order.quote_quantity) return;
+
+    // quote_quantity buys are never amendments, so need exactly their amount
+    const required = (quantity, atPrice) => (order.side === 'buy' ? mulDecimal(atPrice, quantity) : quantity);
+    let needed = order.quote_quantity ?? required(remainingQuantity(order, context), price);
+    if (replaces) {
+      needed -= required(replaces.remaining_quantity, replaces.price ?? price);
+    }
+    if (needed <= 0n) return;
+
+    const asset = order.side === 'buy' ? instrument.quote_asset : instrument.base_asset;
+    const available = await getAvailableBalance(order.client_id, asset);
+    if (available < needed) {
+      throw rejection('insufficient_balance', `insufficient ${asset} balance: ${formatDecimal(needed)} required, ${formatDecimal(available)} available`);
+    }
+  }],
+];
+
+/**
+ * Pre-trade risk checks, run in order before an order reaches the matching engine
+ * Each check is (order, context) => void | Promise<void> and throws an error with a
+ * reason to reject; more can be added with use()
+ */
+export class RiskEngine {
+  constructor() {
+    this.checks = DEFAULT_CHECKS.map(([name, check]) => ({ name, check }));
+    this.overrides = new Map(); // client_id -> limits from risk_limits
+    this.balanceSource = null; // (clientId, asset) => available balance as a scaled BigInt
+  }
+
+  async load() {
+    const rows = await postgres.getRiskLimits();
+    this.overrides = new Map(rows.map(row => [row.client_id, parseLimits(row)]));
+    logger.info(`Loaded risk limits for ${this.overrides.size} clients`);
+  }
+
+  use(name, check) {
+    this.checks.push({ name, check });
+  }
+
+  setBalanceSource(source) {
+    this.balanceSource = source;
+  }
+
+  get defaults() {
+    return parseLimits({
+      max_order_quantity: config.risk.maxOrderQuantity,
+      max_order_notional: config.risk.maxOrderNotional,
+      max_open_orders: config.risk.maxOpenOrders,
+      max_position: config.risk.maxPosition,
+      price_collar_percent: config.risk.priceCollarPercent,
+    });
+  }
+
+  /**
+   * Effective limits for a client: its overrides, with the server defaults for anything not set
+   */
+  getLimits(clientId) {
+    const defaults = this.defaults;
+    const overrides = this.overrides.get(clientId) || {};
+    return Object.fromEntries(RISK_LIMIT_FIELDS.map(field => [field, overrides[field] ?? defaults[field]]));
+  }
+
+  /**
+   * Replace a client's overrides; null fields fall back to the defaults
+   */
+  async setLimits(clientId, limits) {
+    const row = await postgres.upsertRiskLimits(clientId, parseLimits(limits));
+    this.overrides.set(clientId, parseLimits(row));
+    logger.info('Risk limits updated', { client_id: clientId });
+    return this.getLimits(clientId);
+  }
+
+  /**
+   * Throw the first failing check's error, with error.reason set to the check's rejection reason
+   * context: { instrument, referencePrice, bestOppositePrice, replaces, getExposure, getPosition }
+   */
+  async check(order, context) {
+    const fullContext = {
+      ...context,
+      limits: this.getLimits(order.client_id),
+      getAvailableBalance: this.balanceSource,
+    };
+
+    for (const { name, check } of this.checks) {
+      try {
+        await check(order, fullContext);
+      } catch (error) {
+        error.reason = error.reason || name;
+        throw error;
+      }
+    }
+  }
+
+  formatLimits(limits) {
+    return {
+      max_order_quantity: formatDecimal(limits.max_order_quantity),
+      max_order_notional: formatDecimal(limits.max_order_notional),
+      max_open_orders: limits.max_open_orders,
+      max_position: formatDecimal(limits.max_position),
+      price_collar_percent: formatDecimal(limits.price_collar_percent),
+    };
+  }
+}
+
+export default new RiskEngine();
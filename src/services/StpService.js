@@ -0,0 +1,47 @@
+import { STP_MODES } from '../models/Order.js';
+import postgres from '../db/postgres.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+
+/**
+ * Per-account self-trade prevention defaults: an order's own stp_mode and stp_group win,
+ * then the account's, then STP_MODE (with no group)
+ */
+export class StpService {
+  constructor() {
+    this.settings = new Map(); // client_id -> { stp_mode, stp_group }
+  }
+
+  async load() {
+    const rows = await postgres.getStpSettings();
+    this.settings = new Map(rows.map(row => [row.client_id, { stp_mode: row.stp_mode, stp_group: row.stp_group }]));
+    logger.info(`Loaded self-trade prevention settings for ${this.settings.size} clients`);
+  }
+
+  getSettings(clientId) {
+    return this.settings.get(clientId) || { stp_mode: null, stp_group: null };
+  }
+
+  async setSettings(clientId, { stp_mode = null, stp_group = null }) {
+    if (stp_mode !== null && !STP_MODES.includes(stp_mode)) {
+      throw new Error(`stp_mode must be one of ${STP_MODES.join(', ')}`);
+    }
+    await postgres.upsertStpSettings(clientId, { stp_mode, stp_group });
+    this.settings.set(clientId, { stp_mode, stp_group });
+    logger.info('Self-trade prevention settings updated', { client_id: clientId, stp_mode, stp_group });
+    return this.resolve(clientId);
+  }
+
+  /**
+   * The mode and group an order from clientId runs with
+   */
+  resolve(clientId, { stp_mode = null, stp_group = null } = {}) {
+    const account = this.getSettings(clientId);
+    return {
+      stp_mode: stp_mode ?? account.stp_mode ?? config.matching.stpMode,
+      stp_group: stp_group ?? account.stp_group ?? null,
+    };
+  }
+}
+
+export default new StpService();
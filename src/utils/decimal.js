@@ -0,0 +1,99 @@
+/**
+ * Fixed-point decimals for prices and quantities
+ * Values are BigInts scaled by 10^8, matching the DECIMAL(20, 8) columns in Postgres.
+ * On the wire (REST, WebSocket, Kafka, Redis) they are decimal strings.
+ */
+export const SCALE = 8;
+export const UNIT = 10n ** BigInt(SCALE);
+
+const DECIMAL_PATTERN = /^([+-])?(\d+)(?:\.(\d*))?$/;
+
+/**
+ * Parse a decimal string or number into a scaled BigInt
+ * BigInts are taken as already scaled; null and undefined stay null
+ */
+export function parseDecimal(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'bigint') return value;
+
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    throw new Error(`Invalid decimal value: ${value}`);
+  }
+
+  const text = typeof value === 'number' ? value.toFixed(SCALE) : String(value).trim();
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match) {
+    throw new Error(`Invalid decimal value: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  if (fraction.length > SCALE) {
+    throw new Error(`Decimal value ${value} has more than ${SCALE} decimal places`);
+  }
+
+  const scaled = BigInt(whole) * UNIT + BigInt(fraction.padEnd(SCALE, '0'));
+  return sign === '-' ? -scaled : scaled;
+}
+
+/**
+ * Format a scaled BigInt as a plain decimal string without trailing zeros
+ */
+export function formatDecimal(value) {
+  if (value === null || value === undefined) return null;
+
+  const negative = value < 0n;
+  const abs = negative ? -value : value;
+  const whole = abs / UNIT;
+  const fraction = (abs % UNIT).toString().padStart(SCALE, '0').replace(/0+$/, '');
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Number of decimal places in a raw (unparsed) string or number
+ */
+export function decimalPlaces(value) {
+  const text = String(value);
+  const exponent = /e-(\d+)$/i.exec(text);
+
+  if (exponent) {
+    const mantissa = text.slice(0, exponent.index);
+    return (mantissa.split('.')[1]?.length || 0) + Number(exponent[1]);
+  }
+  return text.split('.')[1]?.length || 0;
+}
+
+// Integer division rounding half away from zero
+function roundDiv(numerator, denominator) {
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  const abs = (n) => (n < 0n ? -n : n);
+
+  if (abs(remainder) * 2n >= abs(denominator)) {
+    return (numerator < 0n) !== (denominator < 0n) ? quotient - 1n : quotient + 1n;
+  }
+  return quotient;
+}
+
+export function mulDecimal(a, b) {
+  return roundDiv(a * b, UNIT);
+}
+
+export function divDecimal(a, b) {
+  return roundDiv(a * UNIT, b);
+}
+
+export function minDecimal(a, b) {
+  return a < b ? a : b;
+}
+
+export function absDecimal(value) {
+  return value < 0n ? -value : value;
+}
+
+/**
+ * Lossy conversion for metrics and other float-only consumers
+ */
+export function toNumber(value) {
+  return value === null || value === undefined ? null : Number(formatDecimal(value));
+}
@@ -2,10 +2,16 @@ import WebSocket, { WebSocketServer } from 'ws';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
 import exchangeService from '../services/ExchangeService.js';
+import instrumentRegistry from '../services/InstrumentRegistry.js';
+import apiKeyService from '../services/ApiKeyService.js';
 import redis from '../db/redis.js';
-import { Order } from '../models/Order.js';
+import { ORDER_TYPES } from '../models/Order.js';
+import { RESOLUTIONS } from '../models/Candle.js';
 import config from '../config/index.js';
 
+// Per-client channels, published by ExchangeService on Redis as private:<channel>:<client_id>
+const PRIVATE_CHANNELS = ['my_orders', 'my_fills', 'my_positions'];
+
 class ExchangeWebSocketServer {
   constructor(server) {
     this.wss = new WebSocketServer({ server, path: '/stream' });
@@ -15,10 +21,13 @@ class ExchangeWebSocketServer {
   }
 
   initialize() {
+    this.subscribeToPrivateChannels();
+
     this.wss.on('connection', (ws, req) => {
       const clientId = uuidv4();
       ws.id = clientId;
       ws.isAlive = true;
+      ws.auth = null; // { key_id, client_id, scopes } once an auth message verifies
 
       logger.info('WebSocket client connected', { clientId, ip: req.socket.remoteAddress });
 
@@ -75,6 +84,9 @@ class ExchangeWebSocketServer {
     const { type, ...data } = message;
 
     switch (type) {
+      case 'auth':
+        await this.handleAuth(ws, data);
+        break;
       case 'subscribe':
         await this.handleSubscribe(ws, data);
         break;
@@ -84,25 +96,109 @@ class ExchangeWebSocketServer {
       case 'order':
         await this.handleOrder(ws, data);
         break;
+      case 'amend':
+        await this.handleAmend(ws, data);
+        break;
+      case 'snapshot':
+        await this.handleSnapshot(ws, data);
+        break;
       default:
+        // Clients written before order_type existed send the order type as the message type
+        if (ORDER_TYPES.includes(type)) {
+          await this.handleOrder(ws, { ...data, order_type: type });
+          break;
+        }
         this.sendError(ws, `Unknown message type: ${type}`);
     }
   }
 
+  /**
+   * Authenticate the connection with a signed message:
+   * signature = HMAC-SHA256(secret, `${timestamp}\n${nonce}\nAUTH\n/stream\n`)
+   */
+  async handleAuth(ws, data) {
+    try {
+      ws.auth = await apiKeyService.authenticate({
+        apiKey: data.api_key,
+        timestamp: data.timestamp,
+        nonce: data.nonce,
+        signature: data.signature,
+        method: 'AUTH',
+        path: '/stream',
+      });
+
+      this._removeClientConnection(ws);
+      if (!this.clients.has(ws.auth.client_id)) {
+        this.clients.set(ws.auth.client_id, new Set());
+      }
+      this.clients.get(ws.auth.client_id).add(ws);
+
+      this.send(ws, {
+        type: 'authenticated',
+        client_id: ws.auth.client_id,
+        scopes: ws.auth.scopes,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      // A failed re-auth leaves the connection unauthenticated
+      this._removeClientConnection(ws);
+      ws.auth = null;
+      if (!error.status) {
+        logger.error('Error handling WebSocket auth', { error: error.message });
+      }
+      this.sendError(ws, error.message);
+    }
+  }
+
+  /**
+   * Send an error and return false unless the connection is authenticated with the scope
+   */
+  requireScope(ws, scope) {
+    if (!ws.auth) {
+      this.sendError(ws, 'Not authenticated: send an auth message first');
+      return false;
+    }
+    if (!ws.auth.scopes.includes(scope)) {
+      this.sendError(ws, `API key lacks the ${scope} scope`);
+      return false;
+    }
+    return true;
+  }
+
   async handleSubscribe(ws, data) {
+    if (!this.requireScope(ws, 'read')) return;
+
     const { channels = [] } = data;
     const instrument = data.instrument || config.matching.defaultInstrument;
 
+    if (!instrumentRegistry.has(instrument)) {
+      this.sendError(ws, `Unknown instrument ${instrument}`);
+      return;
+    }
+
     if (!this.subscriptions.has(ws)) {
       this.subscriptions.set(ws, new Set());
     }
 
     for (const channel of channels) {
-      const fullChannel = `${channel}:${instrument}`;
+      const [name, resolution] = channel.split(':');
+      if (name === 'candles' && !RESOLUTIONS[resolution]) {
+        this.sendError(ws, `Unknown candle resolution ${resolution}`);
+        continue;
+      }
+      // Every client's order updates; clients follow their own on my_orders
+      if (name === 'orders' && !ws.auth.scopes.includes('admin')) {
+        this.sendError(ws, 'The orders channel needs the admin scope; subscribe to my_orders instead');
+        continue;
+      }
+
+      const fullChannel = this._channelName(channel, instrument);
       this.subscriptions.get(ws).add(fullChannel);
 
-      // Subscribe to Redis pub/sub
-      await this.subscribeToRedis(fullChannel);
+      // Private channels all arrive on the one pattern subscription
+      if (!PRIVATE_CHANNELS.includes(channel)) {
+        await this.subscribeToRedis(fullChannel);
+      }
     }
 
     this.send(ws, {
@@ -119,8 +215,7 @@ class ExchangeWebSocketServer {
 
     if (this.subscriptions.has(ws)) {
       for (const channel of channels) {
-        const fullChannel = `${channel}:${instrument}`;
-        this.subscriptions.get(ws).delete(fullChannel);
+        this.subscriptions.get(ws).delete(this._channelName(channel, instrument));
       }
     }
 
@@ -133,26 +228,51 @@ class ExchangeWebSocketServer {
   }
 
   async handleOrder(ws, data) {
+    if (!this.requireScope(ws, 'trade')) return;
+
     try {
       const {
         idempotency_key,
         order_id,
-        client_id,
         instrument,
         side,
-        type,
+        order_type,
         price,
+        stop_price,
         quantity,
+        quote_quantity,
+        protection_price,
+        max_slippage_percent,
+        market_remainder,
+        time_in_force,
+        expire_at,
+        post_only,
+        reduce_only,
+        display_quantity,
+        stp_mode,
+        stp_group,
       } = data;
 
       const orderData = {
         order_id: order_id || uuidv4(),
-        client_id: client_id || `ws_${ws.id}`,
+        client_id: ws.auth.client_id,
         instrument: instrument || config.matching.defaultInstrument,
         side,
-        type,
-        price: price ? parseFloat(price) : null,
-        quantity: parseFloat(quantity),
+        type: order_type,
+        price: price ?? null,
+        stop_price: stop_price ?? null,
+        quantity,
+        quote_quantity: quote_quantity ?? null,
+        protection_price: protection_price ?? null,
+        max_slippage_percent: max_slippage_percent ?? null,
+        market_remainder: market_remainder ?? null,
+        time_in_force,
+        expire_at,
+        post_only: post_only === true || post_only === 'true',
+        reduce_only: reduce_only === true || reduce_only === 'true',
+        display_quantity: display_quantity ?? null,
+        stp_mode: stp_mode ?? null,
+        stp_group: stp_group ?? null,
       };
 
       const result = await exchangeService.submitOrder(orderData, idempotency_key);
@@ -160,7 +280,7 @@ class ExchangeWebSocketServer {
       this.send(ws, {
         type: 'order_accepted',
         order: result.order.toJSON(),
-        trades: result.trades.map(t => t.toJSON()),
+        trades: result.trades.map(t => t.toOrderJSON(result.order.order_id)),
         orderbook: result.orderbook,
         timestamp: new Date().toISOString(),
       });
@@ -170,6 +290,95 @@ class ExchangeWebSocketServer {
     }
   }
 
+  async handleAmend(ws, data) {
+    if (!this.requireScope(ws, 'trade')) return;
+
+    try {
+      const { order_id, instrument, price, quantity } = data;
+
+      if (!order_id) {
+        throw new Error('order_id is required');
+      }
+
+      const result = await exchangeService.amendOrder(order_id, {
+        price,
+        quantity,
+      }, instrument, ws.auth);
+
+      this.send(ws, {
+        type: 'order_amended',
+        order: result.order.toJSON(),
+        trades: result.trades.map(t => t.toOrderJSON(result.order.order_id)),
+        orderbook: result.orderbook,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error('Error handling WebSocket amend', { error: error.message });
+      this.sendError(ws, error.message);
+    }
+  }
+
+  /**
+   * Full-depth book (feed 'l2', the default) or every resting order (feed 'l3')
+   * for feed consumers to start or resync from: apply only messages with a sequence above the snapshot's
+   */
+  async handleSnapshot(ws, data) {
+    if (!this.requireScope(ws, 'read')) return;
+
+    const instrument = data.instrument || config.matching.defaultInstrument;
+    const feed = data.feed || 'l2';
+
+    if (!instrumentRegistry.has(instrument)) {
+      this.sendError(ws, `Unknown instrument ${instrument}`);
+      return;
+    }
+    if (feed !== 'l2' && feed !== 'l3') {
+      this.sendError(ws, 'feed must be l2 or l3');
+      return;
+    }
+
+    try {
+      if (feed === 'l3') {
+        const snapshot = await exchangeService.getL3Snapshot(instrument);
+
+        this.send(ws, {
+          type: 'l3_snapshot',
+          instrument,
+          sequence: snapshot.sequence,
+          orders: snapshot.orders,
+          timestamp: new Date().toISOString(),
+        });
+        return;
+      }
+
+      const snapshot = await exchangeService.getL2Snapshot(instrument);
+
+      this.send(ws, {
+        type: 'l2_snapshot',
+        instrument,
+        sequence: snapshot.sequence,
+        bids: snapshot.bids,
+        asks: snapshot.asks,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error('Error handling WebSocket snapshot', { error: error.message });
+      this.sendError(ws, error.message);
+    }
+  }
+
+  /**
+   * Redis channel behind a subscription: 'candles:<resolution>' is candles:<instrument>:<resolution>,
+   * private channels cover every instrument and keep their name, every other channel is <channel>:<instrument>
+   */
+  _channelName(channel, instrument) {
+    if (PRIVATE_CHANNELS.includes(channel)) {
+      return channel;
+    }
+    const [name, resolution] = channel.split(':');
+    return name === 'candles' ? `candles:${instrument}:${resolution}` : `${channel}:${instrument}`;
+  }
+
   async subscribeToRedis(channel) {
     if (this.redisSubscribers.has(channel)) {
       return; // Already subscribed
@@ -190,6 +399,36 @@ class ExchangeWebSocketServer {
     }
   }
 
+  /**
+   * One pattern subscription for all private channels; each message goes only to
+   * the owning client's connections that subscribed to that channel
+   */
+  async subscribeToPrivateChannels() {
+    const subscriber = await redis.psubscribe('private:*', (redisChannel, message) => {
+      const rest = redisChannel.slice('private:'.length);
+      const separator = rest.indexOf(':');
+      this.sendPrivate(rest.slice(separator + 1), rest.slice(0, separator), message);
+    });
+
+    if (subscriber) {
+      this.redisSubscribers.set('private:*', subscriber);
+      logger.info('Subscribed to Redis private channels');
+    }
+  }
+
+  sendPrivate(clientId, channel, message) {
+    for (const ws of this.clients.get(clientId) || []) {
+      if (ws.readyState === WebSocket.OPEN && this.subscriptions.get(ws)?.has(channel)) {
+        this.send(ws, {
+          type: channel,
+          channel,
+          data: message,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+  }
+
   broadcast(channel, message) {
     let broadcastCount = 0;
 
@@ -197,7 +436,7 @@ class ExchangeWebSocketServer {
       if (ws.readyState === WebSocket.OPEN && this.subscriptions.has(ws)) {
         if (this.subscriptions.get(ws).has(channel)) {
           this.send(ws, {
-            type: channel.split(':')[0], // 'trades', 'orders', 'orderbook'
+            type: channel.split(':')[0], // 'trades', 'orders', 'orderbook', 'ticker', 'l2_delta', 'l3', 'candles', 'trading_status'
             channel,
             data: message,
             timestamp: new Date().toISOString(),
@@ -218,6 +457,17 @@ class ExchangeWebSocketServer {
     if (this.subscriptions.has(ws)) {
       this.subscriptions.delete(ws);
     }
+    this._removeClientConnection(ws);
+  }
+
+  _removeClientConnection(ws) {
+    const connections = ws.auth && this.clients.get(ws.auth.client_id);
+    if (!connections) return;
+
+    connections.delete(ws);
+    if (connections.size === 0) {
+      this.clients.delete(ws.auth.client_id);
+    }
   }
 
   send(ws, message) {
@@ -1,28 +1,45 @@
 import WebSocket from 'ws';
+import { v4 as uuidv4 } from 'uuid';
+import { signRequest } from './src/services/ApiKeyService.js';
+
+// A key with the read scope, from npm run create-api-key
+const API_KEY = process.env.API_KEY;
+const API_SECRET = process.env.API_SECRET;
+
+if (!API_KEY || !API_SECRET) {
+  console.error('Set API_KEY and API_SECRET to a key with the read scope (npm run create-api-key)');
+  process.exit(1);
+}
 
 const ws = new WebSocket('ws://localhost:3000/stream');
 
 ws.on('open', () => {
   console.log('Connected to WebSocket');
-  
-  // Subscribe to order book updates
-  ws.send(JSON.stringify({
-    type: 'subscribe',
-    channel: 'orderbook',
-    instrument: 'BTC-USD'
-  }));
-  
-  // Subscribe to trade updates
+
+  // Authenticate before subscribing
+  const timestamp = String(Date.now());
+  const nonce = uuidv4();
   ws.send(JSON.stringify({
-    type: 'subscribe', 
-    channel: 'trades',
-    instrument: 'BTC-USD'
+    type: 'auth',
+    api_key: API_KEY,
+    timestamp,
+    nonce,
+    signature: signRequest(API_SECRET, { timestamp, nonce, method: 'AUTH', path: '/stream' }),
   }));
 });
 
 ws.on('message', (data) => {
   const message = JSON.parse(data);
   console.log('Received:', JSON.stringify(message, null, 2));
+
+  // Subscribe to order book and trade updates
+  if (message.type === 'authenticated') {
+    ws.send(JSON.stringify({
+      type: 'subscribe',
+      channels: ['orderbook', 'trades'],
+      instrument: 'BTC-USD'
+    }));
+  }
 });
 
 ws.on('error', (error) => {
@@ -36,4 +53,4 @@ ws.on('close', () => {
 // Keep the connection alive for 30 seconds
 setTimeout(() => {
   ws.close();
-}, 30000);
\ No newline at end of file
+}, 30000);